@@ -1,7 +1,7 @@
 // PagePal AI - Centralized API Key Management
 
 import { CONFIG } from './constants.js';
-import { storage, validateAPIKey } from './utils.js';
+import { storage, validateAPIKey, normalizeBaseUrl } from './utils.js';
 
 export class APIKeyManager {
   constructor() {
@@ -14,7 +14,8 @@ export class APIKeyManager {
   getStorageKey(provider) {
     const keyMap = {
       'openai': CONFIG.STORAGE_KEYS.OPENAI_API_KEY,
-      'gemini': CONFIG.STORAGE_KEYS.GEMINI_API_KEY
+      'gemini': CONFIG.STORAGE_KEYS.GEMINI_API_KEY,
+      'anthropic': CONFIG.STORAGE_KEYS.ANTHROPIC_API_KEY
     };
     return keyMap[provider.toLowerCase()];
   }
@@ -54,6 +55,12 @@ export class APIKeyManager {
    * Check if a provider has a valid API key stored
    */
   async hasValidAPIKey(provider) {
+    // Custom endpoints may run without a key; a configured base URL and model is enough
+    if (provider === 'custom') {
+      const config = await this.getCustomEndpointConfig();
+      return !!(config && config.baseUrl && config.model);
+    }
+
     const apiKey = await this.getAPIKey(provider);
     return apiKey !== null && validateAPIKey(apiKey, provider);
   }
@@ -65,6 +72,7 @@ export class APIKeyManager {
     const keys = [
       CONFIG.STORAGE_KEYS.OPENAI_API_KEY,
       CONFIG.STORAGE_KEYS.GEMINI_API_KEY,
+      CONFIG.STORAGE_KEYS.ANTHROPIC_API_KEY,
       CONFIG.STORAGE_KEYS.SELECTED_MODEL
     ];
     
@@ -100,7 +108,9 @@ export class APIKeyManager {
   getValidationErrorMessage(provider) {
     const messages = {
       'openai': 'OpenAI API key should start with "sk-".',
-      'gemini': 'Gemini API key should start with "AIza".'
+      'gemini': 'Gemini API key should start with "AIza".',
+      'anthropic': 'Anthropic API key should start with "sk-ant-".',
+      'custom': 'Please enter a valid http(s) base URL and model name.'
     };
     return messages[provider.toLowerCase()] || 'Invalid API key format.';
   }
@@ -113,10 +123,56 @@ export class APIKeyManager {
       return await this.getAPIKey('openai');
     } else if (modelName.startsWith('gemini')) {
       return await this.getAPIKey('gemini');
+    } else if (modelName.startsWith('claude')) {
+      return await this.getAPIKey('anthropic');
+    } else if (modelName.startsWith(CONFIG.CUSTOM_MODEL_PREFIX)) {
+      const config = await this.getCustomEndpointConfig();
+      return config?.apiKey || '';
     }
     return null;
   }
 
+  /**
+   * Check whether a model's provider needs an API key before sending requests
+   */
+  isKeyRequiredForModel(modelName) {
+    return !modelName.startsWith(CONFIG.CUSTOM_MODEL_PREFIX);
+  }
+
+  /**
+   * Get the stored custom OpenAI-compatible endpoint configuration
+   */
+  async getCustomEndpointConfig() {
+    const storageKey = CONFIG.STORAGE_KEYS.CUSTOM_ENDPOINT;
+    const result = await storage.get([storageKey]);
+    return result[storageKey] || null;
+  }
+
+  /**
+   * Save the custom endpoint configuration (key and pricing are optional)
+   */
+  async saveCustomEndpointConfig({ baseUrl, apiKey = '', model, inputCostPer1k = 0, outputCostPer1k = 0 }) {
+    const normalizedUrl = normalizeBaseUrl(baseUrl);
+    const modelName = (model || '').trim();
+    if (!normalizedUrl || !modelName) {
+      throw new Error(this.getValidationErrorMessage('custom'));
+    }
+
+    const config = {
+      baseUrl: normalizedUrl,
+      apiKey: (apiKey || '').trim(),
+      model: modelName,
+      inputCostPer1k: Math.max(0, Number(inputCostPer1k) || 0),
+      outputCostPer1k: Math.max(0, Number(outputCostPer1k) || 0)
+    };
+
+    const saved = await storage.set({
+      apiProvider: 'custom',
+      [CONFIG.STORAGE_KEYS.CUSTOM_ENDPOINT]: config
+    });
+    return saved ? config : null;
+  }
+
   /**
    * Mask an API key for display
    */
@@ -180,6 +236,7 @@ export class APIKeyManager {
   async getAPIKeyStatus() {
     const openaiKey = await this.hasValidAPIKey('openai');
     const geminiKey = await this.hasValidAPIKey('gemini');
+    const anthropicKey = await this.hasValidAPIKey('anthropic');
     const currentProvider = await this.getCurrentProvider();
 
     return {
@@ -191,9 +248,14 @@ export class APIKeyManager {
         hasKey: geminiKey,
         displayValue: geminiKey ? this.MASKED_VALUE : ''
       },
+      anthropic: {
+        hasKey: anthropicKey,
+        displayValue: anthropicKey ? this.MASKED_VALUE : ''
+      },
       currentProvider,
       hasValidCurrentKey: (currentProvider === 'openai' && openaiKey) || 
-                         (currentProvider === 'gemini' && geminiKey)
+                         (currentProvider === 'gemini' && geminiKey) ||
+                         (currentProvider === 'anthropic' && anthropicKey)
     };
   }
 
@@ -203,7 +265,9 @@ export class APIKeyManager {
   async clearAllAPIKeys() {
     const keys = [
       CONFIG.STORAGE_KEYS.OPENAI_API_KEY,
-      CONFIG.STORAGE_KEYS.GEMINI_API_KEY
+      CONFIG.STORAGE_KEYS.GEMINI_API_KEY,
+      CONFIG.STORAGE_KEYS.ANTHROPIC_API_KEY,
+      CONFIG.STORAGE_KEYS.CUSTOM_ENDPOINT
     ];
     return await storage.remove(keys);
   }
@@ -211,9 +275,11 @@ export class APIKeyManager {
   /**
    * Get input value from the appropriate element based on provider
    */
-  getInputValueForProvider(provider, openaiInput, geminiInput) {
+  getInputValueForProvider(provider, openaiInput, geminiInput, anthropicInput) {
     if (provider === 'openai') {
       return openaiInput.value.trim();
+    } else if (provider === 'anthropic') {
+      return anthropicInput.value.trim();
     } else {
       return geminiInput.value.trim();
     }
@@ -223,16 +289,25 @@ export class APIKeyManager {
    * Get provider display name
    */
   getProviderDisplayName(provider) {
-    return provider === 'openai' ? 'OpenAI' : 'Gemini';
+    const names = {
+      'openai': 'OpenAI',
+      'gemini': 'Gemini',
+      'anthropic': 'Anthropic',
+      'custom': 'Custom Endpoint'
+    };
+    return names[provider] || 'Gemini';
   }
 
   /**
    * Handle provider-specific input focus and clearing
    */
-  handleProviderInputFocus(provider, openaiInput, geminiInput) {
+  handleProviderInputFocus(provider, openaiInput, geminiInput, anthropicInput) {
     if (provider === 'openai') {
       this.handleInputFocus(openaiInput);
       openaiInput.focus();
+    } else if (provider === 'anthropic') {
+      this.handleInputFocus(anthropicInput);
+      anthropicInput.focus();
     } else {
       this.handleInputFocus(geminiInput);
       geminiInput.focus();
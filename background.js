@@ -0,0 +1,172 @@
+// PagePal AI - Background service worker
+//
+// Runs provider requests for the popup (see request-manager.js), owns the
+// "Ask PagePal about selection" context menu and answers selection actions from
+// the content script. The content script is injected on a context-menu click, and
+// only runs on every page once the user turns on the selection tooltip and grants
+// site access.
+
+import { CONFIG, PROMPTS } from './constants.js';
+import { truncateText } from './utils.js';
+import { estimateRequestCost } from './providers.js';
+import { RequestManager } from './request-manager.js';
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+const requestManager = new RequestManager();
+
+// Anything still marked running belongs to a worker that was stopped mid-request
+requestManager.recoverInterrupted();
+
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name === CONFIG.REQUEST_PORT_NAME) {
+    requestManager.connect(port);
+  }
+});
+
+chrome.tabs.onRemoved.addListener(tabId => requestManager.removeTab(tabId));
+
+// A finished-answer notification brings its tab forward and opens the popup on it
+async function handleNotificationClick(notificationId) {
+  const tabId = parseInt(notificationId.replace('pagepal-request-', ''), 10);
+  chrome.notifications.clear(notificationId);
+  try {
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+    await chrome.action.openPopup();
+  } catch (error) {
+    // The tab may be gone, or the browser may not allow opening the popup
+  }
+}
+
+// Notifications are optional, so the API only exists once the user has granted them
+function listenForNotificationClicks() {
+  if (chrome.notifications && !chrome.notifications.onClicked.hasListener(handleNotificationClick)) {
+    chrome.notifications.onClicked.addListener(handleNotificationClick);
+  }
+}
+
+listenForNotificationClicks();
+chrome.permissions.onAdded.addListener(listenForNotificationClicks);
+
+// Register the tooltip's content script while it's turned on and site access is
+// granted, and remove it otherwise. Runs are chained so two changes can't both register.
+let selectionScriptSync = Promise.resolve();
+
+function syncSelectionScript() {
+  selectionScriptSync = selectionScriptSync.then(async () => {
+    const id = CONFIG.SELECTION_SCRIPT_ID;
+    try {
+      const settings = await chrome.storage.sync.get([CONFIG.STORAGE_KEYS.SELECTION_TOOLTIP]);
+      const granted = await chrome.permissions.contains({ origins: CONFIG.SITE_ACCESS_ORIGINS });
+      const wanted = CONFIG.ENABLE_SELECTION_ACTIONS && settings[CONFIG.STORAGE_KEYS.SELECTION_TOOLTIP] === true && granted;
+      const registered = (await chrome.scripting.getRegisteredContentScripts({ ids: [id] })).length > 0;
+
+      if (wanted && !registered) {
+        await chrome.scripting.registerContentScripts([{
+          id,
+          matches: CONFIG.SITE_ACCESS_ORIGINS,
+          js: ['content.js'],
+          runAt: 'document_idle'
+        }]);
+      } else if (!wanted && registered) {
+        await chrome.scripting.unregisterContentScripts({ ids: [id] });
+      }
+    } catch (error) {
+      console.warn('Could not update the selection tooltip script:', error);
+    }
+  });
+  return selectionScriptSync;
+}
+
+syncSelectionScript();
+chrome.permissions.onAdded.addListener(syncSelectionScript);
+chrome.permissions.onRemoved.addListener(syncSelectionScript);
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes[CONFIG.STORAGE_KEYS.SELECTION_TOOLTIP]) {
+    syncSelectionScript();
+  }
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  if (!CONFIG.ENABLE_SELECTION_ACTIONS) return;
+  chrome.contextMenus.create({
+    id: CONFIG.CONTEXT_MENU_ID,
+    title: 'Ask PagePal about selection',
+    contexts: ['selection']
+  });
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId !== CONFIG.CONTEXT_MENU_ID || !tab?.id) return;
+
+  const message = { type: CONFIG.MESSAGE_TYPES.SHOW_SELECTION_ACTIONS, selectionText: info.selectionText };
+  const frameId = info.frameId || 0;
+  try {
+    await chrome.tabs.sendMessage(tab.id, message, { frameId });
+  } catch (error) {
+    // Without the tooltip turned on pages have no content script; the menu click grants
+    // activeTab, so it can be injected into this tab now
+    try {
+      await chrome.scripting.executeScript({ target: { tabId: tab.id, frameIds: [frameId] }, files: ['content.js'] });
+      await chrome.tabs.sendMessage(tab.id, message, { frameId });
+    } catch (injectError) {
+      console.warn('Selection actions unavailable on this page:', injectError);
+    }
+  }
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type !== CONFIG.MESSAGE_TYPES.ASK_SELECTION) return false;
+
+  answerSelection(message)
+    .then(sendResponse)
+    .catch(error => sendResponse({ success: false, error: error.message }));
+  return true; // Respond asynchronously
+});
+
+/**
+ * Cut the paragraph down to maxLength characters centered on the selection
+ */
+function trimAroundSelection(paragraph, selection, maxLength) {
+  if (!paragraph || paragraph.length <= maxLength) return paragraph || '';
+  const index = Math.max(0, paragraph.indexOf(selection));
+  const start = Math.max(0, Math.min(index + selection.length / 2 - maxLength / 2, paragraph.length - maxLength));
+  const excerpt = paragraph.slice(Math.round(start), Math.round(start) + maxLength);
+  return `${start > 0 ? '…' : ''}${excerpt}${start + maxLength < paragraph.length ? '…' : ''}`;
+}
+
+function buildSelectionQuestion(action, selection, question) {
+  if (action === 'ask') {
+    return `${question}\n\nSelected text: "${selection}"`;
+  }
+  const template = PROMPTS.SELECTION_ACTIONS[action];
+  if (!template) {
+    throw new Error(`Unknown selection action: ${action}`);
+  }
+  return template.replace('{selection}', selection);
+}
+
+/**
+ * Answer one selection action with the user's preferred model, recording its cost and history
+ */
+async function answerSelection({ action, question = '', selection, context, url, title }) {
+  const { preferredModel } = await chrome.storage.sync.get(['preferredModel']);
+  const model = preferredModel || DEFAULT_MODEL;
+  const { provider, apiKey, customEndpointConfig } = await requestManager.resolveProvider(model);
+
+  const selectedText = truncateText((selection || '').trim(), CONFIG.SELECTION_MAX_LENGTH);
+  const prompt = buildSelectionQuestion(action, selectedText, question.trim());
+  const paragraph = trimAroundSelection(context, selectedText, CONFIG.SELECTION_CONTEXT_LENGTH);
+  const pageContext = `Page: ${title || url}\n\nSurrounding paragraph:\n${paragraph || selectedText}`;
+
+  const answer = await provider.askQuestion(prompt, pageContext, model, apiKey, '', {
+    systemPrompt: PROMPTS.SELECTION_SYSTEM_PROMPT
+  });
+
+  const cost = estimateRequestCost(model, `${PROMPTS.SELECTION_SYSTEM_PROMPT}${prompt}${pageContext}`, answer, 0, customEndpointConfig);
+  await requestManager.addToCumulativeCost(cost);
+  await requestManager.recordHistoryEntry({ question: prompt, answer, model, url, title, cost });
+
+  return { success: true, answer, model, cost };
+}
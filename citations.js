@@ -0,0 +1,293 @@
+// PagePal AI - Grounded citations
+//
+// Page text is split into numbered passages the model cites as [n]. Citations in
+// the rendered answer become links that scroll the tab to the passage and highlight it.
+// PDF passages also carry their page number, which is what their links show, and
+// passages from an embedded frame carry the frame's label.
+
+import { CONFIG } from './constants.js';
+import { countTokens } from './tokenizer.js';
+
+const CITATION_PATTERN = /\[(\d+(?:\s*[,–-]\s*\d+)*)\]/g;
+// Boundaries mergeFrameResults() puts around each frame's text
+const FRAME_START_PATTERN = /^\[Frame: (.+)\]$/;
+const FRAME_END_PATTERN = /^\[End of frame: (.+)\]$/;
+
+/**
+ * Split extracted page text into passages of roughly CONFIG.CITATION_PASSAGE_LENGTH
+ * characters, breaking on line boundaries first and sentence boundaries second.
+ * Passages don't cross frame boundaries; those inside a frame get { frame: label }.
+ */
+export function buildPassages(text) {
+  const targetLength = CONFIG.CITATION_PASSAGE_LENGTH;
+  const passages = [];
+  const frames = []; // Labels of the frames the current text is inside, innermost last
+  let current = '';
+  const flush = () => {
+    if (current) passages.push({ text: current, frame: frames[frames.length - 1] });
+    current = '';
+  };
+
+  (text || '')
+    .split(/\n+/)
+    .map(block => block.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .forEach(block => {
+      const frameStart = FRAME_START_PATTERN.exec(block);
+      if (frameStart || FRAME_END_PATTERN.test(block)) {
+        flush();
+        if (frameStart) frames.push(frameStart[1]);
+        else frames.pop();
+        return;
+      }
+
+      (block.length > targetLength ? splitSentences(block, targetLength) : [block]).forEach(piece => {
+        if (current && current.length + piece.length + 1 > targetLength) flush();
+        current = current ? `${current} ${piece}` : piece;
+      });
+    });
+  flush();
+
+  return passages.map((passage, index) => ({
+    id: index + 1,
+    text: passage.text,
+    ...(passage.frame ? { frame: passage.frame } : {})
+  }));
+}
+
+/**
+ * Passages for a paged document (PDF): built per page so none spans two pages,
+ * numbered across the whole document and tagged with their page number
+ */
+export function buildPagePassages(pages) {
+  let id = 0;
+  return pages.flatMap(page => buildPassages(page.text).map(passage => ({
+    id: ++id,
+    text: passage.text,
+    page: page.pageNumber
+  })));
+}
+
+// Break an oversized block at sentence ends, hard-wrapping sentences that are still too long
+function splitSentences(block, targetLength) {
+  const sentences = block.match(/[^.!?]+(?:[.!?]+|$)\s*/g) || [block];
+  const pieces = [];
+  let current = '';
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length > targetLength) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+    while (current.length > targetLength * 2) {
+      pieces.push(current.slice(0, targetLength).trim());
+      current = current.slice(targetLength);
+    }
+  }
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+}
+
+/**
+ * Format passages as the numbered page context sent to the model. Whole passages
+ * are dropped once maxTokens is reached so no citation points at truncated text.
+ */
+export function formatPassageContext(passages, maxTokens = Infinity, model = '') {
+  const lines = [];
+  let tokens = 0;
+  for (const passage of passages) {
+    const source = passage.page ? ` (page ${passage.page})` : passage.frame ? ` (embedded frame: ${passage.frame})` : '';
+    const line = `[${passage.id}]${source} ${passage.text}`;
+    const lineTokens = countTokens(`${line}\n\n`, model);
+    if (tokens + lineTokens > maxTokens && lines.length > 0) break;
+    lines.push(line);
+    tokens += lineTokens;
+  }
+  return lines.join('\n\n');
+}
+
+// Expand "1, 3-5" into [1, 3, 4, 5]
+function parseCitationIds(label) {
+  const ids = [];
+  label.split(',').forEach(part => {
+    const [start, end] = part.split(/[–-]/).map(value => parseInt(value, 10));
+    if (end === undefined) {
+      ids.push(start);
+    } else if (end >= start && end - start < 20) {
+      for (let id = start; id <= end; id++) ids.push(id);
+    }
+  });
+  return ids;
+}
+
+/**
+ * Turn [n] / [n, m] / [n-m] markers in a rendered answer into citation links.
+ * Works on text nodes of the already-sanitized output; code blocks are left alone.
+ */
+export function linkCitations(element, passages, onCitationClick) {
+  const passagesById = new Map(passages.map(passage => [passage.id, passage]));
+  const walker = element.ownerDocument.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => (node.parentElement.closest('pre, code, a, math')
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT)
+  });
+
+  const textNodes = [];
+  while (walker.nextNode()) {
+    CITATION_PATTERN.lastIndex = 0;
+    if (CITATION_PATTERN.test(walker.currentNode.nodeValue)) textNodes.push(walker.currentNode);
+  }
+
+  textNodes.forEach(node => {
+    const text = node.nodeValue;
+    const fragment = element.ownerDocument.createDocumentFragment();
+    let lastIndex = 0;
+    let linked = false;
+
+    CITATION_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = CITATION_PATTERN.exec(text)) !== null) {
+      // Several passages from one PDF page collapse into a single page link
+      const seenPages = new Set();
+      const ids = parseCitationIds(match[1]).filter(id => {
+        const page = passagesById.get(id)?.page;
+        if (!passagesById.has(id) || seenPages.has(page)) return false;
+        if (page) seenPages.add(page);
+        return true;
+      });
+      if (ids.length === 0) continue;
+
+      fragment.append(text.slice(lastIndex, match.index));
+      const group = element.ownerDocument.createElement('sup');
+      group.className = 'citation';
+      ids.forEach(id => {
+        const link = element.ownerDocument.createElement('button');
+        link.type = 'button';
+        link.className = 'citation-link';
+        link.textContent = passagesById.get(id).page ? `p. ${passagesById.get(id).page}` : id;
+        const { frame, text: passageText } = passagesById.get(id);
+        link.title = `${frame ? `From the embedded frame "${frame}": ` : ''}${passageText.slice(0, 200)}`;
+        link.addEventListener('click', () => onCitationClick(passagesById.get(id)));
+        group.appendChild(link);
+      });
+      fragment.appendChild(group);
+      lastIndex = match.index + match[0].length;
+      linked = true;
+    }
+
+    if (linked) {
+      fragment.append(text.slice(lastIndex));
+      node.replaceWith(fragment);
+    }
+  });
+}
+
+/**
+ * Injected into the page: find the passage text, scroll it into view and highlight it.
+ * Text inside open shadow roots is searched too. Passages from a frame are found by
+ * running this in every frame.
+ * Must stay self-contained since it runs via chrome.scripting.executeScript.
+ */
+export function highlightPassageFunction(passageText) {
+  const HIGHLIGHT_NAME = 'pagepal-citation';
+  const STYLE_ID = 'pagepal-citation-style';
+  const PROBE_LENGTH = 80;
+  const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+
+  // Only letters and digits are compared, so Markdown syntax in the extracted passage
+  // (list markers, table pipes, emphasis) doesn't stop it matching the rendered page
+  const isCompared = character => /[\p{L}\p{N}]/u.test(character);
+
+  // Children in the rendered tree, as structured extraction reads them: a host's open
+  // shadow root instead of its light DOM, and a slot's assigned nodes instead of its fallback
+  const composedChildNodes = node => {
+    if (node.shadowRoot) return Array.from(node.shadowRoot.childNodes);
+    if (node.tagName === 'SLOT') {
+      const assigned = node.assignedNodes({ flatten: true });
+      if (assigned.length > 0) return assigned;
+    }
+    return Array.from(node.childNodes);
+  };
+
+  const textNodes = [];
+  const stack = document.body ? [document.body] : [];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.nodeType === Node.TEXT_NODE) {
+      textNodes.push(node);
+    } else if (node.nodeType === Node.ELEMENT_NODE && !SKIP_TAGS.has(node.tagName)) {
+      stack.push(...composedChildNodes(node).reverse());
+    }
+  }
+
+  // Text nodes reduced to compared characters, plus a map from stripped offsets back to nodes
+  let stripped = '';
+  const offsets = []; // offsets[i] = [node, offset in node] for stripped[i]
+  for (const node of textNodes) {
+    const value = node.nodeValue;
+    for (let i = 0; i < value.length; i++) {
+      if (isCompared(value[i])) {
+        stripped += value[i];
+        offsets.push([node, i]);
+      }
+    }
+  }
+
+  // Link targets, image references and code fence languages aren't part of the page text
+  const needle = passageText
+    .replace(/!\[[^\]]*\](\([^)\s]*\))?/g, '')
+    .replace(/\[([^\]]*)\]\([^)\s]*\)/g, '$1')
+    .replace(/`{3,}[\w#+.-]*/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+  if (!needle) {
+    return { success: false, error: 'Passage not found on the page' };
+  }
+  let start = stripped.indexOf(needle);
+  let length = needle.length;
+
+  // Extraction may differ slightly from the live DOM; fall back to the opening and closing text
+  if (start === -1 && needle.length > PROBE_LENGTH * 2) {
+    const head = stripped.indexOf(needle.slice(0, PROBE_LENGTH));
+    const tail = head === -1 ? -1 : stripped.indexOf(needle.slice(-PROBE_LENGTH), head);
+    if (head !== -1) {
+      start = head;
+      length = tail !== -1 && tail - head < needle.length * 2 ? tail + PROBE_LENGTH - head : PROBE_LENGTH;
+    }
+  }
+  if (start === -1) {
+    return { success: false, error: 'Passage not found on the page' };
+  }
+
+  // A range can't span two shadow trees, so a match that runs out of the tree it
+  // starts in is highlighted up to where it leaves
+  const [startNode, startOffset] = offsets[start];
+  const root = startNode.getRootNode();
+  let last = start + length - 1;
+  while (last > start && offsets[last][0].getRootNode() !== root) last--;
+  const [endNode, endOffset] = offsets[last];
+  const range = document.createRange();
+  range.setStart(startNode, startOffset);
+  range.setEnd(endNode, endOffset + 1);
+
+  const target = startNode.parentElement;
+  target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  // Prefer the CSS Custom Highlight API so page markup is untouched
+  if (window.CSS && CSS.highlights && window.Highlight) {
+    // ::highlight() rules don't cross shadow boundaries, so a shadow tree needs its own
+    const styleRoot = root instanceof ShadowRoot ? root : document.head;
+    if (!styleRoot.querySelector(`#${STYLE_ID}`)) {
+      const style = document.createElement('style');
+      style.id = STYLE_ID;
+      style.textContent = `::highlight(${HIGHLIGHT_NAME}) { background-color: #ffe066; color: #000; }`;
+      styleRoot.appendChild(style);
+    }
+    CSS.highlights.set(HIGHLIGHT_NAME, new Highlight(range));
+  } else {
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  return { success: true };
+}
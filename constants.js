@@ -2,25 +2,104 @@
 
 export const CONFIG = {
   // Feature flags
-  ENABLE_CONTENT_ANALYSIS_DROPDOWN: false, // Global flag to show/hide content analysis options
+  ENABLE_CONTENT_ANALYSIS_DROPDOWN: true, // Global flag to show/hide content analysis options
   ENABLE_CACHE_MEMORY_MODE: false, // Flag to enable/disable cache memory mode functionality
+  ENABLE_STREAMING: true, // Stream answers token-by-token instead of waiting for the full response
+  ENABLE_CONVERSATION_THREADS: true, // Keep follow-up questions in a per-page conversation thread
+  ENABLE_HISTORY: true, // Record answered questions in a searchable local history
+  ENABLE_CITATIONS: true, // Offer an answer mode that cites numbered page passages
+  ENABLE_RETRIEVAL: true, // Send the most relevant sections of long pages instead of truncating
+  ENABLE_WHOLE_PAGE_SUMMARY: true, // Offer map-reduce summaries of documents beyond the context window
+  ENABLE_SELECTION_ACTIONS: true, // Context menu and in-page tooltip for asking about selected text
+  ENABLE_SIDE_PANEL: true, // Offer the same interface in a side panel that stays open and follows the active tab
+  ENABLE_SITE_EXTRACTORS: true, // Read Wikipedia, GitHub, Stack Exchange and MDN pages with site-specific adapters
+  ENABLE_YOUTUBE_TRANSCRIPTS: true, // Read a YouTube video's captions instead of its page, with timestamps that seek the player
+  ENABLE_PAGE_OUTLINE: true, // Show the page's sections and let questions be limited to the ticked ones
   
   // Content extraction
   CACHE_DURATION: 30000, // 30 seconds
-  MAX_CONTEXT_LENGTH: 12000,
-  LAZY_CONTENT_TIMEOUT: 1000,
+  LAZY_CONTENT_TIMEOUT: 1000, // Longest wait for lazy-loaded content to start arriving after a scroll or click
+  EXPAND_PAGE_MAX_STEPS: 8, // Scroll-and-click rounds of the optional expand-page pre-pass
+  EXPAND_PAGE_MAX_DURATION: 20000, // The pre-pass stops after this many ms however much is left
+  EXPAND_PAGE_MAX_CLICKS: 10, // "Show more" controls clicked per round
+  TRANSCRIPT_PARAGRAPH_SECONDS: 30, // Captions are grouped into paragraphs of about this long, each with one timestamp
+  TRANSCRIPT_PANEL_TIMEOUT: 3000, // Longest wait for YouTube's transcript panel when the caption file can't be fetched
+  MAX_PDF_BYTES: 50 * 1024 * 1024, // Larger PDFs are refused rather than parsed in the popup
+  SELECTION_MAX_LENGTH: 4000, // Characters of selected text sent with a selection action
+  SELECTION_CONTEXT_LENGTH: 1500, // Characters of the surrounding paragraph sent alongside it
+
+  // Background requests
+  REQUEST_PERSIST_INTERVAL: 500, // Minimum ms between saves of a streaming answer for popup reattach
+  REQUEST_KEEPALIVE_INTERVAL: 20000, // The service worker is stopped after 30s without extension API calls
+  NOTIFY_MIN_DURATION: 15000, // Only answers that took at least this long trigger a notification
+
+  // Screenshots for vision models
+  SCREENSHOT_MAX_WIDTH: 1280, // Captures are downscaled to this width before sending
+  SCREENSHOT_JPEG_QUALITY: 0.7,
+  MAX_SCREENSHOT_FRAMES: 8, // Full-page captures stop after this many viewports
+  CAPTURE_MIN_INTERVAL: 550, // ms between captureVisibleTab calls (Chrome allows ~2 per second)
+  REGION_MIN_SIZE: 8, // CSS pixels; smaller drags are treated as clicks
+  REGION_SELECTION_TTL: 10 * 60 * 1000, // A pending region selection expires after 10 minutes
   
   // AI Provider settings
   DEFAULT_MAX_TOKENS: 1000,
   DEFAULT_TEMPERATURE: 0.7,
   API_TIMEOUT: 120000, // 2 minutes
+  CUSTOM_MODEL_PREFIX: 'custom:', // Model values routed to the user's OpenAI-compatible endpoint
+  DEFAULT_CONTEXT_TOKENS: 8192, // Context window assumed for models without a known limit
+
+  // Conversation threads
+  MAX_CONVERSATION_TURNS: 20, // Turns kept per page thread in storage
+  MAX_STORED_CONVERSATIONS: 25, // Least recently used threads beyond this are dropped
+
+  // History
+  MAX_HISTORY_ENTRIES: 500, // Oldest entries beyond this are dropped
+  HISTORY_SEARCH_DELAY: 200, // Debounce for the history search box (ms)
+
+  // Citations
+  CITATION_PASSAGE_LENGTH: 600, // Target characters per numbered passage
+
+  // Retrieval (pages longer than the model's context window allows)
+  RETRIEVAL_CHUNK_SIZE: 1500, // Target characters per section
+  RETRIEVAL_CHUNK_OVERLAP: 200, // Characters shared between neighbouring sections
+  RETRIEVAL_EMBEDDING_WEIGHT: 0.5, // Share of the ranking score from embeddings when enabled
+
+  // Whole-page summaries
+  SUMMARY_CONCURRENCY: 3, // Section summaries requested in parallel
   
   // Storage keys
   STORAGE_KEYS: {
     OPENAI_API_KEY: 'openaiApiKey',
     GEMINI_API_KEY: 'geminiApiKey',
-    SELECTED_MODEL: 'selectedModel'
+    ANTHROPIC_API_KEY: 'anthropicApiKey',
+    CUSTOM_ENDPOINT: 'customEndpoint', // { baseUrl, apiKey, model, inputCostPer1k, outputCostPer1k }
+    CONVERSATIONS: 'conversations', // chrome.storage.local: { [pageUrl]: thread }
+    HISTORY: 'history', // chrome.storage.local: newest-first list of answered questions
+    REGION_CAPTURE: 'regionCapture', // chrome.storage.session: viewport capture awaiting a region
+    REGION_SELECTION: 'regionSelection', // chrome.storage.local: rectangle written by the page overlay
+    SELECTED_MODEL: 'selectedModel',
+    SELECTION_TOOLTIP: 'selectionTooltip', // chrome.storage.sync: show the in-page tooltip on text selection (off unless turned on)
+    INCLUDE_COLLAPSED: 'includeCollapsed', // chrome.storage.sync: extract collapsed sections and inactive tabs too
+    EXPAND_PAGE: 'expandPage', // chrome.storage.sync: run the expand-page pre-pass before structured extraction
+    TRANSCRIPT_LANGUAGE: 'transcriptLanguage', // chrome.storage.sync: caption language code for YouTube transcripts, '' for the video's default
+    EXTRACTION_DEBUG: 'extractionDebug', // chrome.storage.sync: show which element structured extraction read
+    NOTIFY_ON_ANSWER: 'notifyOnAnswer', // chrome.storage.sync: notify when a long answer finishes with the popup closed
+    REQUESTS: 'requests' // chrome.storage.session: { [tabId]: latest background request job }
+  },
+
+  // Messages between the popup, background service worker and content script
+  MESSAGE_TYPES: {
+    ASK_SELECTION: 'askSelection',
+    SHOW_SELECTION_ACTIONS: 'showSelectionActions',
+    START_REQUEST: 'startRequest', // popup -> worker: { request }
+    ATTACH_REQUEST: 'attachRequest', // popup -> worker: { tabId }, answered with a REQUEST_UPDATE
+    ACKNOWLEDGE_REQUEST: 'acknowledgeRequest', // popup -> worker: { tabId, id } once a result has been shown
+    REQUEST_UPDATE: 'requestUpdate' // worker -> popup: { job }
   },
+  REQUEST_PORT_NAME: 'pagepal-requests',
+  CONTEXT_MENU_ID: 'pagepal-ask-selection',
+  SELECTION_SCRIPT_ID: 'pagepal-selection-actions', // content.js, registered while the tooltip is on
+  SITE_ACCESS_ORIGINS: ['http://*/*', 'https://*/*'], // Optional host permission for the tooltip and side panel
   
   // DOM selectors
   EXCLUDE_SELECTORS: [
@@ -56,30 +135,40 @@ export const CONFIG = {
     INSUFFICIENT_CREDITS: 'Insufficient credits. Please check your account billing.',
     NO_CONTENT_FOUND: 'No content found on this page.',
     NO_RESPONSE_GENERATED: 'No response generated from AI provider.',
-    INVALID_REQUEST: 'Invalid request format.'
+    INVALID_REQUEST: 'Invalid request format.',
+    REQUEST_TOO_LARGE: 'Request too large. Try a shorter page or fewer screenshots.',
+    OVERLOADED: 'The AI provider is temporarily overloaded. Please try again shortly.',
+    CUSTOM_ENDPOINT_UNREACHABLE: 'Could not reach the custom endpoint. Check the base URL and that the server is running.'
   },
   
   // API key validation patterns
   API_KEY_PATTERNS: {
     OPENAI: /^sk-[a-zA-Z0-9_-]{20,}$/,
-    GEMINI: /^AIza[a-zA-Z0-9_-]{35}$/
+    GEMINI: /^AIza[a-zA-Z0-9_-]{35}$/,
+    ANTHROPIC: /^sk-ant-[a-zA-Z0-9_-]{20,}$/
   }
 };
 
 // Model configurations
 export const MODELS = {
   OPENAI: {
-    'gpt-3.5-turbo': { name: 'GPT-3.5 Turbo', costPer1k: 0.001 },
-    'gpt-4': { name: 'GPT-4', costPer1k: 0.03 },
-    'gpt-4-turbo': { name: 'GPT-4 Turbo', costPer1k: 0.01 },
-    'gpt-4o': { name: 'GPT-4o', costPer1k: 0.005 },
-    'gpt-4o-mini': { name: 'GPT-4o Mini', costPer1k: 0.00015 },
-    'gpt-4o-vision': { name: 'GPT-4o Vision', costPer1k: 0.005, isVision: true }
+    'gpt-3.5-turbo': { name: 'GPT-3.5 Turbo', costPer1k: 0.001, contextTokens: 16385 },
+    'gpt-4': { name: 'GPT-4', costPer1k: 0.03, contextTokens: 8192 },
+    'gpt-4-turbo': { name: 'GPT-4 Turbo', costPer1k: 0.01, contextTokens: 128000 },
+    'gpt-4o': { name: 'GPT-4o', costPer1k: 0.005, contextTokens: 128000 },
+    'gpt-4o-mini': { name: 'GPT-4o Mini', costPer1k: 0.00015, contextTokens: 128000 },
+    'gpt-4o-vision': { name: 'GPT-4o Vision', costPer1k: 0.005, contextTokens: 128000, isVision: true }
   },
   GEMINI: {
-    'gemini-1.5-flash': { name: 'Gemini 1.5 Flash', costPer1k: 0.00075 },
-    'gemini-1.5-pro': { name: 'Gemini 1.5 Pro', costPer1k: 0.0035 },
-    'gemini-1.5-vision': { name: 'Gemini 1.5 Vision', costPer1k: 0.0035, isVision: true }
+    'gemini-1.5-flash': { name: 'Gemini 1.5 Flash', costPer1k: 0.00075, contextTokens: 1000000 },
+    'gemini-1.5-pro': { name: 'Gemini 1.5 Pro', costPer1k: 0.0035, contextTokens: 2000000 },
+    'gemini-1.5-vision': { name: 'Gemini 1.5 Vision', costPer1k: 0.0035, contextTokens: 1000000, isVision: true }
+  },
+  ANTHROPIC: {
+    'claude-3-5-haiku-latest': { name: 'Claude 3.5 Haiku', costPer1k: 0.0008, contextTokens: 200000 },
+    'claude-3-5-sonnet-latest': { name: 'Claude 3.5 Sonnet', costPer1k: 0.003, contextTokens: 200000 },
+    'claude-3-opus-latest': { name: 'Claude 3 Opus', costPer1k: 0.015, contextTokens: 200000 },
+    'claude-vision': { name: 'Claude Vision', costPer1k: 0.003, contextTokens: 200000, isVision: true }
   }
 };
 
@@ -94,5 +183,41 @@ export const PROMPTS = {
                         Don't start by analyzing what the screenshots do or don't show - just answer the question and incorporate the visual content as supporting context when it's useful.
                         You can see visual layout, images, text positioning, sidebars, navigation elements, and overall design in the screenshots.
                         Focus on providing comprehensive, direct answers that seamlessly blend your knowledge with any relevant visual information.
-                        Be concise but thorough in your responses.`
+                        Be concise but thorough in your responses.`,
+
+  CITATION_SYSTEM_PROMPT: `You are a helpful AI assistant. The webpage content is provided as numbered passages like [1], [2].
+                          Every statement that relies on the webpage must cite the passage(s) it came from, immediately after the statement, using the bracketed number: [3] or [2, 5].
+                          Only cite passage numbers that appear in the provided content, and never invent quotes. You may add your own knowledge, but leave those statements uncited so readers can tell them apart.
+                          If the passages don't answer the question, say so before answering from general knowledge.
+                          Be concise but thorough in your responses.`,
+
+  TRANSCRIPT_SYSTEM_PROMPT: `You are a helpful AI assistant. The webpage is a video, provided as its transcript in paragraphs that start with [m:ss] timestamps.
+                           Answer questions directly using your full knowledge, and weave in what the video says when relevant.
+                           When you refer to something said or shown in the video, add the timestamp of the paragraph it comes from in the same bracketed form, like [12:34], so the reader can jump to it. Only use timestamps that appear in the transcript.
+                           Be concise but thorough in your responses.`,
+
+  // Added to the summary focus for transcripts so the summary points back into the video
+  TRANSCRIPT_SUMMARY_FOCUS: 'This is a video transcript. After each key point, add the [m:ss] timestamp of the paragraph where it is made.',
+
+  SUMMARY_SYSTEM_PROMPT: `You are a careful summarizer. Summarize only what the provided text says, without adding outside knowledge or commentary.
+                         Preserve key facts, figures, names, definitions, requirements and conclusions. Use Markdown headings and bullet points where they help.`,
+
+  SUMMARY_SECTION_TASK: 'Summarize this section of a longer document. Keep every important detail; it will later be merged with summaries of the other sections.',
+
+  SUMMARY_MERGE_TASK: 'These are summaries of consecutive sections of one document. Merge them into a single summary in the same order, removing repetition but keeping every important detail.',
+
+  SUMMARY_FINAL_TASK: 'These are summaries of consecutive sections of one document. Write a single, well-organized summary of the whole document from them, starting with a short overview.',
+
+  SUMMARY_WHOLE_TASK: 'Write a well-organized summary of this whole page, starting with a short overview.',
+
+  SELECTION_SYSTEM_PROMPT: `You are a helpful AI assistant. The user selected a passage on a webpage and wants help with it; the paragraph around the selection is provided for context.
+                           Your answer is shown in a small panel next to the selection, so keep it short: a few sentences or a brief list.
+                           Focus on the selected text itself and use the surrounding paragraph only to interpret it.`,
+
+  // Questions asked by the selection actions; {selection} is replaced with the selected text
+  SELECTION_ACTIONS: {
+    explain: 'Explain what this means: "{selection}"',
+    define: 'Define "{selection}" as it is used here, in one or two sentences.',
+    simplify: 'Rewrite this in plain, simple language: "{selection}"'
+  }
 };
\ No newline at end of file
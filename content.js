@@ -0,0 +1,293 @@
+// PagePal AI - Selection actions content script
+//
+// Shows a small tooltip when text is selected (or when the context menu entry is
+// used) offering Explain / Define / Simplify / Ask…. Only the selection and its
+// surrounding paragraph are sent, through the background service worker, and the
+// answer appears in a panel next to the selection. The worker injects this script
+// on a context-menu click, and registers it for every page only while the tooltip
+// setting is on and site access has been granted.
+//
+// Content scripts can't be ES modules, so the names below mirror
+// CONFIG.MESSAGE_TYPES and CONFIG.STORAGE_KEYS.SELECTION_TOOLTIP.
+
+(() => {
+  if (window.__pagepalSelectionActions) return;
+  window.__pagepalSelectionActions = true;
+
+  const MESSAGE_TYPES = {
+    ASK_SELECTION: 'askSelection',
+    SHOW_SELECTION_ACTIONS: 'showSelectionActions'
+  };
+  const TOOLTIP_SETTING_KEY = 'selectionTooltip';
+  const MIN_SELECTION_LENGTH = 2;
+  const MAX_PARAGRAPH_LENGTH = 6000; // The background trims this to CONFIG.SELECTION_CONTEXT_LENGTH
+  const BLOCK_SELECTOR = 'p, li, td, th, dd, dt, blockquote, pre, figcaption, h1, h2, h3, h4, h5, h6, article, section';
+  const ACTIONS = [
+    { id: 'explain', label: 'Explain' },
+    { id: 'define', label: 'Define' },
+    { id: 'simplify', label: 'Simplify' },
+    { id: 'ask', label: 'Ask…' }
+  ];
+
+  const STYLES = `
+    .card {
+      position: absolute;
+      max-width: 360px;
+      box-sizing: border-box;
+      padding: 6px;
+      border-radius: 8px;
+      border: 1px solid #dadce0;
+      background: #fff;
+      color: #202124;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.18);
+      font: 13px/1.45 system-ui, -apple-system, sans-serif;
+      text-align: left;
+    }
+    .actions { display: flex; gap: 4px; }
+    button {
+      font: inherit;
+      border: none;
+      border-radius: 6px;
+      padding: 4px 10px;
+      background: transparent;
+      color: inherit;
+      cursor: pointer;
+    }
+    button:hover, button:focus-visible { background: rgba(26, 115, 232, 0.12); outline: none; }
+    .brand { font-weight: 600; color: #1a73e8; padding: 4px 6px 4px 4px; }
+    .ask-form { display: flex; gap: 4px; }
+    .ask-form input {
+      flex: 1;
+      min-width: 220px;
+      font: inherit;
+      padding: 4px 8px;
+      border: 1px solid #dadce0;
+      border-radius: 6px;
+      background: transparent;
+      color: inherit;
+    }
+    .panel { width: 340px; padding: 6px 8px; }
+    .panel-header { display: flex; align-items: center; justify-content: space-between; gap: 8px; margin-bottom: 4px; }
+    .panel-title { font-weight: 600; }
+    .close { padding: 0 6px; font-size: 16px; line-height: 1.4; }
+    .answer { white-space: pre-wrap; max-height: 280px; overflow-y: auto; }
+    .muted { color: #5f6368; }
+    .error { color: #c5221f; }
+    @media (prefers-color-scheme: dark) {
+      .card { background: #292a2d; color: #e8eaed; border-color: #5f6368; }
+      .brand { color: #8ab4f8; }
+      .muted { color: #9aa0a6; }
+      .error { color: #f28b82; }
+      .ask-form input { border-color: #5f6368; }
+    }
+  `;
+
+  let tooltipEnabled = false;
+  let host = null;
+  let shadow = null;
+  let current = null; // { text, context, rect }
+
+  chrome.storage.sync.get({ [TOOLTIP_SETTING_KEY]: false }).then(result => {
+    tooltipEnabled = result[TOOLTIP_SETTING_KEY] === true;
+  });
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && changes[TOOLTIP_SETTING_KEY]) {
+      tooltipEnabled = changes[TOOLTIP_SETTING_KEY].newValue === true;
+    }
+  });
+
+  function isEditable(element) {
+    return !!element && (element.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName));
+  }
+
+  // The selected text, its rectangle and the paragraph around it. The context menu
+  // passes its own selection text for selections getSelection() can't see (form fields).
+  function readSelection(fallbackText = '') {
+    const selection = window.getSelection();
+    const selectedText = selection ? selection.toString().trim() : '';
+    const text = selectedText || fallbackText.trim();
+    if (text.length < MIN_SELECTION_LENGTH) return null;
+
+    let rect = null;
+    let context = '';
+    if (selectedText && selection.rangeCount > 0) {
+      const range = selection.getRangeAt(0);
+      rect = range.getBoundingClientRect();
+      const node = range.commonAncestorContainer;
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      const block = element?.closest(BLOCK_SELECTOR) || element;
+      context = (block?.innerText || block?.textContent || '').slice(0, MAX_PARAGRAPH_LENGTH);
+    }
+    return { text, context, rect };
+  }
+
+  function ensureHost() {
+    if (host?.isConnected) return;
+    host = document.createElement('pagepal-selection');
+    host.style.cssText = 'all: initial; position: absolute; top: 0; left: 0; z-index: 2147483647;';
+    shadow = host.attachShadow({ mode: 'closed' });
+    document.documentElement.appendChild(host);
+  }
+
+  function hide() {
+    if (shadow) shadow.replaceChildren();
+  }
+
+  function isVisible() {
+    return !!shadow && shadow.childElementCount > 0;
+  }
+
+  // Replace the tooltip content and place it below the selection (above when there's no room)
+  function render(...children) {
+    ensureHost();
+    const style = document.createElement('style');
+    style.textContent = STYLES;
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.append(...children);
+    shadow.replaceChildren(style, card);
+
+    const margin = 8;
+    const rect = current?.rect;
+    let left;
+    let top;
+    if (rect && (rect.width || rect.height)) {
+      left = rect.left + rect.width / 2 - card.offsetWidth / 2;
+      top = rect.bottom + margin;
+      if (top + card.offsetHeight > window.innerHeight && rect.top - margin - card.offsetHeight > 0) {
+        top = rect.top - margin - card.offsetHeight;
+      }
+    } else {
+      left = (window.innerWidth - card.offsetWidth) / 2;
+      top = margin * 4;
+    }
+    left = Math.max(margin, Math.min(left, window.innerWidth - card.offsetWidth - margin));
+    card.style.left = `${left + window.scrollX}px`;
+    card.style.top = `${top + window.scrollY}px`;
+    return card;
+  }
+
+  function button(label, onClick, className = '') {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.textContent = label;
+    if (className) element.className = className;
+    element.addEventListener('click', onClick);
+    return element;
+  }
+
+  function showActions(selection) {
+    current = selection;
+    const row = document.createElement('div');
+    row.className = 'actions';
+    const brand = document.createElement('span');
+    brand.className = 'brand';
+    brand.textContent = 'PagePal';
+    row.appendChild(brand);
+    ACTIONS.forEach(action => {
+      row.appendChild(button(action.label, () => (action.id === 'ask' ? showAskForm() : runAction(action))));
+    });
+    render(row);
+  }
+
+  function showAskForm() {
+    const form = document.createElement('form');
+    form.className = 'ask-form';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Ask about the selection…';
+    const submit = button('Ask', () => {});
+    submit.type = 'submit';
+    form.append(input, submit);
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      const question = input.value.trim();
+      if (question) runAction({ id: 'ask', label: 'Ask' }, question);
+    });
+    render(form);
+    input.focus();
+  }
+
+  function showPanel(title, body) {
+    const panel = document.createElement('div');
+    panel.className = 'panel';
+    const header = document.createElement('div');
+    header.className = 'panel-header';
+    const heading = document.createElement('span');
+    heading.className = 'panel-title';
+    heading.textContent = title;
+    const close = button('×', hide, 'close');
+    close.title = 'Close';
+    header.append(heading, close);
+    panel.append(header, body);
+    render(panel).style.padding = '0';
+  }
+
+  function textBlock(text, className) {
+    const element = document.createElement('div');
+    element.className = className;
+    element.textContent = text;
+    return element;
+  }
+
+  async function runAction(action, question = '') {
+    const selection = current;
+    const title = action.id === 'ask' ? question : `${action.label}: “${selection.text.slice(0, 40)}${selection.text.length > 40 ? '…' : ''}”`;
+    showPanel(title, textBlock('Thinking…', 'muted'));
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.ASK_SELECTION,
+        action: action.id,
+        question,
+        selection: selection.text,
+        context: selection.context,
+        url: window.location.href,
+        title: document.title
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No answer received');
+      }
+      if (current === selection) showPanel(title, textBlock(response.answer, 'answer'));
+    } catch (error) {
+      // After the extension reloads, scripts left in open tabs can no longer reach it
+      const message = /context invalidated/i.test(error.message)
+        ? 'PagePal was updated. Reload this page to use it here.'
+        : error.message;
+      if (current === selection) showPanel(title, textBlock(message, 'error'));
+    }
+  }
+
+  function isInsideTooltip(event) {
+    return !!host && event.composedPath().includes(host);
+  }
+
+  document.addEventListener('mousedown', event => {
+    if (!isInsideTooltip(event)) {
+      current = null;
+      hide();
+    }
+  }, true);
+
+  document.addEventListener('mouseup', event => {
+    if (!tooltipEnabled || isInsideTooltip(event) || isEditable(document.activeElement)) return;
+    // Wait a tick: clicking inside an existing selection clears it only after mouseup
+    setTimeout(() => {
+      const selection = readSelection();
+      if (selection && !isVisible()) showActions(selection);
+    }, 0);
+  });
+
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && isVisible()) {
+      current = null;
+      hide();
+    }
+  });
+
+  chrome.runtime.onMessage.addListener(message => {
+    if (message?.type !== MESSAGE_TYPES.SHOW_SELECTION_ACTIONS) return;
+    const selection = readSelection(message.selectionText || '');
+    if (selection) showActions(selection);
+  });
+})();
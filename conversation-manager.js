@@ -0,0 +1,106 @@
+// PagePal AI - Per-page Conversation Threads
+
+import { CONFIG } from './constants.js';
+import { storage, estimateTokens, getModelContextTokens } from './utils.js';
+
+export class ConversationManager {
+  constructor() {
+    this.STORAGE_KEY = CONFIG.STORAGE_KEYS.CONVERSATIONS;
+  }
+
+  /**
+   * Normalize a page URL into a thread key (fragments don't change the page)
+   */
+  getThreadKey(url) {
+    if (!url) return 'unknown';
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.toString();
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Load all stored threads
+   */
+  async getAllThreads() {
+    const result = await storage.get([this.STORAGE_KEY], 'local');
+    return result[this.STORAGE_KEY] || {};
+  }
+
+  /**
+   * Get the thread for a page, or an empty one if none exists yet
+   */
+  async getThread(url) {
+    const threads = await this.getAllThreads();
+    return threads[this.getThreadKey(url)] || {
+      url: this.getThreadKey(url),
+      title: '',
+      turns: [],
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Append a completed question/answer turn to a page's thread
+   */
+  async addTurn(url, title, turn) {
+    const threads = await this.getAllThreads();
+    const key = this.getThreadKey(url);
+    const thread = threads[key] || { url: key, title: '', turns: [], updatedAt: null };
+
+    thread.title = title || thread.title;
+    thread.turns.push({
+      question: turn.question,
+      answer: turn.answer,
+      model: turn.model,
+      timestamp: turn.timestamp || Date.now()
+    });
+    thread.turns = thread.turns.slice(-CONFIG.MAX_CONVERSATION_TURNS);
+    thread.updatedAt = Date.now();
+    threads[key] = thread;
+
+    await storage.set({ [this.STORAGE_KEY]: this.pruneThreads(threads) }, 'local');
+    return thread;
+  }
+
+  /**
+   * Remove a page's thread to start a fresh conversation
+   */
+  async clearThread(url) {
+    const threads = await this.getAllThreads();
+    delete threads[this.getThreadKey(url)];
+    return await storage.set({ [this.STORAGE_KEY]: threads }, 'local');
+  }
+
+  /**
+   * Keep only the most recently updated threads so local storage doesn't grow unbounded
+   */
+  pruneThreads(threads) {
+    const entries = Object.entries(threads)
+      .sort(([, a], [, b]) => (b.updatedAt || 0) - (a.updatedAt || 0))
+      .slice(0, CONFIG.MAX_STORED_CONVERSATIONS);
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Select the most recent turns that fit in the model's context window after
+   * reserving room for the current page context, question and the reply
+   */
+  trimHistoryForModel(turns, model, reservedTokens = 0) {
+    const budget = getModelContextTokens(model) - reservedTokens - CONFIG.DEFAULT_MAX_TOKENS;
+    const history = [];
+    let usedTokens = 0;
+
+    for (let i = turns.length - 1; i >= 0; i--) {
+      const turnTokens = estimateTokens(turns[i].question, model) + estimateTokens(turns[i].answer, model);
+      if (usedTokens + turnTokens > budget) break;
+      usedTokens += turnTokens;
+      history.unshift({ question: turns[i].question, answer: turns[i].answer });
+    }
+
+    return history;
+  }
+}
@@ -0,0 +1,1168 @@
+// PagePal AI - Structured page extraction
+//
+// Walks the page's main content and writes it out as Markdown, so heading levels,
+// nested lists, tables, code blocks and link targets reach the model intact instead
+// of being flattened by innerText.
+//
+// Only what the reader can see is extracted: visibility comes from the live page's
+// computed styles, and aria-hidden, screen-reader-only and off-screen text is left out.
+// Collapsed <details>, accordions and inactive tabs can optionally be included.
+//
+// The main content is found Readability-style: paragraphs score their ancestors by
+// length and comma count, candidates are weighted by class/id hints and penalised
+// for link density, and boilerplate blocks inside the winner are dropped.
+//
+// Open shadow roots are read as part of their host, slots included. Frames are
+// extracted separately (the function runs in every frame); each frame leaves a
+// placeholder where its iframe sits and mergeFrameResults() splices them together.
+//
+// A few sites the generic pass mangles (Wikipedia, GitHub, Stack Exchange, MDN) have
+// their own adapters, picked by URL, that return labeled sections. A site adapter that
+// finds nothing falls back to the generic extractor.
+
+const FRAME_PLACEHOLDER = /\u2063frame:(\d+)\u2063(\n\n)?/g;
+const MAX_FRAME_DEPTH = 4;
+
+/**
+ * Injected into the page: extract the main content as Markdown.
+ * Runs in each frame; iframes appear in the text as placeholders listed in result.frames.
+ * options: { includeCollapsed } also extracts content the user could expand;
+ * { siteExtractors: false } turns the site adapters off; { tocSelectors } are where
+ * to look for a table of contents, returned as result.toc for the page outline.
+ * Must stay self-contained since it runs via chrome.scripting.executeScript.
+ */
+export function extractStructuredTextFunction(options = {}) {
+  // Configuration constants (inlined to avoid dependencies)
+  const EXCLUDE_SELECTOR = [
+    'nav', 'header', 'footer',
+    '.nav', '.navbar', '.navigation', '.header', '.footer',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
+    'script', 'style', 'noscript', 'meta', 'link', '.cookie-banner',
+    '.advertisement', '.ads', '.social-share'
+  ].join(', ');
+  const MAIN_CONTENT_SELECTORS = [
+    'main', '[role="main"]', '.main-content', '#main', '.content', 'article'
+  ];
+  const SCORED_SELECTOR = 'p, pre, td, blockquote, dd, div, section';
+  const CLEANABLE_TAGS = new Set(['DIV', 'SECTION', 'ASIDE', 'UL', 'OL', 'DL', 'TABLE', 'FORM', 'FIGURE']);
+  const POSITIVE_HINTS = /article|body|content|entry|h-?entry|main|page|post|text|blog|story|markdown|prose|docs?\b/i;
+  const NEGATIVE_HINTS = /hidden|banner|combx|comment|com-|contact|foot|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|ad-|advert|breadcrumb|cookie|newsletter|subscribe|social|popup|modal|pagination/i;
+  const MIN_PARAGRAPH_LENGTH = 25;
+  const MIN_FRAME_WIDTH = 200; // Smaller iframes are ads, widgets and tracking pixels
+  const MIN_FRAME_HEIGHT = 100;
+  const FRAME_SCORE = 10; // Content score a large iframe gives its ancestors, like a long paragraph
+  const MAX_TOC_ENTRIES = 300;
+  const SKIP_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'META', 'LINK', 'SVG', 'CANVAS',
+    'OBJECT', 'EMBED', 'INPUT', 'SELECT', 'TEXTAREA', 'OPTION', 'DATALIST'
+  ]);
+  const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BODY', 'CENTER', 'DD', 'DETAILS', 'DIALOG',
+    'DIR', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2',
+    'H3', 'H4', 'H5', 'H6', 'HEADER', 'HGROUP', 'HR', 'LEGEND', 'LI', 'MAIN', 'MENU', 'NAV', 'OL',
+    'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL', 'IFRAME', 'FRAME'
+  ]);
+  const CODE_TAGS = new Set(['CODE', 'KBD', 'SAMP', 'TT']);
+  const LANGUAGE_PATTERN = /(?:^|\s)(?:language|lang|highlight-source|brush)[-:]?\s*([\w#+.-]+)/i;
+  const COLLAPSIBLE_SELECTOR = '[role="tabpanel"], [hidden="until-found"], .collapse, .accordion-collapse, .tab-pane';
+
+  const includeCollapsed = !!options.includeCollapsed;
+  const pageUrl = window.location.href.split('#')[0];
+  // An open modal marks the rest of the page aria-hidden, which says nothing about what's visible
+  const respectAriaHidden = !document.querySelector('[aria-modal="true"], dialog[open]');
+
+  // Panels toggled by a collapsed disclosure button or a tab, and each tab's label
+  const collapsibleIds = new Set();
+  const tabLabels = new Map();
+  document.querySelectorAll('[aria-controls]').forEach(control => {
+    const isTab = control.getAttribute('role') === 'tab';
+    if (!isTab && control.getAttribute('aria-expanded') !== 'false') return;
+    control.getAttribute('aria-controls').split(/\s+/).forEach(id => {
+      collapsibleIds.add(id);
+      if (isTab) tabLabels.set(id, collapse(control.textContent).trim());
+    });
+  });
+
+  // Hidden content the user can reveal: inactive tabs, accordion panels, hidden="until-found"
+  function isCollapsible(element) {
+    return (element.id && collapsibleIds.has(element.id)) || element.matches(COLLAPSIBLE_SELECTOR);
+  }
+
+  // Clipped to nothing or positioned off the page: the usual ways of hiding text visually
+  // while leaving it for screen readers
+  function isVisuallyHidden(element, style) {
+    if (style.position !== 'absolute' && style.position !== 'fixed') return false;
+    if (/^rect\(0(px)?,? 0(px)?,? 0(px)?,? 0(px)?\)$/.test(style.clip) || style.clipPath === 'inset(50%)') return true;
+
+    const rect = element.getBoundingClientRect();
+    if (rect.width <= 1 && rect.height <= 1 && style.overflow === 'hidden') return true;
+    const scrolled = style.position === 'absolute';
+    return rect.right + (scrolled ? window.scrollX : 0) <= 0 || rect.bottom + (scrolled ? window.scrollY : 0) <= 0;
+  }
+
+  function isHidden(element) {
+    const revealable = includeCollapsed && isCollapsible(element);
+    if (respectAriaHidden && element.getAttribute('aria-hidden') === 'true' && !revealable) return true;
+
+    const style = window.getComputedStyle(element);
+    if (style.display === 'none' || style.visibility === 'hidden' || style.visibility === 'collapse') {
+      return !revealable;
+    }
+    return isVisuallyHidden(element, style);
+  }
+
+  function isBlock(element) {
+    if (BLOCK_TAGS.has(element.tagName)) return true;
+    // Custom elements and restyled spans: trust the computed display
+    const display = window.getComputedStyle(element).display;
+    return !!display && !display.startsWith('inline') && display !== 'contents';
+  }
+
+  // Site adapters pick their content precisely, so their skip list replaces boilerplate cleaning
+  function shouldSkip(element) {
+    return SKIP_TAGS.has(element.tagName.toUpperCase()) || element.matches(EXCLUDE_SELECTOR) ||
+      isHidden(element) || (activeSite ? element.matches(activeSite.skip) : isBoilerplate(element));
+  }
+
+  function textLength(element) {
+    return collapse(element.textContent || '').trim().length;
+  }
+
+  // Share of an element's text that is link text; in-page anchors count for less
+  function linkDensity(element) {
+    const length = textLength(element);
+    if (!length) return 0;
+    let linkLength = 0;
+    element.querySelectorAll('a').forEach(link => {
+      const href = link.getAttribute('href') || '';
+      linkLength += textLength(link) * (href.startsWith('#') ? 0.3 : 1);
+    });
+    return Math.min(1, linkLength / length);
+  }
+
+  // Readability's class/id weighting: +25 per positive hint, -25 per negative one
+  function classWeight(element) {
+    let weight = 0;
+    [typeof element.className === 'string' ? element.className : '', element.id].forEach(name => {
+      if (!name) return;
+      if (NEGATIVE_HINTS.test(name)) weight -= 25;
+      if (POSITIVE_HINTS.test(name)) weight += 25;
+    });
+    return weight;
+  }
+
+  function initialScore(element) {
+    let score = classWeight(element);
+    switch (element.tagName) {
+      case 'ARTICLE':
+      case 'MAIN':
+        score += 10;
+        break;
+      case 'DIV':
+        score += 5;
+        break;
+      case 'PRE':
+      case 'TD':
+      case 'BLOCKQUOTE':
+        score += 3;
+        break;
+      case 'ADDRESS':
+      case 'OL':
+      case 'UL':
+      case 'DL':
+      case 'DD':
+      case 'DT':
+      case 'LI':
+      case 'FORM':
+        score -= 3;
+        break;
+      case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': case 'TH':
+        score -= 5;
+        break;
+    }
+    return element.matches('[role="main"]') ? score + 10 : score;
+  }
+
+  // Divs and sections only score as paragraphs when they hold text directly, not other blocks
+  function isParagraphLike(element) {
+    if (element.tagName !== 'DIV' && element.tagName !== 'SECTION') return true;
+    return !element.querySelector(':scope > div, :scope > p, :scope > section, :scope > table, :scope > ul, :scope > ol, :scope > pre, :scope > blockquote');
+  }
+
+  /**
+   * Score every block that holds paragraphs, Readability-style. Returns candidates
+   * sorted best first as { element, score }.
+   */
+  function scoreCandidates() {
+    const scores = new Map();
+    const addScore = (element, contentScore) => {
+      let ancestor = composedParent(element);
+      for (let level = 0; ancestor && ancestor !== document.documentElement && level < 3; level++) {
+        if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+        ancestor = composedParent(ancestor);
+      }
+    };
+
+    queryAllDeep(document.body, SCORED_SELECTOR).forEach(paragraph => {
+      if (!isParagraphLike(paragraph) || paragraph.closest(EXCLUDE_SELECTOR)) return;
+      const text = collapse(paragraph.textContent || '').trim();
+      if (text.length < MIN_PARAGRAPH_LENGTH || isHidden(paragraph)) return;
+
+      addScore(paragraph, 1 + text.split(/[,，、]/).length - 1 + Math.min(Math.floor(text.length / 100), 3));
+    });
+    // An embedded reader or lesson frame is content its container should get credit for
+    queryAllDeep(document.body, 'iframe, frame').forEach(frame => {
+      if (!frame.closest(EXCLUDE_SELECTOR) && !isHidden(frame) && isContentFrame(frame)) {
+        addScore(frame, FRAME_SCORE);
+      }
+    });
+
+    return Array.from(scores, ([element, score]) => ({ element, score: score * (1 - linkDensity(element)) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // When several strong candidates sit side by side, their common container is the content
+  function widenToSharedAncestor(top, candidates) {
+    const rivals = candidates.slice(1, 5).filter(candidate => candidate.score >= top.score * 0.75);
+    if (rivals.length < 2) return top.element;
+
+    // Ancestor chains cross shadow boundaries, which contains() doesn't
+    const ancestorsOf = element => {
+      const ancestors = new Set();
+      for (let node = composedParent(element); node; node = composedParent(node)) ancestors.add(node);
+      return ancestors;
+    };
+    const rivalAncestors = rivals.map(candidate => ancestorsOf(candidate.element));
+
+    let ancestor = composedParent(top.element);
+    while (ancestor && ancestor !== document.body) {
+      const contained = rivalAncestors.filter(ancestors => ancestors.has(ancestor)).length;
+      if (contained >= 2) return ancestor;
+      ancestor = composedParent(ancestor);
+    }
+    return top.element;
+  }
+
+  // Siblings of the chosen block that look like content too (split article bodies)
+  function contentSiblings(element, scores, topScore) {
+    const threshold = Math.max(10, topScore * 0.2);
+    if (!element.parentElement) return [element]; // Top of a shadow root
+    return Array.from(element.parentElement.children).filter(sibling => {
+      if (sibling === element) return true;
+      if (shouldSkip(sibling)) return false;
+      if ((scores.get(sibling) || 0) >= threshold) return true;
+      if (sibling.tagName !== 'P') return false;
+      const length = textLength(sibling);
+      return length > 80 && linkDensity(sibling) < 0.25;
+    });
+  }
+
+  // Short CSS path for the debug view, e.g. "main#content > div.post-body:nth-of-type(2)".
+  // Inside shadow DOM the host's path comes first, joined with " >>> ".
+  function describeElement(element) {
+    const root = element.getRootNode();
+    const parts = [];
+    let node = element;
+    while (node && node !== document.documentElement && parts.length < 4) {
+      let part = node.tagName.toLowerCase();
+      if (node.id && root.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+        parts.unshift(`${part}#${CSS.escape(node.id)}`);
+        break;
+      }
+      const classes = typeof node.className === 'string' ? node.className.trim().split(/\s+/).filter(Boolean).slice(0, 2) : [];
+      if (classes.length) part += classes.map(name => `.${CSS.escape(name)}`).join('');
+      const sameTag = node.parentElement ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName) : [];
+      if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+      parts.unshift(part);
+      node = node.parentElement;
+    }
+    const path = parts.join(' > ');
+    return root.host ? `${describeElement(root.host)} >>> ${path}` : path;
+  }
+
+  /**
+   * The element(s) to extract plus what the debug view reports about the choice.
+   * Falls back to the first semantic container, then the body, on pages without prose.
+   */
+  function findContent() {
+    const candidates = scoreCandidates();
+    const scores = new Map(candidates.map(candidate => [candidate.element, candidate.score]));
+    let roots;
+    let method;
+
+    if (candidates.length > 0 && candidates[0].score > 0) {
+      const chosen = widenToSharedAncestor(candidates[0], candidates);
+      roots = chosen === candidates[0].element ? contentSiblings(chosen, scores, candidates[0].score) : [chosen];
+      method = 'scored';
+    } else {
+      const semantic = MAIN_CONTENT_SELECTORS.map(selector => Array.from(document.querySelectorAll(selector))
+        .find(candidate => !candidate.parentElement?.closest(EXCLUDE_SELECTOR) && !isHidden(candidate)))
+        .find(Boolean);
+      roots = [semantic || document.body];
+      method = semantic ? 'selector' : 'body';
+    }
+
+    return {
+      roots,
+      debug: {
+        method,
+        selector: describeElement(roots.length > 1 ? roots[0].parentElement : roots[0]),
+        rootCount: roots.length,
+        score: Math.round(scores.get(roots[0]) || 0),
+        candidates: candidates.slice(0, 5).map(candidate => ({
+          selector: describeElement(candidate.element),
+          score: Math.round(candidate.score),
+          textLength: textLength(candidate.element),
+          linkDensity: Math.round(linkDensity(candidate.element) * 100) / 100
+        }))
+      }
+    };
+  }
+
+  // Roots of the extracted content; boilerplate checks never remove these
+  let contentRoots = [];
+  const boilerplateCache = new WeakMap();
+  let removedCount = 0;
+
+  /**
+   * Readability-style conditional cleaning of blocks inside the content: negatively
+   * hinted blocks, link lists and form-heavy blocks go, unless they hold code
+   */
+  function isBoilerplate(element) {
+    if (!CLEANABLE_TAGS.has(element.tagName) || contentRoots.includes(element)) return false;
+    if (boilerplateCache.has(element)) return boilerplateCache.get(element);
+
+    let boilerplate = false;
+    if (!element.querySelector('pre, h1, h2')) {
+      const weight = classWeight(element);
+      const length = textLength(element);
+      const density = linkDensity(element);
+      const inputs = element.querySelectorAll('input, select, textarea, button').length;
+      boilerplate = weight < 0 ||
+        (weight === 0 && density > 0.5 && length < 1000) ||
+        (inputs > 2 && inputs > element.querySelectorAll('p').length);
+    }
+    if (boilerplate) removedCount++;
+    boilerplateCache.set(element, boilerplate);
+    return boilerplate;
+  }
+
+  function collapse(text) {
+    return text.replace(/\s+/g, ' ');
+  }
+
+  // Children in the rendered (flattened) tree: a host's open shadow root instead of its
+  // light DOM, and a slot's assigned nodes instead of its fallback content
+  function composedChildNodes(node) {
+    if (node.shadowRoot) return Array.from(node.shadowRoot.childNodes);
+    if (node.tagName === 'SLOT') {
+      const assigned = node.assignedNodes({ flatten: true });
+      if (assigned.length > 0) return assigned;
+    }
+    return Array.from(node.childNodes);
+  }
+
+  function composedParent(element) {
+    return element.parentElement || element.getRootNode().host || null;
+  }
+
+  // querySelectorAll that also searches open shadow roots
+  function queryAllDeep(root, selector) {
+    const matches = Array.from(root.querySelectorAll(selector));
+    root.querySelectorAll('*').forEach(element => {
+      if (element.shadowRoot) matches.push(...queryAllDeep(element.shadowRoot, selector));
+    });
+    return matches;
+  }
+
+  // Frames found while rendering: { url, name, title }, indexed by their placeholder
+  const frames = [];
+
+  function isContentFrame(frame) {
+    const rect = frame.getBoundingClientRect();
+    return rect.width >= MIN_FRAME_WIDTH && rect.height >= MIN_FRAME_HEIGHT;
+  }
+
+  // The frame's own copy of this function fills the placeholder in
+  function renderFrame(frame) {
+    if (!isContentFrame(frame)) return [];
+    let url = frame.src;
+    try {
+      url = frame.contentWindow.location.href; // Current address of a same-origin frame
+    } catch (error) {
+      // Cross-origin: the src attribute is the best we have
+    }
+    frames.push({ url, name: frame.name || '', title: frame.title || '' });
+    return [`\u2063frame:${frames.length - 1}\u2063`];
+  }
+
+  // Markdown for a run of inline content; block elements nested inside inline ones
+  // (a card wrapped in a link, say) are flattened into the same line
+  function renderInline(node) {
+    if (node.nodeType === Node.TEXT_NODE) return collapse(node.nodeValue);
+    if (node.nodeType !== Node.ELEMENT_NODE || shouldSkip(node)) return '';
+
+    const tag = node.tagName;
+    if (tag === 'BR') return '\n';
+    if (CODE_TAGS.has(tag)) return renderInlineCode(node.textContent);
+    if (tag === 'IMG') return renderImage(node);
+
+    const content = composedChildNodes(node).map(renderInline).join('');
+    if (tag === 'A') return renderLink(node, content);
+    if (tag === 'STRONG' || tag === 'B') return wrapEmphasis(content, '**');
+    if (tag === 'EM' || tag === 'I') return wrapEmphasis(content, '*');
+    if (tag === 'DEL' || tag === 'S') return wrapEmphasis(content, '~~');
+    if (isBlock(node)) return ` ${content} `;
+    return content;
+  }
+
+  function renderInlineCode(text) {
+    const code = collapse(text).trim();
+    if (!code) return '';
+    const fence = code.includes('`') ? '``' : '`';
+    return `${fence}${code}${fence}`;
+  }
+
+  function renderImage(image) {
+    const alt = collapse(image.getAttribute('alt') || '').trim();
+    if (!alt) return '';
+    return /^https?:/.test(image.src) ? `![${alt}](${image.src})` : `![${alt}]`;
+  }
+
+  // Keep link targets, except in-page anchors and script links that mean nothing off the page
+  function renderLink(link, content) {
+    const text = content.trim();
+    const href = link.href;
+    if (/^[¶#§🔗]$/u.test(text)) return ''; // Heading permalinks
+    if (!href || /^javascript:/i.test(href) || href.split('#')[0] === pageUrl) return content;
+    if (!text) return '';
+    if (text === href) return `<${href}>`;
+    return `[${text}](${href})`;
+  }
+
+  // Markers go inside any surrounding spaces so "a **b** c" doesn't become "a** b **c"
+  function wrapEmphasis(content, marker) {
+    const text = content.trim();
+    if (!text) return content;
+    const leading = /^\s/.test(content) ? ' ' : '';
+    const trailing = /\s$/.test(content) ? ' ' : '';
+    return `${leading}${marker}${text}${marker}${trailing}`;
+  }
+
+  // Tidy an inline run into lines: collapsed spaces, no padding around line breaks
+  function finishInline(text) {
+    return text.split('\n').map(line => line.replace(/ {2,}/g, ' ').trim()).filter(Boolean).join('\n');
+  }
+
+  /**
+   * Markdown blocks for an element's children. Inline runs are gathered into
+   * paragraphs and block children render themselves.
+   */
+  function renderBlocks(element) {
+    const blocks = [];
+    let inline = '';
+    const flush = () => {
+      const paragraph = finishInline(inline);
+      if (paragraph) blocks.push(paragraph);
+      inline = '';
+    };
+
+    composedChildNodes(element).forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE && !shouldSkip(node) && isBlock(node)) {
+        flush();
+        blocks.push(...renderBlock(node));
+      } else {
+        inline += renderInline(node);
+      }
+    });
+    flush();
+    return blocks;
+  }
+
+  function renderBlock(element) {
+    const tag = element.tagName;
+    const heading = /^H([1-6])$/.exec(tag);
+    if (heading) {
+      const text = finishInline(renderInline(element)).replace(/\n/g, ' ');
+      return text ? [`${'#'.repeat(Number(heading[1]))} ${text}`] : [];
+    }
+
+    switch (tag) {
+      case 'HR':
+        return ['---'];
+      case 'IFRAME':
+      case 'FRAME':
+        return renderFrame(element);
+      case 'PRE':
+        return renderCodeBlock(element);
+      case 'UL':
+      case 'OL':
+      case 'MENU':
+        return renderList(element);
+      case 'TABLE':
+        return renderTable(element);
+      case 'DL':
+        return renderDefinitionList(element);
+      case 'DETAILS':
+        return renderDetails(element);
+      case 'BLOCKQUOTE': {
+        const quoted = renderBlocks(element).join('\n\n');
+        return quoted ? [quoted.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')] : [];
+      }
+      default:
+        return renderTabPanel(element) || renderBlocks(element);
+    }
+  }
+
+  // Closed <details> still lay out their children, so visibility has to be checked here
+  function renderDetails(details) {
+    const summary = Array.from(details.children).find(child => child.tagName === 'SUMMARY');
+    const title = summary ? finishInline(renderInline(summary)).replace(/\n/g, ' ') : '';
+    const blocks = title ? [`**${title}**`] : [];
+    if (details.open || includeCollapsed) {
+      Array.from(details.childNodes).forEach(node => {
+        if (node === summary) return;
+        if (node.nodeType === Node.ELEMENT_NODE && !shouldSkip(node) && isBlock(node)) {
+          blocks.push(...renderBlock(node));
+        } else {
+          const text = finishInline(renderInline(node));
+          if (text) blocks.push(text);
+        }
+      });
+    }
+    return blocks;
+  }
+
+  // Label a tab panel with its tab so panels included from inactive tabs can be told apart
+  function renderTabPanel(element) {
+    const label = element.id && tabLabels.get(element.id);
+    if (!label) return null;
+    const blocks = renderBlocks(element);
+    return blocks.length ? [`**Tab: ${label}**`, ...blocks] : [];
+  }
+
+  // Syntax highlighters put the language on the pre, the code inside it, or a wrapper
+  function detectLanguage(pre) {
+    const candidates = [pre.querySelector('code'), pre, pre.parentElement];
+    for (const element of candidates) {
+      if (!element) continue;
+      const language = element.getAttribute('data-lang') || element.getAttribute('data-language') ||
+        (LANGUAGE_PATTERN.exec(element.className || '') || [])[1];
+      if (language && !/^(none|text|plain|plaintext)$/i.test(language)) return language.toLowerCase();
+    }
+    return '';
+  }
+
+  function renderCodeBlock(pre) {
+    const code = (pre.innerText || pre.textContent || '').replace(/\n+$/, '');
+    if (!code.trim()) return [];
+    const fence = code.includes('```') ? '````' : '```';
+    return [`${fence}${detectLanguage(pre)}\n${code}\n${fence}`];
+  }
+
+  function renderList(list) {
+    const ordered = list.tagName === 'OL';
+    let number = ordered ? parseInt(list.getAttribute('start') || '1', 10) || 1 : 0;
+    const items = [];
+
+    Array.from(list.children).forEach(item => {
+      if (shouldSkip(item)) return;
+      // Lists nested directly in a list (invalid but common) stay with the previous item
+      const content = item.tagName === 'LI' ? renderBlocks(item).join('\n') : renderBlock(item).join('\n');
+      if (!content) return;
+
+      if (item.tagName !== 'LI' && items.length > 0) {
+        items[items.length - 1] += `\n${indent(content, '  ')}`;
+        return;
+      }
+      const marker = ordered ? `${number++}.` : '-';
+      const [first, ...rest] = content.split('\n');
+      items.push([`${marker} ${first}`, ...rest.map(line => (line ? `${' '.repeat(marker.length + 1)}${line}` : ''))].join('\n'));
+    });
+
+    return items.length ? [items.join('\n')] : [];
+  }
+
+  function indent(text, prefix) {
+    return text.split('\n').map(line => (line ? `${prefix}${line}` : '')).join('\n');
+  }
+
+  function renderDefinitionList(list) {
+    const lines = [];
+    Array.from(list.querySelectorAll(':scope > dt, :scope > dd, :scope > div > dt, :scope > div > dd')).forEach(item => {
+      if (shouldSkip(item)) return;
+      const text = renderBlocks(item).join(' ').replace(/\n/g, ' ');
+      if (!text) return;
+      lines.push(item.tagName === 'DT' ? `**${text}**` : `: ${text}`);
+    });
+    return lines.length ? [lines.join('\n')] : [];
+  }
+
+  function renderTableCell(cell) {
+    return renderBlocks(cell).join(' ').replace(/\n/g, ' ').replace(/\|/g, '\\|').trim();
+  }
+
+  // Rows of this table only, not of tables nested in its cells
+  function tableRows(table) {
+    return Array.from(table.rows).filter(row => row.closest('table') === table && !shouldSkip(row));
+  }
+
+  // Pipe table with the first row as the header. Single-column tables are usually
+  // layout, so their cells come out as ordinary blocks.
+  function renderTable(table) {
+    const rows = tableRows(table).map(row => {
+      const cells = [];
+      Array.from(row.cells).forEach(cell => {
+        if (shouldSkip(cell)) return;
+        cells.push(renderTableCell(cell));
+        for (let span = 1; span < Math.min(cell.colSpan || 1, 20); span++) cells.push('');
+      });
+      return cells;
+    }).filter(cells => cells.some(Boolean));
+    if (rows.length === 0) return [];
+
+    const columnCount = Math.max(...rows.map(cells => cells.length));
+    if (columnCount < 2) {
+      return tableRows(table).flatMap(row => Array.from(row.cells).flatMap(cell => renderBlocks(cell)));
+    }
+
+    const caption = table.caption && !shouldSkip(table.caption) ? finishInline(renderInline(table.caption)) : '';
+    const formatRow = cells => {
+      const padded = cells.concat(Array(columnCount - cells.length).fill(''));
+      return `| ${padded.join(' | ')} |`;
+    };
+    const lines = [
+      formatRow(rows[0]),
+      `|${' --- |'.repeat(columnCount)}`,
+      ...rows.slice(1).map(formatRow)
+    ];
+    return caption ? [`**${caption}**`, lines.join('\n')] : [lines.join('\n')];
+  }
+
+  /**
+   * The page's table of contents: the first element matching tocSelectors (in order)
+   * with at least three links to anchors on this page. Nesting depth gives the levels.
+   */
+  function readTableOfContents() {
+    for (const selector of options.tocSelectors || []) {
+      let elements;
+      try {
+        elements = Array.from(document.querySelectorAll(selector));
+      } catch (error) {
+        continue; // Invalid selector
+      }
+
+      for (const element of elements) {
+        const entries = Array.from(element.querySelectorAll('a[href*="#"]')).map(link => {
+          const hash = link.href.split('#')[1];
+          if (link.href.split('#')[0] !== pageUrl || !hash) return null;
+          let id = hash;
+          try {
+            id = decodeURIComponent(hash);
+          } catch (error) {
+            // Keep the raw fragment
+          }
+          if (!document.getElementById(id)) return null;
+
+          let level = 0;
+          for (let node = link.parentElement; node && node !== element; node = node.parentElement) {
+            if (node.tagName === 'UL' || node.tagName === 'OL') level++;
+          }
+          return { title: collapse(link.textContent).trim(), level: Math.max(level, 1), anchor: id };
+        }).filter(entry => entry?.title);
+
+        if (entries.length >= 3) return entries.slice(0, MAX_TOC_ENTRIES);
+      }
+    }
+    return [];
+  }
+
+  // Site adapter whose sections are being rendered, if any
+  let activeSite = null;
+
+  function queryText(selector, root = document) {
+    const element = root.querySelector(selector);
+    return element ? collapse(element.textContent).trim() : '';
+  }
+
+  // A labeled section rendered from the given elements; missing ones are ignored
+  function section(label, ...elements) {
+    const present = elements.filter(Boolean);
+    return { label, element: present[0] || null, blocks: present.flatMap(element => renderBlocks(element)) };
+  }
+
+  // A table cell's content on one line, with list items separated by semicolons
+  function flattenCell(cell) {
+    return renderBlocks(cell).join('\n').split('\n')
+      .map(line => line.replace(/^(?:[-*]|\d+\.)\s+/, '').trim())
+      .filter(Boolean)
+      .join('; ');
+  }
+
+  function extractWikipedia() {
+    const content = document.querySelector('#mw-content-text .mw-parser-output');
+    if (!content) return [];
+
+    const sections = [];
+    const infobox = content.querySelector('table.infobox');
+    if (infobox) sections.push({ label: 'Infobox', element: infobox, blocks: renderInfobox(infobox) });
+    const article = section('Article', content);
+    const title = queryText('#firstHeading');
+    if (title) article.blocks.unshift(`# ${title}`);
+    sections.push(article);
+    return sections;
+  }
+
+  // Infoboxes are label/value rows with header rows between groups; as a pipe table the
+  // first fact would be taken for the column headers
+  function renderInfobox(table) {
+    const lines = [];
+    const caption = table.caption ? finishInline(renderInline(table.caption)) : '';
+    if (caption) lines.push(`**${caption}**`);
+    tableRows(table).forEach(row => {
+      const label = row.querySelector(':scope > th');
+      const values = Array.from(row.querySelectorAll(':scope > td')).filter(cell => !shouldSkip(cell));
+      const labelText = label && !shouldSkip(label) ? flattenCell(label) : '';
+      const valueText = values.map(flattenCell).filter(Boolean).join('; ');
+      if (labelText && valueText) {
+        lines.push(`- **${labelText}:** ${valueText}`);
+      } else if (labelText || valueText) {
+        lines.push(labelText ? `**${labelText}**` : valueText);
+      }
+    });
+    return lines.length ? [lines.join('\n')] : [];
+  }
+
+  function extractGitHub() {
+    const [, owner, repo, view, ...rest] = window.location.pathname.split('/');
+    if (!owner || !repo) return [];
+
+    if (view === 'issues' || view === 'pull') {
+      return extractGitHubThread(view === 'pull' ? 'Pull request' : 'Issue', rest[0]);
+    }
+
+    // READMEs, wiki pages and Markdown files render as a markdown-body article
+    const path = view === 'blob' ? decodeURIComponent(rest.slice(1).join('/')) : '';
+    const markdown = document.querySelector('article.markdown-body');
+    if (markdown) {
+      return [section(view === 'wiki' ? 'Wiki page' : path ? `File: ${path}` : 'README', markdown)];
+    }
+
+    if (path) {
+      // The code view keeps the whole file in a hidden textarea; older pages have one cell per line
+      const source = document.querySelector('textarea#read-only-cursor-text-area');
+      const code = source ? source.value : Array.from(document.querySelectorAll('.blob-code-inner')).map(line => line.textContent).join('\n');
+      if (!code.trim()) return [];
+      const language = /\.([\w+-]+)$/.exec(path)?.[1] || '';
+      const fence = code.includes('```') ? '````' : '```';
+      return [{ label: `File: ${path}`, element: source?.parentElement || document.querySelector('.blob-code-inner'), blocks: [`${fence}${language}\n${code.replace(/\n+$/, '')}\n${fence}`] }];
+    }
+    return [];
+  }
+
+  // The opening post and each comment in order, with author and date. Covers both the
+  // classic timeline markup and the React issue view.
+  function extractGitHubThread(kind, number) {
+    const title = queryText('[data-testid="issue-title"], .js-issue-title, bdi.markdown-title');
+    const state = queryText('[data-testid="header-state"], .gh-header-meta .State, .State');
+    const header = [
+      title && `# ${title}${/^\d+$/.test(number || '') ? ` #${number}` : ''}`,
+      state && `Status: ${state}`
+    ].filter(Boolean);
+
+    const bodies = Array.from(document.querySelectorAll('.comment-body, [data-testid="markdown-body"]'));
+    const comments = bodies
+      .filter(body => !bodies.some(other => other !== body && other.contains(body)))
+      .filter(body => !isHidden(body));
+    if (comments.length === 0) return [];
+
+    const sections = [{ label: kind, element: comments[0], blocks: header }];
+    comments.forEach((body, index) => {
+      const container = body.closest('.timeline-comment, .TimelineItem, .review-comment, [data-testid="issue-body"], .react-issue-comment, [class*="IssueCommentViewer"]') || body.parentElement;
+      const author = queryText('.author, [data-testid="issue-body-header-author"], [data-testid="avatar-link"], a[data-hovercard-type="user"]', container);
+      const date = container.querySelector('relative-time')?.getAttribute('datetime')?.slice(0, 10);
+      const label = `${index === 0 ? `${kind} description` : 'Comment'}${author ? ` by @${author.replace(/^@/, '')}` : ''}${date ? ` (${date})` : ''}`;
+      if (index === 0) {
+        sections[0].blocks.push(`**${label}**`, ...renderBlocks(body));
+      } else {
+        sections.push(section(label, body));
+      }
+    });
+    return sections;
+  }
+
+  function voteCount(post) {
+    const count = post.querySelector('.js-vote-count');
+    return parseInt(count?.getAttribute('data-value') || count?.textContent || '0', 10) || 0;
+  }
+
+  function describeVotes(votes) {
+    return `${votes} vote${Math.abs(votes) === 1 ? '' : 's'}`;
+  }
+
+  // The owner's signature is the last one on a post; earlier ones are editors
+  function postAuthor(post) {
+    const links = post.querySelectorAll('.post-signature .user-details a, .post-signature .user-details [itemprop="name"]');
+    return links.length ? collapse(links[links.length - 1].textContent).trim() : '';
+  }
+
+  // Question first, then the accepted answer, then the rest by votes
+  function extractStackExchange() {
+    const question = document.querySelector('#question');
+    const questionBody = question?.querySelector('.js-post-body, .s-prose');
+    if (!questionBody) return [];
+
+    const title = queryText('#question-header h1');
+    const tags = Array.from(question.querySelectorAll('.post-tag')).map(tag => collapse(tag.textContent).trim());
+    const questionAuthor = postAuthor(question);
+    const questionSection = section(`Question (${describeVotes(voteCount(question))}${questionAuthor ? `, asked by ${questionAuthor}` : ''})`, questionBody);
+    questionSection.blocks.unshift(...[title && `# ${title}`, tags.length && `Tags: ${[...new Set(tags)].join(', ')}`].filter(Boolean));
+
+    const answers = Array.from(document.querySelectorAll('#answers .answer'))
+      .map(answer => ({
+        answer,
+        accepted: answer.matches('.accepted-answer, [itemprop="acceptedAnswer"]'),
+        votes: voteCount(answer)
+      }))
+      .sort((a, b) => Number(b.accepted) - Number(a.accepted) || b.votes - a.votes);
+
+    return [questionSection, ...answers.map(({ answer, accepted, votes }) => {
+      const author = postAuthor(answer);
+      const label = `${accepted ? 'Accepted answer' : 'Answer'} (${describeVotes(votes)}${author ? `, by ${author}` : ''})`;
+      return section(label, answer.querySelector('.js-post-body, .s-prose'));
+    })];
+  }
+
+  function extractMdn() {
+    const article = document.querySelector('.main-page-content, main article');
+    if (!article) return [];
+
+    const sections = [section('Article', article)];
+    const compatTables = queryAllDeep(document, 'table.bc-table');
+    if (compatTables.length > 0) {
+      sections.push({ label: 'Browser compatibility', element: compatTables[0], blocks: compatTables.flatMap(renderCompatTable) });
+    } else if (document.getElementById('browser_compatibility')) {
+      // The table is built when it scrolls into view
+      sections.push({ label: 'Browser compatibility', element: null, blocks: ['The compatibility table had not loaded yet. Scroll down to it (or turn on expanding the page) and scan again.'] });
+    }
+    return sections;
+  }
+
+  // One row per feature and one column per browser, with each cell cut down to its
+  // version and support level instead of icons, notes and legend text
+  function renderCompatTable(table) {
+    const browserOf = cell => /\bbc-browser-([\w-]+)/.exec(cell.className || '')?.[1];
+    const browsers = Array.from(table.querySelectorAll('thead th')).filter(browserOf);
+    if (browsers.length === 0) return [];
+
+    const names = browsers.map(cell => collapse(cell.textContent).trim() || browserOf(cell));
+    const rows = Array.from(table.querySelectorAll('tbody tr')).map(row => {
+      const feature = collapse(row.querySelector('th')?.textContent || '').trim();
+      const support = new Map(Array.from(row.querySelectorAll('td')).map(cell => [browserOf(cell), cell]));
+      const values = browsers.map(browser => {
+        const cell = support.get(browserOf(browser));
+        if (!cell) return '';
+        const level = /\bbc-supports-(\w+)/.exec(cell.className)?.[1] || '';
+        const version = collapse(cell.querySelector('.bc-version-label')?.textContent || '').trim();
+        const value = version || { yes: 'Yes', no: 'No', partial: 'Partial', preview: 'Preview', removed: 'Removed', unknown: '?' }[level] || collapse(cell.textContent).trim();
+        return level === 'partial' && version ? `${value} (partial)` : value;
+      });
+      return [feature, ...values].map(value => value.replace(/\|/g, '\\|'));
+    });
+
+    const lines = [
+      `| Feature | ${names.join(' | ')} |`,
+      `|${' --- |'.repeat(names.length + 1)}`,
+      ...rows.map(cells => `| ${cells.join(' | ')} |`)
+    ];
+    return [lines.join('\n')];
+  }
+
+  /**
+   * Built-in site adapters, tried in order against the page URL. extract() returns
+   * labeled sections ({ label, element, blocks }), or none to use the generic pass;
+   * skip lists the page furniture inside those sections.
+   */
+  const SITE_EXTRACTORS = [
+    {
+      name: 'Wikipedia',
+      pattern: /^https?:\/\/[^/]+\.wikipedia\.org\/wiki\//,
+      skip: '.infobox, .navbox, .navbox-styles, .vertical-navbox, .sidebar, .mw-editsection, .mw-empty-elt, sup.reference, .mw-references-wrap, .reflist, .refbegin, .hatnote, .ambox, .metadata, .shortdescription, .toc, #toc, .noprint',
+      extract: extractWikipedia
+    },
+    {
+      name: 'GitHub',
+      pattern: /^https:\/\/github\.com\/[^/]+\/[^/]+/,
+      skip: '.anchor, .octicon, clipboard-copy, .zeroclipboard-container, .email-hidden-toggle',
+      extract: extractGitHub
+    },
+    {
+      name: 'Stack Exchange',
+      pattern: /^https?:\/\/(?:[^/]+\.)?(?:stackoverflow|serverfault|superuser|askubuntu|mathoverflow|stackexchange)\.(?:com|net)\/questions\/\d+/,
+      skip: '.js-post-menu, .post-menu, .js-post-notices-container',
+      extract: extractStackExchange
+    },
+    {
+      name: 'MDN',
+      pattern: /^https:\/\/developer\.mozilla\.org\/[^/]+\/docs\//,
+      skip: 'section[aria-labelledby="browser_compatibility"], .bc-data, .bc-table, .bc-legend, .example-header, .copy-icon, .article-footer, .prev-next, aside',
+      extract: extractMdn
+    }
+  ];
+
+  // Sections from the adapter for this page, or null to use the generic extractor
+  function extractSite() {
+    if (options.siteExtractors === false) return null;
+    const site = SITE_EXTRACTORS.find(candidate => candidate.pattern.test(window.location.href));
+    if (!site) return null;
+
+    activeSite = site;
+    try {
+      const sections = site.extract().filter(({ blocks }) => blocks.length > 0);
+      return sections.length > 0 ? { site, sections } : null;
+    } finally {
+      activeSite = null;
+    }
+  }
+
+  function extractMarkdown() {
+    if (!document.body) {
+      return { success: false, error: 'No content found' };
+    }
+
+    const siteContent = extractSite();
+    if (siteContent) {
+      const { site, sections } = siteContent;
+      const text = sections.map(({ label, blocks }) => `[Section: ${label}]\n\n${blocks.filter(Boolean).join('\n\n')}`).join('\n\n').trim();
+      const described = sections.map(({ label, element, blocks }) => ({
+        label,
+        selector: element ? describeElement(element) : '',
+        length: blocks.join('\n\n').length
+      }));
+      return {
+        success: true,
+        text,
+        mode: 'structured',
+        format: 'markdown',
+        length: text.length,
+        url: window.location.href,
+        title: document.title,
+        extraction: {
+          method: 'site',
+          site: site.name,
+          selector: described.find(({ selector }) => selector)?.selector || 'body',
+          rootCount: sections.length,
+          score: 0,
+          candidates: [],
+          sections: described,
+          removedBlocks: 0
+        },
+        toc: readTableOfContents(),
+        frames
+      };
+    }
+
+    const { roots, debug } = findContent();
+    contentRoots = roots;
+    removedCount = 0;
+    const blocks = roots.length === 1 ? renderBlocks(roots[0]) : roots.flatMap(root => (isBlock(root) ? renderBlock(root) : [finishInline(renderInline(root))]));
+    const text = blocks.filter(Boolean).join('\n\n').trim();
+    debug.removedBlocks = removedCount;
+
+    return {
+      success: true,
+      text,
+      mode: 'structured',
+      format: 'markdown',
+      length: text.length,
+      url: window.location.href,
+      title: document.title,
+      extraction: debug,
+      toc: readTableOfContents(),
+      frames
+    };
+  }
+
+  // Execute and return result
+  try {
+    return extractMarkdown();
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Injected into the page: outline the element the extractor chose and scroll to it.
+ * Must stay self-contained since it runs via chrome.scripting.executeScript.
+ */
+export function highlightElementFunction(selector) {
+  const OUTLINE_DURATION = 4000;
+
+  // " >>> " steps into the shadow root of the element matched so far
+  let element = null;
+  try {
+    element = selector.split(' >>> ').reduce((root, part) => {
+      const scope = root === document ? document : root?.shadowRoot;
+      return scope ? scope.querySelector(part) : null;
+    }, document);
+  } catch (error) {
+    // Not a valid selector on this page any more
+  }
+  if (!element) {
+    return { success: false, error: 'Element not found on the page' };
+  }
+
+  const previous = { outline: element.style.outline, outlineOffset: element.style.outlineOffset };
+  element.style.outline = '3px dashed #1a73e8';
+  element.style.outlineOffset = '2px';
+  element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  setTimeout(() => Object.assign(element.style, previous), OUTLINE_DURATION);
+  return { success: true };
+}
+
+/**
+ * Injected into the page: load content that only appears on demand before extracting.
+ * Each step scrolls through the page to trigger lazy loading and infinite scroll, clicks
+ * "show more"/"expand" controls, and waits for DOM mutations to settle. Stops when a step
+ * changes nothing, after maxSteps, or after maxDuration ms, then restores the scroll position.
+ * Must stay self-contained since it runs via chrome.scripting.executeScript.
+ */
+export async function expandPageFunction({ maxSteps, maxDuration, settleTimeout, maxClicksPerStep }) {
+  const QUIET_PERIOD = 400; // ms without DOM mutations that counts as settled
+  const MORE_PATTERN = /^(?:(?:show|load|see|view|read)\s+(?:\d+\s+)?(?:more|all|older|previous|hidden|earlier)\b|more\s+(?:comments|replies|answers|results|posts)\b|expand\b|continue reading\b|show\s+\d*\s*repl|\d+\s+more\s+(?:comments|replies|answers))/i;
+  const CONTROL_SELECTOR = 'button, [role="button"], a, summary';
+  const EXCLUDE_SELECTOR = 'nav, header, footer, [role="navigation"], [role="banner"], form';
+
+  const scrollingElement = document.scrollingElement || document.documentElement;
+  const start = { x: window.scrollX, y: window.scrollY };
+  const deadline = Date.now() + maxDuration;
+  const exhausted = new WeakSet(); // Controls whose last click changed nothing
+  const pageUrl = window.location.href.split('#')[0];
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  let mutations = 0;
+  const observer = new MutationObserver(records => {
+    mutations += records.length;
+  });
+  observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+
+  // Wait until mutations have stopped for QUIET_PERIOD, or settleTimeout if nothing changes;
+  // content requested over the network can take a moment to start arriving
+  async function settle() {
+    const started = Date.now();
+    let lastCount = mutations;
+    let lastChange = null;
+    while (Date.now() < deadline) {
+      await sleep(100);
+      if (mutations !== lastCount) {
+        lastCount = mutations;
+        lastChange = Date.now();
+      }
+      const now = Date.now();
+      if (lastChange ? now - lastChange >= QUIET_PERIOD : now - started >= settleTimeout) break;
+      if (now - started >= settleTimeout * 3) break;
+    }
+  }
+
+  // Scroll a viewport at a time so sections that load on entering the viewport do
+  async function scrollThrough(fromY) {
+    for (let y = fromY; y < scrollingElement.scrollHeight && Date.now() < deadline; y += window.innerHeight) {
+      window.scrollTo({ top: y, left: start.x, behavior: 'instant' });
+      await new Promise(resolve => requestAnimationFrame(() => resolve()));
+    }
+    window.scrollTo({ top: scrollingElement.scrollHeight, left: start.x, behavior: 'instant' });
+    await settle();
+  }
+
+  // Visible, enabled controls labeled like "Show more" that stay on this page
+  function findMoreControls() {
+    return Array.from(document.querySelectorAll(CONTROL_SELECTOR)).filter(control => {
+      if (exhausted.has(control) || control.closest(EXCLUDE_SELECTOR)) return false;
+      if (control.disabled || control.getAttribute('aria-disabled') === 'true') return false;
+      if (control.tagName === 'SUMMARY' && control.parentElement?.open) return false;
+      if (control.tagName === 'A') {
+        const href = control.getAttribute('href') || '';
+        if (href && !href.startsWith('#') && control.href.split('#')[0] !== pageUrl && !/^javascript:/i.test(href)) return false;
+      }
+      const label = (control.innerText || control.textContent || control.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+      if (!label || label.length > 60 || !MORE_PATTERN.test(label)) return false;
+      const rect = control.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0;
+    });
+  }
+
+  let steps = 0;
+  let clicks = 0;
+  const startHeight = scrollingElement.scrollHeight;
+  try {
+    while (steps < maxSteps && Date.now() < deadline) {
+      steps++;
+      const heightBefore = scrollingElement.scrollHeight;
+      const mutationsBefore = mutations;
+      // The first pass covers the whole page; later ones only what was added since
+      await scrollThrough(steps === 1 ? 0 : Math.max(0, heightBefore - window.innerHeight * 2));
+
+      // "Load more" buttons usually stay in place, so they're clicked again while they keep loading
+      const controls = findMoreControls().slice(0, maxClicksPerStep);
+      const mutationsBeforeClicks = mutations;
+      controls.forEach(control => control.click());
+      clicks += controls.length;
+      if (controls.length > 0) {
+        await settle();
+        if (mutations === mutationsBeforeClicks) controls.forEach(control => exhausted.add(control));
+      }
+
+      if (controls.length === 0 && scrollingElement.scrollHeight === heightBefore && mutations === mutationsBefore) break;
+    }
+  } finally {
+    observer.disconnect();
+    window.scrollTo({ top: start.y, left: start.x, behavior: 'instant' });
+  }
+
+  return { success: true, steps, clicks, addedHeight: scrollingElement.scrollHeight - startHeight };
+}
+
+// Frame URLs are compared without their fragment, which in-frame navigation changes
+function sameDocument(a, b) {
+  return !!a && !!b && a.split('#')[0] === b.split('#')[0];
+}
+
+/**
+ * Combine per-frame results from executeScript({ allFrames: true }) into one result:
+ * each frame's text replaces its placeholder in the parent, between labeled
+ * boundaries. Frames without a placeholder (hidden, tiny or excluded iframes) are dropped.
+ */
+export function mergeFrameResults(injectionResults) {
+  const top = injectionResults.find(injection => injection.frameId === 0)?.result;
+  if (!top?.success) {
+    return top || { success: false, error: 'No result from injected script' };
+  }
+
+  const unclaimed = injectionResults
+    .filter(injection => injection.frameId !== 0 && injection.result?.success)
+    .map(injection => injection.result);
+  let frameCount = 0;
+
+  const expand = (result, depth) => result.text.replace(FRAME_PLACEHOLDER, (match, index, separator = '') => {
+    const frame = result.frames?.[index];
+    const childIndex = frame ? unclaimed.findIndex(child => sameDocument(child.url, frame.url)) : -1;
+    if (childIndex === -1) return '';
+
+    const [child] = unclaimed.splice(childIndex, 1);
+    const text = depth < MAX_FRAME_DEPTH ? expand(child, depth + 1).trim() : child.text.replace(FRAME_PLACEHOLDER, '').trim();
+    if (!text) return '';
+
+    frameCount++;
+    const label = frame.title || child.title || child.url;
+    return `[Frame: ${label}]\n\n${text}\n\n[End of frame: ${label}]${separator}`;
+  });
+
+  const text = expand(top, 0).trim();
+  const { frames, ...merged } = top;
+  return { ...merged, text, length: text.length, frameCount };
+}
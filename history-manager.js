@@ -0,0 +1,112 @@
+// PagePal AI - Question & Answer History
+
+import { CONFIG } from './constants.js';
+import { storage } from './utils.js';
+
+export class HistoryManager {
+  constructor() {
+    // chrome.storage.sync quotas are far too small for answers, so history stays local
+    this.STORAGE_KEY = CONFIG.STORAGE_KEYS.HISTORY;
+    this.DATE_RANGES = {
+      today: 24 * 60 * 60 * 1000,
+      week: 7 * 24 * 60 * 60 * 1000,
+      month: 30 * 24 * 60 * 60 * 1000
+    };
+  }
+
+  /**
+   * Load all history entries, newest first
+   */
+  async getEntries() {
+    const result = await storage.get([this.STORAGE_KEY], 'local');
+    return result[this.STORAGE_KEY] || [];
+  }
+
+  /**
+   * Record a successful question/answer call
+   */
+  async addEntry({ question, answer, model, url, title, cost = 0, timestamp = Date.now() }) {
+    const entries = await this.getEntries();
+    const entry = {
+      id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+      question,
+      answer,
+      model,
+      url: url || '',
+      site: this.getSite(url),
+      title: title || '',
+      cost,
+      timestamp
+    };
+
+    entries.unshift(entry);
+    await storage.set({ [this.STORAGE_KEY]: entries.slice(0, CONFIG.MAX_HISTORY_ENTRIES) }, 'local');
+    return entry;
+  }
+
+  /**
+   * Get a single entry by id
+   */
+  async getEntry(id) {
+    const entries = await this.getEntries();
+    return entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Delete a single entry by id
+   */
+  async deleteEntry(id) {
+    const entries = await this.getEntries();
+    return await storage.set({ [this.STORAGE_KEY]: entries.filter(entry => entry.id !== id) }, 'local');
+  }
+
+  /**
+   * Delete all history entries
+   */
+  async clearHistory() {
+    return await storage.remove([this.STORAGE_KEY], 'local');
+  }
+
+  /**
+   * Full-text search with optional site, model and date range filters.
+   * Every whitespace-separated query term must appear somewhere in the entry.
+   */
+  async search({ query = '', site = '', model = '', dateRange = '' } = {}) {
+    const entries = await this.getEntries();
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const maxAge = this.DATE_RANGES[dateRange];
+    const now = Date.now();
+
+    return entries.filter(entry => {
+      if (site && entry.site !== site) return false;
+      if (model && entry.model !== model) return false;
+      if (maxAge && now - entry.timestamp > maxAge) return false;
+      if (terms.length === 0) return true;
+
+      const haystack = `${entry.question}\n${entry.answer}\n${entry.title}\n${entry.url}`.toLowerCase();
+      return terms.every(term => haystack.includes(term));
+    });
+  }
+
+  /**
+   * Distinct sites and models across history, for populating filter dropdowns
+   */
+  async getFilterOptions() {
+    const entries = await this.getEntries();
+    return {
+      sites: [...new Set(entries.map(entry => entry.site).filter(Boolean))].sort(),
+      models: [...new Set(entries.map(entry => entry.model).filter(Boolean))].sort()
+    };
+  }
+
+  /**
+   * Hostname used for the site filter
+   */
+  getSite(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (error) {
+      return '';
+    }
+  }
+}
@@ -0,0 +1,418 @@
+// PagePal AI - Markdown rendering for AI answers
+//
+// Answers can echo text from the page the user is reading, so rendering is
+// two-stage: markdownToHTML() escapes all source text while building markup,
+// then sanitizeHTML() re-parses the result in an inert document and strips
+// anything outside a fixed allow-list before it reaches the popup DOM.
+
+import { renderMath } from './math-renderer.js';
+import { highlightCode, resolveLanguage } from './syntax-highlighter.js';
+
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'strong', 'em', 'del', 'code', 'pre', 'span', 'a', 'ul', 'ol', 'li',
+  'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'table', 'thead', 'tbody',
+  'tr', 'th', 'td',
+  // MathML produced by math-renderer.js
+  'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'mtext', 'mspace', 'msup',
+  'msub', 'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover', 'munder', 'munderover', 'mtable',
+  'mtr', 'mtd'
+]);
+
+// Elements removed together with their content rather than unwrapped
+const DROPPED_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'form', 'textarea', 'select']);
+
+const GLOBAL_ATTRIBUTES = ['class'];
+
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  ol: ['start'],
+  pre: ['data-language'],
+  math: ['display'],
+  annotation: ['encoding'],
+  mi: ['mathvariant'],
+  mo: ['stretchy', 'largeop', 'movablelimits'],
+  mspace: ['width'],
+  mover: ['accent'],
+  mfrac: ['linethickness'],
+  mtable: ['columnalign']
+};
+
+const SAFE_URL_PATTERN = /^(https?:|mailto:)/i;
+
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// ---------------------------------------------------------------------------
+// Inline formatting
+// ---------------------------------------------------------------------------
+
+function renderEmphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/(^|[^*])\*(?=[^\s*])([^*\n]*?[^\s*])\*(?!\*)/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_(?=[^\s_])([^_\n]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+}
+
+function renderLink(href, label) {
+  // href arrives HTML-escaped; decode &amp; only for the protocol check
+  const rawHref = href.replace(/&amp;/g, '&');
+  if (!SAFE_URL_PATTERN.test(rawHref)) {
+    return label;
+  }
+  return `<a href="${href}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+}
+
+function renderInline(text) {
+  const stash = [];
+  const protect = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+  let html = text
+    // Code spans and math first so their contents are not treated as Markdown
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => protect(`<code>${escapeHTML(code.trim())}</code>`))
+    .replace(/\$\$([\s\S]+?)\$\$/g, (match, tex) => protect(renderMath(tex.trim(), true)))
+    .replace(/\\\[([\s\S]+?)\\\]/g, (match, tex) => protect(renderMath(tex.trim(), true)))
+    .replace(/\\\(([\s\S]+?)\\\)/g, (match, tex) => protect(renderMath(tex.trim(), false)))
+    // $...$ follows Pandoc's rule so prices like "$5 and $10" stay text
+    .replace(/(^|[^\\$])\$(?=[^\s$])([^$\n]*?[^\s\\$])\$(?!\d)/g, (match, before, tex) => before + protect(renderMath(tex, false)))
+    .replace(/\\([\\`*_{}[\]()#+\-.!|~$>])/g, (match, char) => protect(escapeHTML(char)));
+
+  html = escapeHTML(html);
+
+  // Links become placeholders too so bare-URL detection can't re-link their hrefs.
+  // Images are shown as links: the popup never loads remote resources from answers.
+  html = html
+    .replace(/!?\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;[^&]*&quot;)?\)/g, (match, label, href) => protect(renderLink(href, renderEmphasis(label))))
+    .replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, (match, href) => protect(renderLink(href, href)))
+    .replace(/(^|[\s(])(https?:\/\/[^\s<]+[^\s<.,;:!?)\]'"])/g, (match, before, href) => before + protect(renderLink(href, href)));
+
+  html = renderEmphasis(html).replace(/\n/g, '<br>');
+
+  // Placeholders nest (emphasis inside link labels) but only ever point at earlier
+  // entries, so one recursive pass restores them; anything else is dropped
+  const restore = (html, limit) => html.replace(/\u0000(\d+)\u0000/g, (match, index) => {
+    const position = Number(index);
+    return position < limit ? restore(stash[position], position) : '';
+  });
+  return restore(html, stash.length);
+}
+
+// ---------------------------------------------------------------------------
+// Block structure
+// ---------------------------------------------------------------------------
+
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const HR_PATTERN = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const BLOCKQUOTE_PATTERN = /^\s{0,3}>\s?/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+const DISPLAY_MATH_PATTERN = /^\s*(\$\$|\\\[)/;
+
+function isTableStart(line, nextLine) {
+  return line.includes('|') && nextLine !== undefined && TABLE_SEPARATOR_PATTERN.test(nextLine);
+}
+
+function isBlockStart(line, nextLine) {
+  return FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || HR_PATTERN.test(line) ||
+    BLOCKQUOTE_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line) || DISPLAY_MATH_PATTERN.test(line) ||
+    isTableStart(line, nextLine);
+}
+
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+function renderCodeBlock(code, language) {
+  const lang = (language || '').replace(/[^\w+#.-]/g, '');
+  const grammar = resolveLanguage(lang);
+  const codeClass = grammar ? ` class="language-${grammar}"` : '';
+  return `<pre data-language="${escapeHTML(lang)}"><code${codeClass}>${highlightCode(code, lang)}</code></pre>`;
+}
+
+function renderTable(lines) {
+  const header = splitTableRow(lines[0]);
+  const alignments = splitTableRow(lines[1]).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'align-center';
+    if (cell.endsWith(':')) return 'align-right';
+    return '';
+  });
+  const cellClass = index => alignments[index] ? ` class="${alignments[index]}"` : '';
+
+  const headHTML = header.map((cell, index) => `<th${cellClass(index)}>${renderInline(cell)}</th>`).join('');
+  const bodyHTML = lines.slice(2).map(line => {
+    const cells = splitTableRow(line);
+    return `<tr>${header.map((_, index) => `<td${cellClass(index)}>${renderInline(cells[index] || '')}</td>`).join('')}</tr>`;
+  }).join('');
+
+  return `<table><thead><tr>${headHTML}</tr></thead><tbody>${bodyHTML}</tbody></table>`;
+}
+
+function renderList(lines) {
+  const first = lines[0].match(LIST_ITEM_PATTERN);
+  const baseIndent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+
+  for (const line of lines) {
+    const match = line.match(LIST_ITEM_PATTERN);
+    if (match && match[1].length <= baseIndent + 1) {
+      items.push({ contentIndent: match[1].length + match[2].length + 1, lines: [match[3]] });
+      continue;
+    }
+    // Continuation or nested content: drop the item's indentation
+    const current = items[items.length - 1];
+    const leading = line.match(/^\s*/)[0].length;
+    current.lines.push(line.slice(Math.min(leading, current.contentIndent)));
+  }
+
+  const itemsHTML = items.map(item => `<li>${renderBlocks(item.lines, true)}</li>`).join('');
+  if (!ordered) return `<ul>${itemsHTML}</ul>`;
+
+  const start = parseInt(first[2], 10);
+  return start !== 1 ? `<ol start="${start}">${itemsHTML}</ol>` : `<ol>${itemsHTML}</ol>`;
+}
+
+// tight renders paragraphs without <p> wrappers (used inside list items)
+function renderBlocks(lines, tight = false) {
+  const html = [];
+  const inlineIndexes = new Set();
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code (an unclosed fence during streaming runs to the end)
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const codeLines = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        codeLines.push(lines[i]);
+        i++;
+      }
+      i++; // closing fence
+      html.push(renderCodeBlock(codeLines.join('\n'), fence[2]));
+      continue;
+    }
+
+    // Display math on its own lines: $$...$$ or \[...\]
+    const mathOpen = line.match(DISPLAY_MATH_PATTERN);
+    if (mathOpen) {
+      const closing = mathOpen[1] === '$$' ? '$$' : '\\]';
+      const afterOpen = line.trim().slice(mathOpen[1].length);
+      let end = afterOpen.includes(closing) ? i : -1;
+      for (let j = i + 1; end === -1 && j < lines.length; j++) {
+        if (lines[j].includes(closing)) end = j;
+      }
+      if (end !== -1) {
+        const source = [afterOpen, ...lines.slice(i + 1, end + 1)].join('\n');
+        const tex = end === i ? afterOpen.slice(0, afterOpen.indexOf(closing)) : source.slice(0, source.lastIndexOf(closing));
+        html.push(`<p class="math-block">${renderMath(tex.trim(), true)}</p>`);
+        i = end + 1;
+        continue;
+      }
+      // Unclosed (still streaming): fall through and show it as text for now
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (HR_PATTERN.test(line)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (BLOCKQUOTE_PATTERN.test(line)) {
+      const quoteLines = [];
+      while (i < lines.length && BLOCKQUOTE_PATTERN.test(lines[i])) {
+        quoteLines.push(lines[i].replace(BLOCKQUOTE_PATTERN, ''));
+        i++;
+      }
+      html.push(`<blockquote>${renderBlocks(quoteLines)}</blockquote>`);
+      continue;
+    }
+
+    if (isTableStart(line, lines[i + 1])) {
+      const tableLines = [line, lines[i + 1]];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        tableLines.push(lines[i]);
+        i++;
+      }
+      html.push(renderTable(tableLines));
+      continue;
+    }
+
+    if (LIST_ITEM_PATTERN.test(line)) {
+      const listLines = [];
+      const baseIndent = line.match(LIST_ITEM_PATTERN)[1].length;
+      const ordered = /\d/.test(line.match(LIST_ITEM_PATTERN)[2]);
+      while (i < lines.length) {
+        const current = lines[i];
+        if (!current.trim()) {
+          // A blank line continues the list only if more list content follows
+          const nextContent = lines.slice(i + 1).find(next => next.trim());
+          const nextIndent = nextContent ? nextContent.match(/^\s*/)[0].length : -1;
+          if (!nextContent || (nextIndent <= baseIndent && !LIST_ITEM_PATTERN.test(nextContent))) break;
+          listLines.push('');
+          i++;
+          continue;
+        }
+        const indent = current.match(/^\s*/)[0].length;
+        const itemMatch = current.match(LIST_ITEM_PATTERN);
+        const isItem = !!itemMatch;
+        // Switching between bullets and numbers at the same level starts a new list
+        if (isItem && indent <= baseIndent + 1 && /\d/.test(itemMatch[2]) !== ordered) break;
+        if (!isItem && indent <= baseIndent && listLines.length > 0 && !listLines[listLines.length - 1].trim()) break;
+        if (!isItem && indent <= baseIndent && isBlockStart(current, lines[i + 1])) break;
+        listLines.push(current);
+        i++;
+      }
+      html.push(renderList(listLines));
+      continue;
+    }
+
+    // Paragraph: consecutive lines up to a blank line or another block
+    const paragraphLines = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i], lines[i + 1])) {
+      paragraphLines.push(lines[i].trim());
+      i++;
+    }
+    const content = renderInline(paragraphLines.join('\n'));
+    if (tight) {
+      // Separate consecutive bare paragraphs with a line break
+      html.push(inlineIndexes.has(html.length - 1) ? `<br>${content}` : content);
+      inlineIndexes.add(html.length - 1);
+    } else {
+      html.push(`<p>${content}</p>`);
+    }
+  }
+
+  return html.join('');
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Convert Markdown to HTML. All source text is escaped, but callers should
+ * still pass the result through sanitizeHTML (renderMarkdown does both).
+ */
+export function markdownToHTML(markdown) {
+  // NUL marks inline placeholders, so the input may not carry any (CommonMark swaps it for U+FFFD)
+  const lines = (markdown || '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '\uFFFD').split('\n');
+  return renderBlocks(lines);
+}
+
+function sanitizeNode(node) {
+  for (const child of [...node.childNodes]) {
+    if (child.nodeType === Node.TEXT_NODE) continue;
+    if (child.nodeType !== Node.ELEMENT_NODE) {
+      child.remove();
+      continue;
+    }
+
+    const tag = child.localName;
+    if (DROPPED_TAGS.has(tag)) {
+      child.remove();
+      continue;
+    }
+    if (!ALLOWED_TAGS.has(tag)) {
+      sanitizeNode(child);
+      child.replaceWith(...child.childNodes);
+      continue;
+    }
+
+    for (const attribute of [...child.attributes]) {
+      const allowed = GLOBAL_ATTRIBUTES.includes(attribute.name) ||
+        (ALLOWED_ATTRIBUTES[tag] || []).includes(attribute.name);
+      if (!allowed || (attribute.name === 'href' && !SAFE_URL_PATTERN.test(attribute.value.trim()))) {
+        child.removeAttribute(attribute.name);
+      }
+    }
+    if (tag === 'a') {
+      child.setAttribute('target', '_blank');
+      child.setAttribute('rel', 'noopener noreferrer');
+    }
+
+    sanitizeNode(child);
+  }
+}
+
+/**
+ * Strip everything outside the answer allow-list. Parsing happens in an inert
+ * DOMParser document, so nothing in the input runs or loads while sanitizing.
+ */
+export function sanitizeHTML(html) {
+  const doc = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html}</body>`, 'text/html');
+  sanitizeNode(doc.body);
+  return doc.body.innerHTML;
+}
+
+/**
+ * Markdown to sanitized HTML
+ */
+export function renderMarkdown(markdown) {
+  return sanitizeHTML(markdownToHTML(markdown));
+}
+
+function addCopyButton(pre) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'code-block';
+
+  const header = document.createElement('div');
+  header.className = 'code-block-header';
+
+  const languageLabel = document.createElement('span');
+  languageLabel.textContent = pre.getAttribute('data-language') || 'code';
+
+  const copyBtn = document.createElement('button');
+  copyBtn.type = 'button';
+  copyBtn.className = 'code-copy-btn';
+  copyBtn.textContent = 'Copy';
+  copyBtn.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(pre.textContent);
+      copyBtn.textContent = 'Copied!';
+    } catch (error) {
+      copyBtn.textContent = 'Copy failed';
+    }
+    setTimeout(() => {
+      copyBtn.textContent = 'Copy';
+    }, 1500);
+  });
+
+  header.appendChild(languageLabel);
+  header.appendChild(copyBtn);
+  pre.replaceWith(wrapper);
+  wrapper.appendChild(header);
+  wrapper.appendChild(pre);
+}
+
+/**
+ * Render Markdown into an element and attach copy buttons to code blocks
+ */
+export function renderMarkdownInto(element, markdown) {
+  element.innerHTML = renderMarkdown(markdown);
+  element.querySelectorAll('pre').forEach(addCopyButton);
+}
@@ -0,0 +1,396 @@
+// PagePal AI - TeX to MathML conversion for answer math
+//
+// Covers the subset of LaTeX models use in study answers (fractions, roots,
+// scripts, Greek letters, operators, accents, matrices and cases). Chrome
+// renders the resulting MathML natively, so no font or stylesheet is needed.
+
+const GREEK = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ',
+  eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν',
+  xi: 'ξ', pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ',
+  upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ',
+  Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+
+const SYMBOLS = {
+  // Relations
+  leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼',
+  simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫', in: '∈', notin: '∉', ni: '∋',
+  subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇', mid: '∣', parallel: '∥', perp: '⊥',
+  // Binary operators
+  pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', ast: '∗', star: '⋆', circ: '∘',
+  bullet: '∙', oplus: '⊕', otimes: '⊗', cup: '∪', cap: '∩', setminus: '∖', wedge: '∧',
+  land: '∧', vee: '∨', lor: '∨', neg: '¬', lnot: '¬',
+  // Arrows
+  to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔',
+  Rightarrow: '⇒', implies: '⟹', Leftarrow: '⇐', Leftrightarrow: '⇔', iff: '⟺',
+  mapsto: '↦', uparrow: '↑', downarrow: '↓',
+  // Misc
+  infty: '∞', partial: '∂', nabla: '∇', forall: '∀', exists: '∃', emptyset: '∅',
+  varnothing: '∅', angle: '∠', triangle: '△', degree: '°', prime: '′', ldots: '…',
+  cdots: '⋯', vdots: '⋮', ddots: '⋱', dots: '…', hbar: 'ℏ', ell: 'ℓ', Re: 'ℜ', Im: 'ℑ',
+  aleph: 'ℵ', therefore: '∴', because: '∵', langle: '⟨', rangle: '⟩', lfloor: '⌊',
+  rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', Vert: '‖', lbrace: '{', rbrace: '}',
+  '{': '{', '}': '}', '|': '‖', '%': '%', '$': '$', '#': '#', '&': '&', '_': '_'
+};
+
+const BIG_OPERATORS = {
+  sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮',
+  bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂'
+};
+
+// Operators that take limits underneath in display mode (integrals keep side scripts)
+const LIMIT_OPERATORS = new Set(['sum', 'prod', 'coprod', 'bigcup', 'bigcap', 'bigoplus', 'bigotimes', 'lim', 'max', 'min', 'sup', 'inf', 'limsup', 'liminf', 'argmax', 'argmin']);
+
+const FUNCTIONS = new Set([
+  'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh',
+  'tanh', 'log', 'ln', 'lg', 'exp', 'lim', 'max', 'min', 'sup', 'inf', 'limsup', 'liminf',
+  'det', 'gcd', 'deg', 'dim', 'ker', 'arg', 'Pr', 'argmax', 'argmin'
+]);
+
+const ACCENTS = {
+  hat: '^', widehat: '^', bar: '¯', overline: '¯', vec: '→', dot: '˙', ddot: '¨',
+  tilde: '~', widetilde: '~', overrightarrow: '→'
+};
+
+const SPACES = {
+  ',': '0.1667em', ':': '0.2222em', ';': '0.2778em', ' ': '0.25em', quad: '1em', qquad: '2em', '!': '0'
+};
+
+const DOUBLE_STRUCK = { R: 'ℝ', N: 'ℕ', Z: 'ℤ', Q: 'ℚ', C: 'ℂ', P: 'ℙ', E: '𝔼' };
+
+const MATRIX_DELIMITERS = {
+  matrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'],
+  vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], cases: ['{', ''], aligned: ['', ''],
+  align: ['', ''], 'align*': ['', ''], array: ['', ''], gathered: ['', ''], split: ['', '']
+};
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function tokenize(tex) {
+  const tokens = [];
+  const pattern = /\\([a-zA-Z]+\*?|.)|(\d+(?:\.\d+)?)|([a-zA-Z])|(\s+)|([\s\S])/g;
+  let match;
+  while ((match = pattern.exec(tex)) !== null) {
+    const index = match.index;
+    if (match[1] !== undefined) tokens.push({ type: 'command', value: match[1], index });
+    else if (match[2] !== undefined) tokens.push({ type: 'number', value: match[2], index });
+    else if (match[3] !== undefined) tokens.push({ type: 'letter', value: match[3], index });
+    else if (match[4] !== undefined) continue;
+    else tokens.push({ type: 'char', value: match[5], index });
+  }
+  return tokens;
+}
+
+class TexParser {
+  constructor(tex, displayMode) {
+    this.source = tex;
+    this.tokens = tokenize(tex);
+    this.pos = 0;
+    this.displayMode = displayMode;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  isEnd(token, stopAt) {
+    if (!token) return true;
+    if (token.type === 'char' && stopAt.includes(token.value)) return true;
+    if (token.type === 'command' && stopAt.includes(`\\${token.value}`)) return true;
+    return false;
+  }
+
+  // Parse a run of atoms until one of the stop tokens (not consumed)
+  parseExpression(stopAt = []) {
+    const nodes = [];
+    while (!this.isEnd(this.peek(), stopAt)) {
+      const token = this.peek();
+      if (token.type === 'command' && token.value === 'end') break;
+      nodes.push(this.parseScripted());
+    }
+    return nodes.join('');
+  }
+
+  // Parse one atom plus any trailing ^ and _ scripts
+  parseScripted() {
+    const token = this.peek();
+    const operatorName = token.type === 'command' ? token.value : null;
+    const base = this.parseAtom();
+    let sub = null;
+    let sup = null;
+
+    while (this.peek() && this.peek().type === 'char' && (this.peek().value === '^' || this.peek().value === '_')) {
+      const marker = this.next().value;
+      const script = this.parseScriptArgument();
+      if (marker === '^') sup = script;
+      else sub = script;
+    }
+
+    // Primes attach as superscripts
+    while (this.peek() && this.peek().type === 'char' && this.peek().value === "'") {
+      this.next();
+      sup = `${sup || ''}<mo>′</mo>`;
+    }
+
+    if (sub === null && sup === null) return base;
+
+    const useLimits = this.displayMode && operatorName && LIMIT_OPERATORS.has(operatorName);
+    if (useLimits) {
+      if (sub !== null && sup !== null) return `<munderover>${base}<mrow>${sub}</mrow><mrow>${sup}</mrow></munderover>`;
+      if (sub !== null) return `<munder>${base}<mrow>${sub}</mrow></munder>`;
+      return `<mover>${base}<mrow>${sup}</mrow></mover>`;
+    }
+    if (sub !== null && sup !== null) return `<msubsup>${base}<mrow>${sub}</mrow><mrow>${sup}</mrow></msubsup>`;
+    if (sub !== null) return `<msub>${base}<mrow>${sub}</mrow></msub>`;
+    return `<msup>${base}<mrow>${sup}</mrow></msup>`;
+  }
+
+  parseScriptArgument() {
+    const token = this.peek();
+    if (!token) return '';
+    if (token.type === 'char' && token.value === '{') {
+      return this.parseGroup();
+    }
+    // A single digit is the whole script in TeX (x^23 means x^2 followed by 3)
+    if (token.type === 'number' && token.value.length > 1) {
+      this.next();
+      this.tokens.splice(this.pos, 0, { type: 'number', value: token.value.slice(1) });
+      return `<mn>${escapeXML(token.value[0])}</mn>`;
+    }
+    return this.parseAtom();
+  }
+
+  // Parse a {...} group and return its inner MathML
+  parseGroup() {
+    const token = this.peek();
+    if (!token || token.type !== 'char' || token.value !== '{') {
+      return token ? this.parseAtom() : '';
+    }
+    this.next();
+    const inner = this.parseExpression(['}']);
+    if (this.peek()) this.next(); // consume }
+    return inner;
+  }
+
+  // Read a raw {...} argument as source text, spaces included (for \text, \begin, \operatorname)
+  readRawGroup() {
+    const token = this.peek();
+    if (!token || token.type !== 'char' || token.value !== '{') return '';
+    this.next();
+    const start = token.index + 1;
+    let depth = 1;
+    while (this.peek()) {
+      const current = this.next();
+      if (current.type === 'char' && current.value === '{') depth++;
+      if (current.type === 'char' && current.value === '}') {
+        depth--;
+        if (depth === 0) return this.source.slice(start, current.index);
+      }
+    }
+    return this.source.slice(start);
+  }
+
+  readOptionalArgument() {
+    const token = this.peek();
+    if (!token || token.type !== 'char' || token.value !== '[') return null;
+    this.next();
+    const inner = this.parseExpression([']']);
+    if (this.peek()) this.next(); // consume ]
+    return inner;
+  }
+
+  parseAtom() {
+    const token = this.next();
+    if (!token) return '';
+
+    switch (token.type) {
+      case 'number':
+        return `<mn>${token.value}</mn>`;
+      case 'letter':
+        return `<mi>${token.value}</mi>`;
+      case 'char':
+        return this.parseChar(token.value);
+      case 'command':
+        return this.parseCommand(token.value);
+      default:
+        return '';
+    }
+  }
+
+  parseChar(char) {
+    if (char === '{') {
+      this.pos--;
+      return `<mrow>${this.parseGroup()}</mrow>`;
+    }
+    if (char === '}') return '';
+    if (char === '~') return '<mspace width="0.25em"></mspace>';
+    if ('()[]|'.includes(char)) return `<mo stretchy="false">${escapeXML(char)}</mo>`;
+    return `<mo>${escapeXML(char)}</mo>`;
+  }
+
+  parseCommand(name) {
+    if (GREEK[name]) {
+      // Upright capitals, italic lowercase, as in TeX
+      const variant = /^[A-Z]/.test(name) ? ' mathvariant="normal"' : '';
+      return `<mi${variant}>${GREEK[name]}</mi>`;
+    }
+    if (BIG_OPERATORS[name]) {
+      return `<mo largeop="true" movablelimits="true">${BIG_OPERATORS[name]}</mo>`;
+    }
+    if (FUNCTIONS.has(name)) {
+      return `<mi mathvariant="normal">${name}</mi><mo>&#x2061;</mo>`;
+    }
+    if (SYMBOLS[name]) {
+      return `<mo>${escapeXML(SYMBOLS[name])}</mo>`;
+    }
+    if (SPACES[name] !== undefined) {
+      return `<mspace width="${SPACES[name]}"></mspace>`;
+    }
+    if (ACCENTS[name]) {
+      const base = this.parseGroup();
+      return `<mover accent="true"><mrow>${base}</mrow><mo>${ACCENTS[name]}</mo></mover>`;
+    }
+
+    switch (name) {
+      case 'frac':
+      case 'dfrac':
+      case 'tfrac': {
+        const numerator = this.parseGroup();
+        const denominator = this.parseGroup();
+        return `<mfrac><mrow>${numerator}</mrow><mrow>${denominator}</mrow></mfrac>`;
+      }
+      case 'binom': {
+        const top = this.parseGroup();
+        const bottom = this.parseGroup();
+        return `<mrow><mo>(</mo><mfrac linethickness="0"><mrow>${top}</mrow><mrow>${bottom}</mrow></mfrac><mo>)</mo></mrow>`;
+      }
+      case 'sqrt': {
+        const index = this.readOptionalArgument();
+        const radicand = this.parseGroup();
+        return index
+          ? `<mroot><mrow>${radicand}</mrow><mrow>${index}</mrow></mroot>`
+          : `<msqrt>${radicand}</msqrt>`;
+      }
+      case 'text':
+      case 'textrm':
+      case 'textit':
+      case 'textbf':
+      case 'mbox':
+        return `<mtext>${escapeXML(this.readRawGroup())}</mtext>`;
+      case 'mathrm':
+      case 'operatorname':
+      case 'operatorname*':
+        return `<mi mathvariant="normal">${escapeXML(this.readRawGroup())}</mi>`;
+      case 'mathbf':
+      case 'boldsymbol':
+        return `<mi mathvariant="bold">${escapeXML(this.readRawGroup())}</mi>`;
+      case 'mathit':
+        return `<mi>${escapeXML(this.readRawGroup())}</mi>`;
+      case 'mathbb': {
+        const letters = this.readRawGroup();
+        return `<mi>${escapeXML(letters.split('').map(letter => DOUBLE_STRUCK[letter] || letter).join(''))}</mi>`;
+      }
+      case 'mathcal':
+        return `<mi mathvariant="script">${escapeXML(this.readRawGroup())}</mi>`;
+      case 'left':
+      case 'right':
+      case 'bigl':
+      case 'bigr':
+      case 'Bigl':
+      case 'Bigr':
+      case 'big':
+      case 'Big': {
+        const delimiter = this.next();
+        if (!delimiter) return '';
+        const value = delimiter.type === 'command' ? (SYMBOLS[delimiter.value] || '') : delimiter.value;
+        if (value === '.') return '';
+        return `<mo stretchy="true">${escapeXML(value)}</mo>`;
+      }
+      case 'begin':
+        return this.parseEnvironment(this.readRawGroup());
+      case '\\':
+        return '';
+      case 'displaystyle':
+      case 'textstyle':
+      case 'limits':
+      case 'nolimits':
+        return '';
+      default:
+        // Unknown commands degrade to their name so the formula stays readable
+        return `<mtext>\\${escapeXML(name)}</mtext>`;
+    }
+  }
+
+  // Matrices, cases and aligned blocks become <mtable>
+  parseEnvironment(environment) {
+    const [open, close] = MATRIX_DELIMITERS[environment] || ['', ''];
+    if (environment === 'array') this.readRawGroup(); // column spec
+
+    const rows = [];
+    let cells = [];
+    let currentCell = '';
+    while (this.peek()) {
+      const token = this.peek();
+      if (token.type === 'command' && token.value === 'end') {
+        this.next();
+        this.readRawGroup();
+        break;
+      }
+      if (token.type === 'char' && token.value === '&') {
+        this.next();
+        cells.push(currentCell);
+        currentCell = '';
+        continue;
+      }
+      if (token.type === 'command' && token.value === '\\') {
+        this.next();
+        cells.push(currentCell);
+        rows.push(cells);
+        cells = [];
+        currentCell = '';
+        continue;
+      }
+      currentCell += this.parseExpression(['&', '\\\\', '}']);
+      if (this.peek() && this.peek().type === 'char' && this.peek().value === '}') this.next(); // stray brace
+    }
+    if (currentCell || cells.length > 0) {
+      cells.push(currentCell);
+      rows.push(cells);
+    }
+
+    const align = environment === 'cases' || environment.startsWith('align') ? ' columnalign="left"' : '';
+    const table = `<mtable${align}>${rows.map(row => `<mtr>${row.map(cell => `<mtd><mrow>${cell}</mrow></mtd>`).join('')}</mtr>`).join('')}</mtable>`;
+    const openDelimiter = open ? `<mo stretchy="true">${escapeXML(open)}</mo>` : '';
+    const closeDelimiter = close ? `<mo stretchy="true">${escapeXML(close)}</mo>` : '';
+    return `<mrow>${openDelimiter}${table}${closeDelimiter}</mrow>`;
+  }
+}
+
+/**
+ * Convert a TeX string into a MathML <math> element string.
+ * The original source is kept as an annotation so copying keeps the TeX.
+ */
+export function renderMath(tex, displayMode = false) {
+  let body;
+  try {
+    body = new TexParser(tex, displayMode).parseExpression();
+  } catch (error) {
+    console.warn('Math rendering failed, showing source:', error);
+    body = `<mtext>${escapeXML(tex)}</mtext>`;
+  }
+
+  const display = displayMode ? ' display="block"' : '';
+  return `<math${display}><semantics><mrow>${body}</mrow><annotation encoding="application/x-tex">${escapeXML(tex)}</annotation></semantics></math>`;
+}
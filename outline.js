@@ -0,0 +1,154 @@
+// PagePal AI - Page outline
+//
+// Splits extracted page text into a tree of sections so questions can be limited to
+// the ones the user ticks. Sections come from the text's Markdown headings (and the
+// labeled sections of site adapters); pages whose headings aren't marked up as such
+// fall back to their table-of-contents sidebar, matched against lines of the text.
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const SITE_SECTION_PATTERN = /^\[Section: (.+)\]$/;
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+const MIN_SECTIONS = 2; // A single heading doesn't make an outline worth choosing from
+
+// Heading text without Markdown emphasis, code marks or link targets
+function plainTitle(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`~]+/g, '')
+    .trim();
+}
+
+// Titles are compared ignoring case, punctuation and any "3.2" numbering
+function normalizeTitle(text) {
+  return plainTitle(text)
+    .toLowerCase()
+    .replace(/^\d+(\.\d+)*\.?\s+/, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Lines outside fenced code blocks, with their offsets in the text
+function textLines(text) {
+  const lines = [];
+  let fence = null;
+  let offset = 0;
+  text.split('\n').forEach(line => {
+    const fenceMatch = FENCE_PATTERN.exec(line);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+    } else if (!fence) {
+      lines.push({ text: line, offset });
+    }
+    offset += line.length + 1;
+  });
+  return lines;
+}
+
+// Site adapter sections sit above every heading level
+function headingsFromText(lines) {
+  return lines.flatMap(line => {
+    const site = SITE_SECTION_PATTERN.exec(line.text);
+    if (site) return [{ level: 0, title: site[1], start: line.offset }];
+    const heading = HEADING_PATTERN.exec(line.text);
+    return heading ? [{ level: heading[1].length, title: plainTitle(heading[2]), start: line.offset }] : [];
+  });
+}
+
+// Each TOC entry is looked for after the previous one, so repeated titles line up in order
+function headingsFromToc(lines, toc) {
+  const headings = [];
+  let from = 0;
+  toc.forEach(entry => {
+    const target = normalizeTitle(entry.title);
+    if (!target) return;
+    const index = lines.findIndex((line, i) => i >= from && normalizeTitle(line.text) === target);
+    if (index === -1) return;
+    // The outline numbers sections itself, so the TOC's own numbering is dropped
+    headings.push({ level: entry.level, title: entry.title.replace(/^\d+(\.\d+)*\.?\s+/, ''), start: lines[index].offset });
+    from = index + 1;
+  });
+  return headings;
+}
+
+/**
+ * Outline of a page's text: { source: 'headings' | 'toc' | null, sections }, where
+ * sections are in document order as { id, key, title, level, number, depth,
+ * parentId, start, end }. [start, end) spans the heading and everything under it.
+ * A lone top-level heading is the page title, so numbering starts below it.
+ */
+export function buildOutline(text, toc = []) {
+  const lines = textLines(text);
+  let headings = headingsFromText(lines);
+  let source = 'headings';
+  if (headings.length < MIN_SECTIONS && toc.length > 0) {
+    headings = headingsFromToc(lines, toc);
+    source = 'toc';
+  }
+  if (headings.length < MIN_SECTIONS) {
+    return { source: null, sections: [] };
+  }
+
+  // Text before the first heading becomes an unnumbered section so it can be chosen too
+  if (text.slice(0, headings[0].start).trim()) {
+    headings.unshift({ level: headings[0].level, title: 'Introduction', start: 0, preamble: true });
+  }
+
+  const sections = [];
+  const stack = [];
+  headings.forEach((heading, index) => {
+    while (stack.length && stack[stack.length - 1].level >= heading.level) stack.pop();
+    const parent = stack[stack.length - 1] || null;
+    const next = headings.slice(index + 1).find(other => other.level <= heading.level);
+    const section = {
+      id: index,
+      title: heading.title,
+      level: heading.level,
+      number: '',
+      depth: stack.length,
+      parentId: parent ? parent.id : null,
+      start: heading.start,
+      end: next ? next.start : text.length
+    };
+    sections.push(section);
+    stack.push(section);
+  });
+
+  const roots = sections.filter(section => section.parentId === null && !headings[section.id].preamble);
+  const titleId = roots.length === 1 ? roots[0].id : null;
+  const childCounts = new Map(); // parent id (null for roots) -> children numbered so far
+  sections.forEach(section => {
+    if (section.id !== titleId && !headings[section.id].preamble) {
+      const position = (childCounts.get(section.parentId) || 0) + 1;
+      childCounts.set(section.parentId, position);
+      const parent = section.parentId === null ? null : sections[section.parentId];
+      section.number = !parent || parent.id === titleId ? String(position) : `${parent.number}.${position}`;
+    }
+    section.key = `${section.number}|${section.title}`; // Survives a rescan of the same page
+  });
+  return { source, sections };
+}
+
+/**
+ * The text of the chosen sections in page order, under a line naming them.
+ * Sections inside another chosen section aren't repeated; gaps are marked with […].
+ */
+export function formatOutlineContext(text, sections) {
+  const ordered = [...sections].sort((a, b) => a.start - b.start);
+  const ranges = ordered.reduce((merged, section) => {
+    const last = merged[merged.length - 1];
+    if (last && section.start <= last.end) {
+      last.end = Math.max(last.end, section.end);
+    } else {
+      merged.push({ start: section.start, end: section.end });
+    }
+    return merged;
+  }, []);
+
+  const names = ordered.map(section => `${section.number ? `${section.number} ` : ''}${section.title}`).join('; ');
+  const body = ranges.map(range => text.slice(range.start, range.end).trim()).join('\n\n[…]\n\n');
+  return `[Only these sections of the page are included: ${names}]\n\n${body}`;
+}
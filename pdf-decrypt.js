@@ -0,0 +1,245 @@
+// PagePal AI - PDF decryption
+//
+// Many PDFs are encrypted only to restrict printing or copying: they have an owner
+// password but an empty user password, so any reader can open them. This implements
+// the Standard security handler for that case (RC4 40-128 bit, AES-128 and AES-256,
+// revisions 2-6). Documents that need a user password are reported as such.
+// AES and SHA-2 come from WebCrypto; MD5 and RC4 aren't offered there, so they're here.
+
+const PASSWORD_PADDING = new Uint8Array([
+  0x28, 0xbf, 0x4e, 0x5e, 0x4e, 0x75, 0x8a, 0x41, 0x64, 0x00, 0x4e, 0x56, 0xff, 0xfa, 0x01, 0x08,
+  0x2e, 0x2e, 0x00, 0xb6, 0xd0, 0x68, 0x3e, 0x80, 0x2f, 0x0c, 0xa9, 0xfe, 0x64, 0x53, 0x69, 0x7a
+]);
+const AES_SALT = [0x73, 0x41, 0x6c, 0x54]; // "sAlT"
+const EMPTY = new Uint8Array(0);
+
+function concatBytes(...parts) {
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    output.set(part, offset);
+    offset += part.length;
+  });
+  return output;
+}
+
+function bytesEqual(a, b) {
+  return a.length === b.length && a.every((value, index) => value === b[index]);
+}
+
+// ---------------------------------------------------------------------------
+// MD5 (RFC 1321) and RC4
+// ---------------------------------------------------------------------------
+
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+export function md5(bytes) {
+  const bitLength = bytes.length * 8;
+  const padded = new Uint8Array(((bytes.length + 8) >> 6) * 64 + 64);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, bitLength >>> 0, true);
+  view.setUint32(padded.length - 4, Math.floor(bitLength / 2 ** 32), true);
+
+  let a0 = 0x67452301;
+  let b0 = 0xefcdab89;
+  let c0 = 0x98badcfe;
+  let d0 = 0x10325476;
+  for (let block = 0; block < padded.length; block += 64) {
+    let [a, b, c, d] = [a0, b0, c0, d0];
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      const shift = MD5_SHIFTS[(i >> 4) * 4 + (i % 4)];
+      const sum = (a + f + MD5_CONSTANTS[i] + view.getUint32(block + g * 4, true)) >>> 0;
+      [a, d, c] = [d, c, b];
+      b = (b + ((sum << shift) | (sum >>> (32 - shift)))) >>> 0;
+    }
+    a0 = (a0 + a) >>> 0;
+    b0 = (b0 + b) >>> 0;
+    c0 = (c0 + c) >>> 0;
+    d0 = (d0 + d) >>> 0;
+  }
+
+  const digest = new Uint8Array(16);
+  const digestView = new DataView(digest.buffer);
+  [a0, b0, c0, d0].forEach((word, index) => digestView.setUint32(index * 4, word, true));
+  return digest;
+}
+
+export function rc4(key, data) {
+  const state = new Uint8Array(256).map((_, i) => i);
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + state[i] + key[i % key.length]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+  }
+
+  const output = new Uint8Array(data.length);
+  for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+    i = (i + 1) & 0xff;
+    j = (j + state[i]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+    output[n] = data[n] ^ state[(state[i] + state[j]) & 0xff];
+  }
+  return output;
+}
+
+// ---------------------------------------------------------------------------
+// AES and SHA-2 through WebCrypto
+// ---------------------------------------------------------------------------
+
+async function sha(bits, bytes) {
+  return new Uint8Array(await crypto.subtle.digest(`SHA-${bits}`, bytes));
+}
+
+function importAesKey(keyBytes) {
+  return crypto.subtle.importKey('raw', keyBytes, 'AES-CBC', false, ['encrypt', 'decrypt']);
+}
+
+// CBC without padding: WebCrypto always pads, so the extra final block is dropped
+async function aesEncryptBlocks(keyBytes, iv, data) {
+  const key = await importAesKey(keyBytes);
+  const output = await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, key, data);
+  return new Uint8Array(output, 0, data.length);
+}
+
+// WebCrypto only decrypts PKCS#7-padded CBC. Encrypting nothing with the last
+// ciphertext block as IV yields the block a full padding block would encrypt to;
+// appending it makes any whole number of blocks decrypt as-is.
+async function aesDecryptBlocks(keyBytes, iv, data) {
+  const key = await importAesKey(keyBytes);
+  const lastBlock = data.length > 0 ? data.subarray(data.length - 16) : iv;
+  const paddingBlock = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv: lastBlock }, key, EMPTY));
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, key, concatBytes(data, paddingBlock)));
+}
+
+// Encrypted streams start with their IV and end with PKCS#7 padding
+async function aesDecryptStream(keyBytes, bytes) {
+  if (bytes.length < 32) return EMPTY;
+  const body = bytes.subarray(16, 16 + Math.floor((bytes.length - 16) / 16) * 16);
+  const plain = await aesDecryptBlocks(keyBytes, bytes.subarray(0, 16), body);
+  const padding = plain[plain.length - 1];
+  const hasPadding = padding >= 1 && padding <= 16 && plain.subarray(plain.length - padding).every(value => value === padding);
+  return hasPadding ? plain.subarray(0, plain.length - padding) : plain;
+}
+
+// ---------------------------------------------------------------------------
+// Standard security handler, empty user password
+// ---------------------------------------------------------------------------
+
+// Algorithm 2: file key for revisions 2-4
+function computeKeyR2R4(encryption, fileId) {
+  const { revision, keyLength, owner, permissions, encryptMetadata } = encryption;
+  const permissionBytes = new Uint8Array(4);
+  new DataView(permissionBytes.buffer).setInt32(0, permissions, true);
+  const metadataBytes = revision >= 4 && !encryptMetadata ? new Uint8Array([0xff, 0xff, 0xff, 0xff]) : EMPTY;
+
+  let key = md5(concatBytes(PASSWORD_PADDING, owner.subarray(0, 32), permissionBytes, fileId, metadataBytes));
+  if (revision >= 3) {
+    for (let i = 0; i < 50; i++) key = md5(key.subarray(0, keyLength));
+  }
+  return key.slice(0, keyLength);
+}
+
+// Algorithms 4 and 5: the key is right if it reproduces /U
+function checkUserKeyR2R4(key, encryption, fileId) {
+  if (encryption.revision === 2) {
+    return bytesEqual(rc4(key, PASSWORD_PADDING), encryption.user.subarray(0, 32));
+  }
+  let value = rc4(key, md5(concatBytes(PASSWORD_PADDING, fileId)));
+  for (let i = 1; i <= 19; i++) {
+    value = rc4(key.map(byte => byte ^ i), value);
+  }
+  return bytesEqual(value, encryption.user.subarray(0, 16));
+}
+
+// Algorithm 2.B: the iterated hash used by revision 6
+async function hashR6(password, salt, userKey) {
+  let hash = await sha(256, concatBytes(password, salt, userKey));
+  for (let round = 0; ; round++) {
+    const block = concatBytes(password, hash, userKey);
+    const repeated = new Uint8Array(block.length * 64);
+    for (let i = 0; i < 64; i++) repeated.set(block, i * block.length);
+
+    const encrypted = await aesEncryptBlocks(hash.subarray(0, 16), hash.subarray(16, 32), repeated);
+    // The first 16 bytes as a big-endian number mod 3; 256 is 1 mod 3, so summing bytes suffices
+    const remainder = encrypted.subarray(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+    hash = await sha([256, 384, 512][remainder], encrypted);
+    if (round >= 63 && encrypted[encrypted.length - 1] <= round - 31) break;
+  }
+  return hash.subarray(0, 32);
+}
+
+// Algorithms 2.A, 11 and 2.B: validate the empty password against /U, then unwrap /UE
+async function computeKeyR5R6(encryption) {
+  const { revision, user, userKey } = encryption;
+  const hash = (salt) => (revision >= 6 ? hashR6(EMPTY, salt, EMPTY) : sha(256, salt));
+  if (!bytesEqual(await hash(user.subarray(32, 40)), user.subarray(0, 32))) {
+    return null;
+  }
+  return aesDecryptBlocks(await hash(user.subarray(40, 48)), new Uint8Array(16), userKey.subarray(0, 32));
+}
+
+/**
+ * Set up stream decryption for an encrypted PDF whose user password is empty.
+ * encryption holds the Encrypt dictionary's values: { filter, version, revision,
+ * keyLength (bytes), owner, user, userKey (byte arrays), permissions,
+ * encryptMetadata, streamMethod ('RC4' | 'AESV2' | 'AESV3' | 'None') }.
+ * Resolves to { decryptStream(bytes, num, gen) }; throws when a password is needed.
+ */
+export async function createDecryptor(encryption, fileId = EMPTY) {
+  if (encryption.filter !== 'Standard') {
+    throw new Error(`This PDF uses an unsupported encryption handler (${encryption.filter || 'unknown'})`);
+  }
+
+  const { revision, streamMethod } = encryption;
+  let fileKey;
+  if (revision >= 5) {
+    fileKey = await computeKeyR5R6(encryption);
+  } else if (revision >= 2) {
+    fileKey = computeKeyR2R4(encryption, fileId);
+    if (!checkUserKeyR2R4(fileKey, encryption, fileId)) fileKey = null;
+  } else {
+    throw new Error(`Unsupported PDF encryption revision ${revision}`);
+  }
+  if (!fileKey) {
+    throw new Error('This PDF is password-protected, so it can\'t be read without opening it first');
+  }
+
+  // Revisions 2-4 derive a key per object; AES-256 uses the file key for everything
+  const objectKey = (num, gen) => {
+    if (streamMethod === 'AESV3') return fileKey;
+    const salt = streamMethod === 'AESV2' ? AES_SALT : [];
+    const id = [num & 0xff, (num >> 8) & 0xff, (num >> 16) & 0xff, gen & 0xff, (gen >> 8) & 0xff];
+    return md5(concatBytes(fileKey, new Uint8Array(id), new Uint8Array(salt))).slice(0, Math.min(fileKey.length + 5, 16));
+  };
+
+  return {
+    async decryptStream(bytes, num, gen) {
+      switch (streamMethod) {
+        case 'None':
+          return bytes;
+        case 'AESV2':
+        case 'AESV3':
+          return aesDecryptStream(objectKey(num, gen), bytes);
+        default:
+          return rc4(objectKey(num, gen), bytes);
+      }
+    }
+  };
+}
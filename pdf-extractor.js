@@ -0,0 +1,870 @@
+// PagePal AI - PDF text extraction
+//
+// Chrome's PDF viewer exposes no text to innerText, so PDFs are fetched and parsed
+// here. This is a text-only reader: it indexes objects (including compressed object
+// streams), walks the page tree, inflates content streams with DecompressionStream
+// and decodes text operators through each font's ToUnicode map or simple encoding.
+// Encrypted documents are read when they open without a password (pdf-decrypt.js).
+// Images and annotations are out of scope.
+
+import { createDecryptor } from './pdf-decrypt.js';
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set('()<>[]{}/%'.split('').map(char => char.charCodeAt(0)));
+const MAX_FORM_DEPTH = 4;
+const PDF_TOO_LARGE = 'This PDF is too large to read';
+
+// Glyph names seen in /Differences arrays of text fonts that aren't a single character
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: "'", parenleft: '(', parenright: ')', asterisk: '*',
+  plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/', colon: ':', semicolon: ';',
+  less: '<', equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[',
+  backslash: '\\', bracketright: ']', underscore: '_', braceleft: '{', bar: '|',
+  braceright: '}', zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5',
+  six: '6', seven: '7', eight: '8', nine: '9', quoteleft: '‘', quoteright: '’',
+  quotedblleft: '“', quotedblright: '”', endash: '–', emdash: '—',
+  bullet: '•', ellipsis: '…', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl',
+  minus: '−', degree: '°', copyright: '©', registered: '®'
+};
+
+// WinAnsiEncoding differs from Latin-1 only in 0x80-0x9F
+const WIN_ANSI_HIGH = '€�‚ƒ„…†‡ˆ‰Š‹Œ�Ž�' +
+  '�‘’“”•–—˜™š›œ�žŸ';
+
+class PdfRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+class PdfName {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+// Binary string: one char per byte, so offsets match the underlying bytes
+function bytesToBinary(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    result += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return result;
+}
+
+function binaryToBytes(binary) {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+/**
+ * Tokenizer and object parser for PDF syntax. Content streams reuse it, treating
+ * bare keywords as operators.
+ */
+class PdfLexer {
+  constructor(data, position = 0) {
+    this.data = data; // binary string
+    this.position = position;
+  }
+
+  skipWhitespace() {
+    while (this.position < this.data.length) {
+      const code = this.data.charCodeAt(this.position);
+      if (WHITESPACE.has(code)) {
+        this.position++;
+      } else if (code === 0x25) { // % comment to end of line
+        while (this.position < this.data.length && !/[\r\n]/.test(this.data[this.position])) this.position++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  // Next token: { type: 'number'|'name'|'string'|'keyword'|'open'... , value }
+  next() {
+    this.skipWhitespace();
+    if (this.position >= this.data.length) return null;
+
+    const char = this.data[this.position];
+    if (char === '/') return this.readName();
+    if (char === '(') return { type: 'string', value: this.readLiteralString() };
+    if (char === '<') {
+      if (this.data[this.position + 1] === '<') {
+        this.position += 2;
+        return { type: 'dictStart' };
+      }
+      return { type: 'string', value: this.readHexString() };
+    }
+    if (char === '>' && this.data[this.position + 1] === '>') {
+      this.position += 2;
+      return { type: 'dictEnd' };
+    }
+    if (char === '[' || char === ']' || char === '{' || char === '}') {
+      this.position++;
+      return { type: char === '[' ? 'arrayStart' : char === ']' ? 'arrayEnd' : 'brace' };
+    }
+
+    const start = this.position;
+    while (this.position < this.data.length) {
+      const code = this.data.charCodeAt(this.position);
+      if (WHITESPACE.has(code) || DELIMITERS.has(code)) break;
+      this.position++;
+    }
+    if (this.position === start) {
+      this.position++; // Stray delimiter
+      return this.next();
+    }
+
+    const word = this.data.slice(start, this.position);
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { type: 'number', value: parseFloat(word) };
+    return { type: 'keyword', value: word };
+  }
+
+  readName() {
+    this.position++;
+    const start = this.position;
+    while (this.position < this.data.length) {
+      const code = this.data.charCodeAt(this.position);
+      if (WHITESPACE.has(code) || DELIMITERS.has(code)) break;
+      this.position++;
+    }
+    const raw = this.data.slice(start, this.position);
+    return { type: 'name', value: raw.replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))) };
+  }
+
+  readLiteralString() {
+    this.position++;
+    let depth = 1;
+    let result = '';
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+    while (this.position < this.data.length) {
+      const char = this.data[this.position++];
+      if (char === '\\') {
+        const next = this.data[this.position++];
+        if (escapes[next] !== undefined) {
+          result += escapes[next];
+        } else if (/[0-7]/.test(next)) {
+          let octal = next;
+          while (octal.length < 3 && /[0-7]/.test(this.data[this.position])) octal += this.data[this.position++];
+          result += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (next === '\r') {
+          if (this.data[this.position] === '\n') this.position++; // Line continuation
+        } else if (next !== '\n') {
+          result += next;
+        }
+      } else if (char === '(') {
+        depth++;
+        result += char;
+      } else if (char === ')') {
+        if (--depth === 0) break;
+        result += char;
+      } else {
+        result += char;
+      }
+    }
+    return result;
+  }
+
+  readHexString() {
+    this.position++;
+    const end = this.data.indexOf('>', this.position);
+    let hex = this.data.slice(this.position, end === -1 ? this.data.length : end).replace(/[^0-9a-fA-F]/g, '');
+    this.position = end === -1 ? this.data.length : end + 1;
+    if (hex.length % 2) hex += '0';
+    let result = '';
+    for (let i = 0; i < hex.length; i += 2) result += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+    return result;
+  }
+
+  // Parse one complete object (dict, array, ref, scalar) starting at the next token
+  parseObject(token = this.next()) {
+    if (!token) return null;
+
+    switch (token.type) {
+      case 'dictStart': {
+        const dict = {};
+        while (true) {
+          const key = this.next();
+          if (!key || key.type === 'dictEnd') break;
+          if (key.type !== 'name') continue;
+          dict[key.value] = this.parseObject();
+        }
+        return dict;
+      }
+      case 'arrayStart': {
+        const array = [];
+        while (true) {
+          const item = this.next();
+          if (!item || item.type === 'arrayEnd') break;
+          array.push(this.parseObject(item));
+        }
+        return array;
+      }
+      case 'name':
+        return new PdfName(token.value);
+      case 'number': {
+        // "n g R" is a reference; look ahead without consuming otherwise
+        const saved = this.position;
+        const generation = this.next();
+        if (generation?.type === 'number') {
+          const keyword = this.next();
+          if (keyword?.type === 'keyword' && keyword.value === 'R') {
+            return new PdfRef(token.value, generation.value);
+          }
+        }
+        this.position = saved;
+        return token.value;
+      }
+      case 'keyword':
+        if (token.value === 'true') return true;
+        if (token.value === 'false') return false;
+        if (token.value === 'null') return null;
+        return token.value;
+      default:
+        return token.value ?? null;
+    }
+  }
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  const reader = stream.getReader();
+  const chunks = [];
+  let total = 0;
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      total += value.length;
+    }
+  } catch (error) {
+    // Many PDFs have a damaged zlib trailer; keep whatever inflated before the error
+    if (total === 0) throw error;
+  }
+
+  const output = new Uint8Array(total);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+}
+
+function decodeAsciiHex(bytes) {
+  return binaryToBytes(new PdfLexer(`<${bytesToBinary(bytes).split('>')[0]}>`).readHexString());
+}
+
+function decodeAscii85(bytes) {
+  const input = bytesToBinary(bytes).replace(/\s/g, '').replace(/^<~/, '').split('~>')[0];
+  const output = [];
+  let group = [];
+  for (const char of input) {
+    if (char === 'z' && group.length === 0) {
+      output.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(char.charCodeAt(0) - 33);
+    if (group.length === 5) {
+      let value = group.reduce((sum, digit) => sum * 85 + digit, 0);
+      output.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+      group = [];
+    }
+  }
+  if (group.length > 0) {
+    const padding = 5 - group.length;
+    while (group.length < 5) group.push(84);
+    const value = group.reduce((sum, digit) => sum * 85 + digit, 0);
+    output.push(...[(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff].slice(0, 4 - padding));
+  }
+  return new Uint8Array(output);
+}
+
+/**
+ * Parsed PDF document: object index plus stream decoding
+ */
+class PdfDocument {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.data = bytesToBinary(bytes);
+    this.objects = new Map(); // num -> { num, gen, value, streamStart, streamEnd }
+    this.decryptor = null;
+  }
+
+  async load() {
+    if (!this.data.startsWith('%PDF-')) {
+      throw new Error('Not a PDF file');
+    }
+
+    this.indexObjects();
+    await this.setUpDecryption();
+    await this.expandObjectStreams();
+  }
+
+  // Trailer dictionaries, newest first: the classic "trailer" keyword, then
+  // cross-reference streams, which carry the same keys in their own dictionary
+  getTrailers() {
+    const trailers = [];
+    const index = this.data.lastIndexOf('trailer');
+    if (index !== -1) {
+      const trailer = new PdfLexer(this.data, index + 'trailer'.length).parseObject();
+      if (trailer && typeof trailer === 'object' && !Array.isArray(trailer)) trailers.push(trailer);
+    }
+    [...this.objects.values()].reverse().forEach(entry => {
+      if (this.nameOf(entry.value?.Type) === 'XRef') trailers.push(entry.value);
+    });
+    return trailers;
+  }
+
+  async setUpDecryption() {
+    const trailer = this.getTrailers().find(dict => dict.Encrypt);
+    if (!trailer) {
+      if (/\/Encrypt\s+\d+\s+\d+\s+R/.test(this.data)) {
+        throw new Error('This encrypted PDF could not be read');
+      }
+      return;
+    }
+
+    const encrypt = this.resolve(trailer.Encrypt) || {};
+    const version = this.resolve(encrypt.V) || 0;
+    const bytesOf = value => binaryToBytes(typeof this.resolve(value) === 'string' ? this.resolve(value) : '');
+
+    // Version 4+ names a crypt filter for streams; earlier versions always use RC4
+    let streamMethod = 'RC4';
+    if (version >= 4) {
+      const filterName = this.nameOf(encrypt.StmF) || 'Identity';
+      const filter = this.resolve(this.resolve(encrypt.CF)?.[filterName]);
+      streamMethod = filterName === 'Identity' ? 'None' : this.nameOf(filter?.CFM) || 'None';
+      if (streamMethod === 'V2') streamMethod = 'RC4';
+    }
+
+    const id = this.resolve(trailer.ID);
+    this.decryptor = await createDecryptor({
+      filter: this.nameOf(encrypt.Filter),
+      version,
+      revision: this.resolve(encrypt.R) || 0,
+      keyLength: version === 1 ? 5 : (this.resolve(encrypt.Length) || 40) / 8,
+      owner: bytesOf(encrypt.O),
+      user: bytesOf(encrypt.U),
+      userKey: bytesOf(encrypt.UE),
+      permissions: this.resolve(encrypt.P) || 0,
+      encryptMetadata: this.resolve(encrypt.EncryptMetadata) !== false,
+      streamMethod
+    }, Array.isArray(id) ? bytesOf(id[0]) : new Uint8Array(0));
+  }
+
+  // Scan for "n g obj" headers; later definitions (incremental updates) win
+  indexObjects() {
+    const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+    while ((match = pattern.exec(this.data)) !== null) {
+      const lexer = new PdfLexer(this.data, match.index + match[0].length);
+      const value = lexer.parseObject();
+      const entry = { num: parseInt(match[1], 10), gen: parseInt(match[2], 10), value };
+
+      lexer.skipWhitespace();
+      if (this.data.startsWith('stream', lexer.position)) {
+        let start = lexer.position + 'stream'.length;
+        if (this.data[start] === '\r') start++;
+        if (this.data[start] === '\n') start++;
+
+        const length = typeof value?.Length === 'number' ? value.Length : -1;
+        let end = length >= 0 && this.data.startsWith('endstream', this.skipEol(start + length))
+          ? start + length
+          : this.data.indexOf('endstream', start);
+        if (end === -1) end = this.data.length;
+
+        entry.streamStart = start;
+        entry.streamEnd = end;
+        pattern.lastIndex = end; // Don't look for headers inside binary stream data
+      }
+      this.objects.set(entry.num, entry);
+    }
+  }
+
+  skipEol(position) {
+    while (/[\r\n ]/.test(this.data[position] || '')) position++;
+    return position;
+  }
+
+  // Objects packed into /Type /ObjStm streams (PDF 1.5+)
+  async expandObjectStreams() {
+    for (const entry of [...this.objects.values()]) {
+      if (this.nameOf(entry.value?.Type) !== 'ObjStm') continue;
+      try {
+        const data = bytesToBinary(await this.getStreamBytes(entry));
+        const lexer = new PdfLexer(data);
+        const count = entry.value.N;
+        const first = entry.value.First;
+        const offsets = [];
+        for (let i = 0; i < count; i++) {
+          offsets.push([lexer.parseObject(), lexer.parseObject()]);
+        }
+        offsets.forEach(([num, offset]) => {
+          if (this.objects.has(num)) return;
+          this.objects.set(num, { value: new PdfLexer(data, first + offset).parseObject() });
+        });
+      } catch (error) {
+        console.warn('Skipping unreadable PDF object stream:', error);
+      }
+    }
+  }
+
+  resolve(value, depth = 0) {
+    if (value instanceof PdfRef && depth < 16) {
+      return this.resolve(this.objects.get(value.num)?.value ?? null, depth + 1);
+    }
+    return value;
+  }
+
+  getEntry(value) {
+    return value instanceof PdfRef ? this.objects.get(value.num) : null;
+  }
+
+  nameOf(value) {
+    const resolved = this.resolve(value);
+    return resolved instanceof PdfName ? resolved.name : null;
+  }
+
+  async getStreamBytes(entry) {
+    if (!entry || entry.streamStart === undefined) return new Uint8Array(0);
+    let bytes = this.bytes.subarray(entry.streamStart, entry.streamEnd);
+
+    // Cross-reference streams are never encrypted
+    if (this.decryptor && this.nameOf(entry.value?.Type) !== 'XRef') {
+      bytes = await this.decryptor.decryptStream(bytes, entry.num, entry.gen);
+    }
+
+    const filter = this.resolve(entry.value?.Filter);
+    const filters = (Array.isArray(filter) ? filter : filter ? [filter] : []).map(item => this.nameOf(item));
+    for (const name of filters) {
+      if (name === 'FlateDecode' || name === 'Fl') {
+        bytes = await inflate(bytes);
+      } else if (name === 'ASCIIHexDecode' || name === 'AHx') {
+        bytes = decodeAsciiHex(bytes);
+      } else if (name === 'ASCII85Decode' || name === 'A85') {
+        bytes = decodeAscii85(bytes);
+      } else {
+        throw new Error(`Unsupported PDF stream filter: ${name}`);
+      }
+    }
+    return bytes;
+  }
+
+  // Page dictionaries in reading order, with inherited resources resolved
+  getPages() {
+    const catalog = [...this.objects.values()].find(entry => this.nameOf(entry.value?.Type) === 'Catalog');
+    const pages = [];
+    const visited = new Set();
+
+    const walk = (node, inheritedResources) => {
+      const dict = this.resolve(node);
+      if (!dict || typeof dict !== 'object' || visited.has(dict)) return;
+      visited.add(dict);
+
+      const resources = this.resolve(dict.Resources) || inheritedResources;
+      const type = this.nameOf(dict.Type);
+      if (type === 'Pages' || (!type && Array.isArray(this.resolve(dict.Kids)))) {
+        (this.resolve(dict.Kids) || []).forEach(kid => walk(kid, resources));
+      } else {
+        pages.push({ dict, resources });
+      }
+    };
+
+    if (catalog) {
+      walk(catalog.value.Pages, null);
+    }
+    if (pages.length === 0) {
+      // No usable page tree: fall back to page objects in file order
+      [...this.objects.entries()]
+        .sort(([a], [b]) => a - b)
+        .forEach(([, entry]) => {
+          if (this.nameOf(entry.value?.Type) === 'Page') {
+            pages.push({ dict: entry.value, resources: this.resolve(entry.value.Resources) });
+          }
+        });
+    }
+    return pages;
+  }
+
+  async getContentData(contents) {
+    const refs = Array.isArray(this.resolve(contents)) ? this.resolve(contents) : [contents];
+    const parts = [];
+    for (const ref of refs) {
+      try {
+        parts.push(bytesToBinary(await this.getStreamBytes(this.getEntry(ref))));
+      } catch (error) {
+        console.warn('Skipping unreadable PDF content stream:', error);
+      }
+    }
+    return parts.join('\n');
+  }
+}
+
+// Parse a ToUnicode CMap into a code -> string map plus the code width in bytes
+function parseToUnicode(data) {
+  const map = new Map();
+  const hexToString = hex => {
+    let result = '';
+    for (let i = 0; i + 3 < hex.length + 1; i += 4) {
+      result += String.fromCharCode(parseInt(hex.slice(i, i + 4).padEnd(4, '0'), 16));
+    }
+    return result;
+  };
+  const hexValues = text => [...text.matchAll(/<([0-9a-fA-F]*)>/g)].map(match => match[1]);
+
+  const codespace = data.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+  const codeBytes = codespace ? Math.max(1, codespace[1].length / 2) : 1;
+
+  for (const block of data.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    const values = hexValues(block[1]);
+    for (let i = 0; i + 1 < values.length; i += 2) {
+      map.set(parseInt(values[i], 16), hexToString(values[i + 1]));
+    }
+  }
+
+  for (const block of data.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const pattern = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]+>|\[[^\]]*\])/g;
+    for (const [, low, high, destination] of block[1].matchAll(pattern)) {
+      const start = parseInt(low, 16);
+      const end = Math.min(parseInt(high, 16), start + 0xffff);
+      if (destination.startsWith('[')) {
+        hexValues(destination).forEach((hex, index) => map.set(start + index, hexToString(hex)));
+      } else {
+        const base = destination.slice(1, -1);
+        const baseValue = parseInt(base.slice(-4), 16);
+        const prefix = hexToString(base.slice(0, -4));
+        for (let code = start; code <= end; code++) {
+          map.set(code, prefix + String.fromCharCode(baseValue + code - start));
+        }
+      }
+    }
+  }
+
+  return { map, codeBytes };
+}
+
+function glyphNameToText(name) {
+  if (GLYPH_NAMES[name] !== undefined) return GLYPH_NAMES[name];
+  if (/^[A-Za-z]$/.test(name)) return name;
+  const uni = name.match(/^uni([0-9A-Fa-f]{4})/) || name.match(/^u([0-9A-Fa-f]{4,6})$/);
+  if (uni) return String.fromCodePoint(parseInt(uni[1], 16));
+  return null;
+}
+
+/**
+ * Builds per-font decoders and pulls text out of content streams
+ */
+class TextExtractor {
+  constructor(pdf) {
+    this.pdf = pdf;
+    this.fontCache = new Map();
+  }
+
+  async getFontDecoder(fontRef) {
+    const key = fontRef instanceof PdfRef ? fontRef.num : fontRef;
+    if (this.fontCache.has(key)) return this.fontCache.get(key);
+
+    const pdf = this.pdf;
+    const font = pdf.resolve(fontRef) || {};
+    let decoder;
+
+    const toUnicodeEntry = pdf.getEntry(font.ToUnicode);
+    if (toUnicodeEntry) {
+      try {
+        const { map, codeBytes } = parseToUnicode(bytesToBinary(await pdf.getStreamBytes(toUnicodeEntry)));
+        decoder = bytes => {
+          let text = '';
+          for (let i = 0; i + codeBytes <= bytes.length; i += codeBytes) {
+            let code = 0;
+            for (let j = 0; j < codeBytes; j++) code = (code << 8) | bytes.charCodeAt(i + j);
+            text += map.get(code) ?? '';
+          }
+          return text;
+        };
+      } catch (error) {
+        console.warn('Unreadable ToUnicode map:', error);
+      }
+    }
+
+    if (!decoder) {
+      const isComposite = pdf.nameOf(font.Subtype) === 'Type0';
+      const encoding = pdf.resolve(font.Encoding);
+      const differences = new Map();
+      if (encoding && Array.isArray(pdf.resolve(encoding.Differences))) {
+        let code = 0;
+        pdf.resolve(encoding.Differences).forEach(item => {
+          if (typeof item === 'number') {
+            code = item;
+          } else if (item instanceof PdfName) {
+            const text = glyphNameToText(item.name);
+            if (text !== null) differences.set(code, text);
+            code++;
+          }
+        });
+      }
+
+      decoder = bytes => {
+        // Without a ToUnicode map, two-byte CID text can't be mapped back to characters
+        if (isComposite) return '';
+        let text = '';
+        for (let i = 0; i < bytes.length; i++) {
+          const code = bytes.charCodeAt(i);
+          if (differences.has(code)) {
+            text += differences.get(code);
+          } else if (code >= 0x80 && code <= 0x9f) {
+            text += WIN_ANSI_HIGH[code - 0x80];
+          } else {
+            text += String.fromCharCode(code);
+          }
+        }
+        return text;
+      };
+    }
+
+    this.fontCache.set(key, decoder);
+    return decoder;
+  }
+
+  // Run a content stream's text operators; Form XObjects are followed recursively
+  async extract(data, resources, depth = 0) {
+    const pdf = this.pdf;
+    const lexer = new PdfLexer(data);
+    const fonts = pdf.resolve(resources?.Font) || {};
+    const xObjects = pdf.resolve(resources?.XObject) || {};
+    let operands = [];
+    let decode = bytes => bytes;
+    let output = '';
+    let lastY = null;
+
+    const newline = () => {
+      if (output && !output.endsWith('\n')) output += '\n';
+    };
+    const space = () => {
+      if (output && !/\s$/.test(output)) output += ' ';
+    };
+
+    while (true) {
+      const token = lexer.next();
+      if (!token) break;
+
+      if (token.type !== 'keyword' || token.value === 'true' || token.value === 'false' || token.value === 'null') {
+        operands.push(lexer.parseObject(token));
+        continue;
+      }
+
+      const operator = token.value;
+      switch (operator) {
+        case 'BT':
+          lastY = null;
+          break;
+        case 'ET':
+          space();
+          break;
+        case 'Tf': {
+          const fontName = operands[0] instanceof PdfName ? operands[0].name : null;
+          decode = fontName && fonts[fontName] ? await this.getFontDecoder(fonts[fontName]) : (bytes => bytes);
+          break;
+        }
+        case 'Td':
+        case 'TD': {
+          const [tx, ty] = operands;
+          if (ty) newline();
+          else if (tx) space();
+          break;
+        }
+        case 'Tm': {
+          const y = operands[5];
+          if (lastY !== null && Math.abs(y - lastY) > 1) newline();
+          else space();
+          lastY = y;
+          break;
+        }
+        case 'T*':
+          newline();
+          break;
+        case "'":
+        case '"':
+          newline();
+          output += decode(String(operands[operands.length - 1] ?? ''));
+          break;
+        case 'Tj':
+          output += decode(String(operands[0] ?? ''));
+          break;
+        case 'TJ':
+          (Array.isArray(operands[0]) ? operands[0] : []).forEach(item => {
+            if (typeof item === 'number') {
+              if (item < -200) space(); // Large negative kerning is a word gap
+            } else {
+              output += decode(String(item));
+            }
+          });
+          break;
+        case 'Do': {
+          const name = operands[0] instanceof PdfName ? operands[0].name : null;
+          const entry = name ? pdf.getEntry(xObjects[name]) : null;
+          if (entry && depth < MAX_FORM_DEPTH && pdf.nameOf(entry.value?.Subtype) === 'Form') {
+            try {
+              const formData = bytesToBinary(await pdf.getStreamBytes(entry));
+              newline();
+              output += await this.extract(formData, pdf.resolve(entry.value.Resources) || resources, depth + 1);
+              newline();
+            } catch (error) {
+              console.warn('Skipping unreadable PDF form:', error);
+            }
+          }
+          break;
+        }
+        case 'BI': {
+          // Inline image: skip binary data up to EI
+          const isDelimited = index => WHITESPACE.has(data.charCodeAt(index - 1)) &&
+            (index + 2 >= data.length || WHITESPACE.has(data.charCodeAt(index + 2)));
+          let position = data.indexOf('EI', data.indexOf('ID', lexer.position) + 2);
+          while (position !== -1 && !isDelimited(position)) {
+            position = data.indexOf('EI', position + 2);
+          }
+          lexer.position = position === -1 ? data.length : position + 2;
+          break;
+        }
+        default:
+          break;
+      }
+      operands = [];
+    }
+
+    return output;
+  }
+}
+
+function cleanPageText(text) {
+  return text
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract text page by page from PDF bytes.
+ * Returns { pages: [{ pageNumber, text }], pageCount }.
+ */
+export async function extractPdfText(bytes) {
+  const pdf = new PdfDocument(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+  await pdf.load();
+
+  const extractor = new TextExtractor(pdf);
+  const pageDicts = pdf.getPages();
+  const pages = [];
+  for (let index = 0; index < pageDicts.length; index++) {
+    const { dict, resources } = pageDicts[index];
+    const data = await pdf.getContentData(dict.Contents);
+    pages.push({ pageNumber: index + 1, text: cleanPageText(await extractor.extract(data, resources)) });
+  }
+
+  return { pages, pageCount: pages.length };
+}
+
+/**
+ * Join pages into one text with [Page n] markers, so retrieval, summaries and
+ * answers can all refer to page numbers
+ */
+export function formatPdfText(pages) {
+  return pages
+    .filter(page => page.text)
+    .map(page => `[Page ${page.pageNumber}]\n${page.text}`)
+    .join('\n\n');
+}
+
+/**
+ * Whether a URL points at a PDF file by its path; used when the tab can't be scripted
+ */
+export function isPdfUrl(url) {
+  try {
+    return /\.pdf$/i.test(new URL(url).pathname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Download a PDF from the popup, for tabs that can't be scripted. At most maxBytes
+ * are read, like fetchPdfFunction: a larger Content-Length is refused up front, and
+ * the body is read in chunks so a missing or wrong header can't get past the limit.
+ * Resolves to { bytes } or { error }; network and HTTP failures throw.
+ */
+export async function downloadPdf(url, maxBytes) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  if (Number(response.headers.get('Content-Length')) > maxBytes) {
+    await response.body?.cancel();
+    return { error: PDF_TOO_LARGE };
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let length = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > maxBytes) {
+      await reader.cancel();
+      return { error: PDF_TOO_LARGE };
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return { bytes };
+}
+
+/**
+ * Injected into the tab: when the document is a PDF, fetch its bytes with the
+ * page's own cookies and return them base64-encoded
+ */
+export async function fetchPdfFunction(maxBytes) {
+  if (document.contentType !== 'application/pdf') {
+    return { isPdf: false };
+  }
+
+  try {
+    const response = await fetch(window.location.href, { credentials: 'include' });
+    if (!response.ok) {
+      return { isPdf: true, error: `Could not download the PDF (HTTP ${response.status})` };
+    }
+    const buffer = await response.arrayBuffer();
+    if (buffer.byteLength > maxBytes) {
+      return { isPdf: true, error: 'This PDF is too large to read' };
+    }
+
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return { isPdf: true, url: window.location.href, title: document.title, base64: btoa(binary) };
+  } catch (error) {
+    return { isPdf: true, error: error.message };
+  }
+}
+
+/**
+ * Decode the base64 payload returned by fetchPdfFunction
+ */
+export function base64ToBytes(base64) {
+  return binaryToBytes(atob(base64));
+}
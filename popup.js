@@ -2,324 +2,52 @@
 
 // Import constants and utilities
 import { CONFIG, PROMPTS } from './constants.js';
-import { createAPIError, storage, validateAPIKey, formatErrorMessage, initializeElements } from './utils.js';
+import { storage, validateAPIKey, formatErrorMessage, initializeElements, normalizeBaseUrl, estimateTokens, getModelContextTokens, debounce, truncateText } from './utils.js';
+import { OpenAIProvider, GeminiProvider, CustomEndpointProvider, AnthropicProvider, getProviderForModel, getPricingTable, estimateRequestCost } from './providers.js';
 import { APIKeyManager } from './api-key-manager.js';
-
-// Base class for AI providers
-class AIProvider {
-  constructor(name) {
-    this.name = name;
-  }
-
-  // Abstract methods that each provider must implement
-  getEndpoint(model, apiKey) {
-    throw new Error(`${this.name}: getEndpoint must be implemented`);
-  }
-
-  getHeaders(apiKey) {
-    throw new Error(`${this.name}: getHeaders must be implemented`);
-  }
-
-  formatRequest(question, context, model, sessionContext) {
-    throw new Error(`${this.name}: formatRequest must be implemented`);
-  }
-
-  formatVisionRequest(question, visualData, model, sessionContext) {
-    throw new Error(`${this.name}: formatVisionRequest must be implemented`);
-  }
-
-  parseResponse(data) {
-    throw new Error(`${this.name}: parseResponse must be implemented`);
-  }
-
-  async handleError(response, model) {
-    throw createAPIError(response, this.name);
-  }
-
-  // Generic method to make HTTP requests to AI providers
-  async makeAPIRequest(endpoint, headers, body) {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: headers,
-      body: JSON.stringify(body)
-    });
-
-    if (!response.ok) {
-      await this.handleError(response, this.name);
-    }
-
-    return await response.json();
-  }
-
-  // Shared method to format user content consistently
-  formatUserContent(question, context, sessionContext = '') {
-    return `Question: ${question}${context ? `
-
-Additional context from current webpage:
-${context.substring(0, CONFIG.MAX_CONTEXT_LENGTH)}${sessionContext}` : ''}`;
-  }
-
-  // Shared method to format vision content consistently  
-  formatVisionUserContent(question, visualData, sessionContext = '') {
-    return `Question: ${question}${visualData.viewports.length > 0 ? `
-
-Additional context from current webpage: ${visualData.pageInfo.title} (${visualData.pageInfo.url})
-Screenshots: ${visualData.viewports.length} viewport screenshots captured${sessionContext}` : ''}`;
-  }
-
-  // Common method used by all providers
-  async askQuestion(question, context, model, apiKey, sessionContext = '') {
-    try {
-      const endpoint = this.getEndpoint(model, apiKey);
-      const headers = this.getHeaders(apiKey);
-      const body = this.formatRequest(question, context, model, sessionContext);
-
-      const data = await this.makeAPIRequest(endpoint, headers, body);
-      return this.parseResponse(data);
-    } catch (error) {
-      throw error;
-    }
-  }
-
-  // Common vision method used by all providers
-  async askVisionQuestion(question, visualData, model, apiKey, sessionContext = '') {
-    try {
-      const endpoint = this.getEndpoint(model, apiKey);
-      const headers = this.getHeaders(apiKey);
-      const body = this.formatVisionRequest(question, visualData, model, sessionContext);
-
-      const data = await this.makeAPIRequest(endpoint, headers, body);
-      return this.parseResponse(data);
-    } catch (error) {
-      throw error;
-    }
-  }
-}
-
-// OpenAI provider implementation
-class OpenAIProvider extends AIProvider {
-  constructor() {
-    super('OpenAI');
-  }
-
-  getEndpoint(model, apiKey) {
-    return 'https://api.openai.com/v1/chat/completions';
-  }
-
-  getHeaders(apiKey) {
-    return {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-    };
-  }
-
-  formatRequest(question, context, model, sessionContext) {
-    return {
-      model: model,
-      messages: [
-        {
-          role: 'system',
-          content: PROMPTS.SYSTEM_PROMPT
-        },
-        {
-          role: 'user',
-          content: this.formatUserContent(question, context, sessionContext)
-        }
-      ],
-      max_tokens: CONFIG.DEFAULT_MAX_TOKENS,
-      temperature: CONFIG.DEFAULT_TEMPERATURE,
-    };
-  }
-
-  formatVisionRequest(question, visualData, model, sessionContext) {
-    return {
-      model: 'gpt-4o', // Use vision model
-      messages: [
-        {
-          role: 'system',
-          content: PROMPTS.VISION_SYSTEM_PROMPT
-        },
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'text',
-              text: this.formatVisionUserContent(question, visualData, sessionContext)
-            },
-            ...visualData.viewports.map((viewport, index) => ({
-              type: 'image_url',
-              image_url: {
-                url: viewport.screenshot,
-                detail: 'high'
-              }
-            }))
-          ]
-        }
-      ],
-      max_tokens: CONFIG.DEFAULT_MAX_TOKENS,
-      temperature: CONFIG.DEFAULT_TEMPERATURE,
-    };
-  }
-
-  parseResponse(data) {
-    return data.choices[0].message.content;
-  }
-}
-
-// Gemini provider implementation
-class GeminiProvider extends AIProvider {
-  constructor() {
-    super('Gemini');
-  }
-
-  getEndpoint(model, apiKey) {
-    return `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-  }
-
-  getHeaders(apiKey) {
-    return {
-      'Content-Type': 'application/json',
-    };
-  }
-
-  formatRequest(question, context, model, sessionContext) {
-    return {
-      contents: [{
-        parts: [{
-          text: `${PROMPTS.SYSTEM_PROMPT}
-
-${this.formatUserContent(question, context, sessionContext)}`
-        }]
-      }],
-      generationConfig: {
-        maxOutputTokens: CONFIG.DEFAULT_MAX_TOKENS,
-        temperature: CONFIG.DEFAULT_TEMPERATURE,
-      }
-    };
-  }
-
-  // Vision-specific request formatting
-  formatVisionRequest(question, visualData, model, sessionContext) {
-    // Convert images to base64 format for Gemini
-    const imageParts = visualData.viewports.map(viewport => ({
-      inlineData: {
-        mimeType: 'image/png',
-        data: viewport.screenshot.split(',')[1] // Remove data:image/png;base64, prefix
-      }
-    }));
-
-    return {
-      contents: [{
-        parts: [
-          {
-            text: `${PROMPTS.VISION_SYSTEM_PROMPT}
-
-${this.formatVisionUserContent(question, visualData, sessionContext)}`
-          },
-          ...imageParts
-        ]
-      }],
-      generationConfig: {
-        maxOutputTokens: CONFIG.DEFAULT_MAX_TOKENS,
-        temperature: CONFIG.DEFAULT_TEMPERATURE,
-      }
-    };
-  }
-
-  parseResponse(data) {
-    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-      throw new Error('No response generated from Gemini');
-    }
-    
-    return data.candidates[0].content.parts[0].text;
-  }
-}
+import { ConversationManager } from './conversation-manager.js';
+import { HistoryManager } from './history-manager.js';
+import { renderMarkdownInto } from './markdown-renderer.js';
+import { buildPassages, buildPagePassages, formatPassageContext, linkCitations, highlightPassageFunction } from './citations.js';
+import { chunkText, rankSections, selectSections, formatSectionContext } from './retrieval.js';
+import { planContextBudget, getAvailableContextTokens } from './tokenizer.js';
+import { getPageMetricsFunction, captureViewport, captureFullPage, buildPageInfo, compressScreenshot, combineVisualData } from './screen-capture.js';
+import { regionSelectOverlayFunction, buildRegionPageData, isRegionSelectionCurrent } from './region-select.js';
+import { extractPdfText, formatPdfText, fetchPdfFunction, downloadPdf, base64ToBytes, isPdfUrl } from './pdf-extractor.js';
+import { extractStructuredTextFunction, expandPageFunction, highlightElementFunction, mergeFrameResults } from './dom-extractor.js';
+import { getYouTubeVideoId, formatTranscript, linkTimestamps, fetchTranscriptFunction, seekVideoFunction } from './youtube-transcript.js';
+import { buildOutline, formatOutlineContext } from './outline.js';
 
 class PagePalAIPopup {
   constructor() {
     // Initialize AI providers and key manager
     this.openaiProvider = new OpenAIProvider();
     this.geminiProvider = new GeminiProvider();
+    this.anthropicProvider = new AnthropicProvider();
+    this.customProvider = new CustomEndpointProvider();
+    this.customEndpointConfig = null;
     this.apiKeyManager = new APIKeyManager();
-    
-    // Define the text extraction function that will be injected into pages
-    this.extractVisibleTextFunction = function() {
-      // Configuration constants (inlined to avoid dependencies)
-      const CONFIG = {
-        EXCLUDE_SELECTORS: [
-          'nav', 'header', 'footer', 
-          '.nav', '.navbar', '.navigation', '.header', '.footer',
-          '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
-          'script', 'style', 'noscript', 'meta', 'link', '.cookie-banner',
-          '.advertisement', '.ads', '.social-share'
-        ],
-        MAIN_CONTENT_SELECTORS: [
-          'main', '[role="main"]', '.main-content', '#main', '.content', 'article'
-        ]
-      };
-
-      function extractSimpleText() {
-        // Create a copy of the document to manipulate
-        const doc = document.cloneNode(true);
-        
-        // Remove excluded elements
-        CONFIG.EXCLUDE_SELECTORS.forEach(selector => {
-          const elements = doc.querySelectorAll(selector);
-          elements.forEach(el => el.remove());
-        });
-
-        // Try to find main content first
-        let contentElement = null;
-        for (const selector of CONFIG.MAIN_CONTENT_SELECTORS) {
-          const element = doc.querySelector(selector);
-          if (element) {
-            contentElement = element;
-            break;
-          }
-        }
-
-        // Fallback to body if no main content found
-        if (!contentElement) {
-          contentElement = doc.body;
-        }
-
-        if (!contentElement) {
-          return { success: false, error: 'No content found' };
-        }
-
-        // Extract text content
-        const text = contentElement.innerText || contentElement.textContent || '';
-        
-        return {
-          success: true,
-          text: text.trim(),
-          mode: 'structured',
-          length: text.length,
-          url: window.location.href,
-          title: document.title
-        };
-      }
-
-      // Execute and return result
-      try {
-        return extractSimpleText();
-      } catch (error) {
-        return { 
-          success: false, 
-          error: error.message 
-        };
-      }
-    };
+    this.conversationManager = new ConversationManager();
+    this.historyManager = new HistoryManager();
     
     // Initialize DOM elements
     const elementIds = [
       'askQuestionBtn', 'scanPageBtn', 'question', 'model', 'extractionMode2',
       'questionSection', 'casualModeOptions', 'status', 'loading', 'answer',
       'settingsBtn', 'settingsSection', 'apiProvider', 'openaiApiKey', 'geminiApiKey',
-      'openaiSettings', 'geminiSettings', 'saveKeyBtn', 'resetCostBtn', 'resetAllDataBtn',
+      'anthropicApiKey', 'openaiSettings', 'geminiSettings', 'anthropicSettings', 'saveKeyBtn',
+      'customSettings', 'customBaseUrl', 'customApiKey', 'customModel', 'customModelOptions',
+      'listModelsBtn', 'customInputCost', 'customOutputCost', 'conversation', 'conversationTurns',
+      'newConversationBtn', 'historyBtn', 'openSidePanelBtn', 'siteAccessNotice', 'allowSiteAccessBtn', 'historySection', 'historySearch', 'historySiteFilter',
+      'historyModelFilter', 'historyDateFilter', 'historyList', 'clearHistoryBtn', 'resetCostBtn', 'resetAllDataBtn',
       'backToMainBtn', 'mainSection', 'themeToggle', 'costInfo', 'estimatedCost',
       'cumulativeCost', 'startSessionBtn', 'endSessionBtn', 'activeSession',
-      'sessionPages', 'freePlan', 'paidPlan'
+      'sessionPages', 'freePlan', 'paidPlan', 'citationOption', 'citationMode',
+      'embeddingOption', 'useEmbeddings', 'retrievalInfo', 'summarizePageBtn', 'loadingMessage',
+      'selectRegionBtn', 'regionPreview', 'regionPreviewImage', 'discardRegionBtn',
+      'selectionTooltipOption', 'selectionTooltip', 'notifyOnAnswer', 'collapsedOption', 'includeCollapsed', 'expandPage',
+      'extractionDebug', 'extractionInfo', 'transcriptOption', 'transcriptLanguage',
+      'outlineBtn', 'outlinePanel', 'outlineSummary', 'clearOutlineBtn', 'outlineList'
     ];
     
     const elements = initializeElements(elementIds);
@@ -336,13 +64,37 @@ class PagePalAIPopup {
     this.statusDiv = elements.status || document.getElementById('status');
     this.loadingDiv = elements.loading || document.getElementById('loading');
     this.answerDiv = elements.answer || document.getElementById('answer');
+    this.conversationDiv = elements.conversation || document.getElementById('conversation');
+    this.conversationTurnsDiv = elements.conversationTurns || document.getElementById('conversationTurns');
+    this.newConversationBtn = elements.newConversationBtn || document.getElementById('newConversationBtn');
+    this.historyBtn = elements.historyBtn || document.getElementById('historyBtn');
+    this.openSidePanelBtn = elements.openSidePanelBtn || document.getElementById('openSidePanelBtn');
+    this.siteAccessNotice = elements.siteAccessNotice || document.getElementById('siteAccessNotice');
+    this.allowSiteAccessBtn = elements.allowSiteAccessBtn || document.getElementById('allowSiteAccessBtn');
+    this.historySection = elements.historySection || document.getElementById('historySection');
+    this.historySearchInput = elements.historySearch || document.getElementById('historySearch');
+    this.historySiteFilter = elements.historySiteFilter || document.getElementById('historySiteFilter');
+    this.historyModelFilter = elements.historyModelFilter || document.getElementById('historyModelFilter');
+    this.historyDateFilter = elements.historyDateFilter || document.getElementById('historyDateFilter');
+    this.historyList = elements.historyList || document.getElementById('historyList');
+    this.clearHistoryBtn = elements.clearHistoryBtn || document.getElementById('clearHistoryBtn');
     this.settingsBtn = elements.settingsBtn || document.getElementById('settingsBtn');
     this.settingsSection = elements.settingsSection || document.getElementById('settingsSection');
     this.apiProviderSelect = elements.apiProvider || document.getElementById('apiProvider');
     this.openaiApiKeyInput = elements.openaiApiKey || document.getElementById('openaiApiKey');
     this.geminiApiKeyInput = elements.geminiApiKey || document.getElementById('geminiApiKey');
+    this.anthropicApiKeyInput = elements.anthropicApiKey || document.getElementById('anthropicApiKey');
     this.openaiSettings = elements.openaiSettings || document.getElementById('openaiSettings');
     this.geminiSettings = elements.geminiSettings || document.getElementById('geminiSettings');
+    this.anthropicSettings = elements.anthropicSettings || document.getElementById('anthropicSettings');
+    this.customSettings = elements.customSettings || document.getElementById('customSettings');
+    this.customBaseUrlInput = elements.customBaseUrl || document.getElementById('customBaseUrl');
+    this.customApiKeyInput = elements.customApiKey || document.getElementById('customApiKey');
+    this.customModelInput = elements.customModel || document.getElementById('customModel');
+    this.customModelOptions = elements.customModelOptions || document.getElementById('customModelOptions');
+    this.listModelsBtn = elements.listModelsBtn || document.getElementById('listModelsBtn');
+    this.customInputCostInput = elements.customInputCost || document.getElementById('customInputCost');
+    this.customOutputCostInput = elements.customOutputCost || document.getElementById('customOutputCost');
     this.saveKeyBtn = elements.saveKeyBtn || document.getElementById('saveKeyBtn');
     this.resetCostBtn = elements.resetCostBtn || document.getElementById('resetCostBtn');
     this.resetAllDataBtn = elements.resetAllDataBtn || document.getElementById('resetAllDataBtn');
@@ -358,6 +110,35 @@ class PagePalAIPopup {
     this.sessionPagesSpan = elements.sessionPages || document.getElementById('sessionPages');
     this.freePlanRadio = elements.freePlan || document.getElementById('freePlan');
     this.paidPlanRadio = elements.paidPlan || document.getElementById('paidPlan');
+    this.citationOption = elements.citationOption || document.getElementById('citationOption');
+    this.citationModeCheckbox = elements.citationMode || document.getElementById('citationMode');
+    this.embeddingOption = elements.embeddingOption || document.getElementById('embeddingOption');
+    this.useEmbeddingsCheckbox = elements.useEmbeddings || document.getElementById('useEmbeddings');
+    this.retrievalInfo = elements.retrievalInfo || document.getElementById('retrievalInfo');
+    this.summarizePageBtn = elements.summarizePageBtn || document.getElementById('summarizePageBtn');
+    this.loadingMessage = elements.loadingMessage || document.getElementById('loadingMessage');
+    this.selectRegionBtn = elements.selectRegionBtn || document.getElementById('selectRegionBtn');
+    this.regionPreview = elements.regionPreview || document.getElementById('regionPreview');
+    this.regionPreviewImage = elements.regionPreviewImage || document.getElementById('regionPreviewImage');
+    this.discardRegionBtn = elements.discardRegionBtn || document.getElementById('discardRegionBtn');
+    this.selectionTooltipOption = elements.selectionTooltipOption || document.getElementById('selectionTooltipOption');
+    this.selectionTooltipCheckbox = elements.selectionTooltip || document.getElementById('selectionTooltip');
+    this.notifyOnAnswerCheckbox = elements.notifyOnAnswer || document.getElementById('notifyOnAnswer');
+    this.collapsedOption = elements.collapsedOption || document.getElementById('collapsedOption');
+    this.includeCollapsedCheckbox = elements.includeCollapsed || document.getElementById('includeCollapsed');
+    this.expandPageCheckbox = elements.expandPage || document.getElementById('expandPage');
+    this.extractionDebugCheckbox = elements.extractionDebug || document.getElementById('extractionDebug');
+    this.extractionInfo = elements.extractionInfo || document.getElementById('extractionInfo');
+    this.transcriptOption = elements.transcriptOption || document.getElementById('transcriptOption');
+    this.transcriptLanguageSelect = elements.transcriptLanguage || document.getElementById('transcriptLanguage');
+    this.transcriptLanguage = ''; // Preferred caption language code; '' for the video's default
+    this.outlineBtn = elements.outlineBtn || document.getElementById('outlineBtn');
+    this.outlinePanel = elements.outlinePanel || document.getElementById('outlinePanel');
+    this.outlineSummary = elements.outlineSummary || document.getElementById('outlineSummary');
+    this.clearOutlineBtn = elements.clearOutlineBtn || document.getElementById('clearOutlineBtn');
+    this.outlineList = elements.outlineList || document.getElementById('outlineList');
+    this.outline = null; // { url, text, source, sections } for the latest scan
+    this.outlineSelection = new Set(); // Keys of the ticked sections on this.outline's page
     
     this.cumulativeCost = 0;
     this.studySession = {
@@ -368,26 +149,59 @@ class PagePalAIPopup {
     
     // Store scanned content for reuse
     this.scannedContent = null;
+
+    // Cropped region from a page selection, used by the next question
+    this.regionSelection = null;
+
+    // Section embeddings for retrieval, keyed by provider and section text
+    this.embeddingCache = new Map();
+
+    // Conversation thread for the active page
+    this.currentPageUrl = null;
+    this.conversationThread = null;
+
+    // Requests run in the background service worker; this popup follows them over a port
+    this.requestPort = null;
+    this.pendingRequests = new Map(); // request id -> { resolve, reject }
+    this.reattachedRequestId = null;
+    this.activeTabId = null;
+
+    // The same page is loaded as the toolbar popup and as the side panel; only the
+    // popup shows up in the popup views list
+    this.isSidePanel = CONFIG.ENABLE_SIDE_PANEL && !chrome.extension.getViews({ type: 'popup' }).includes(window);
+    this.windowId = null;
     
     this.init();
   }
 
   // Get the appropriate provider for a given model
   getProviderForModel(model) {
-    if (model.startsWith('gemini')) return this.geminiProvider;
-    if (model.startsWith('gpt')) return this.openaiProvider;
-    throw new Error(`Unknown provider for model: ${model}`);
+    return getProviderForModel(model, {
+      openai: this.openaiProvider,
+      gemini: this.geminiProvider,
+      anthropic: this.anthropicProvider,
+      custom: this.customProvider
+    });
   }
 
   // Get provider name for display purposes
   getProviderNameForModel(model) {
     if (model.startsWith('gemini')) return 'Gemini';
     if (model.startsWith('gpt')) return 'OpenAI';
+    if (model.startsWith('claude')) return 'Anthropic';
+    if (model.startsWith(CONFIG.CUSTOM_MODEL_PREFIX)) return 'Custom Endpoint';
     throw new Error(`Unknown provider for model: ${model}`);
   }
 
   init() {
     this.askQuestionBtn.addEventListener('click', () => this.handleAskQuestion());
+    this.summarizePageBtn.addEventListener('click', () => this.handleSummarizePage());
+    this.summarizePageBtn.style.display = CONFIG.ENABLE_WHOLE_PAGE_SUMMARY ? 'block' : 'none';
+    this.outlineBtn.addEventListener('click', () => this.handleShowOutline());
+    this.outlineBtn.style.display = CONFIG.ENABLE_PAGE_OUTLINE ? 'block' : 'none';
+    this.clearOutlineBtn.addEventListener('click', () => this.setOutlineSelection([]));
+    this.selectRegionBtn.addEventListener('click', () => this.startRegionSelection());
+    this.discardRegionBtn.addEventListener('click', () => this.clearRegionSelection());
     this.scanPageBtn.addEventListener('click', () => this.handleScanPage());
     this.settingsBtn.addEventListener('click', () => this.toggleSettings());
     this.saveKeyBtn.addEventListener('click', () => this.saveApiKey());
@@ -400,11 +214,41 @@ class PagePalAIPopup {
     this.apiProviderSelect.addEventListener('change', () => {
       this.toggleProviderSettings();
     });
+    this.listModelsBtn.addEventListener('click', () => this.listCustomModels());
+    this.newConversationBtn.addEventListener('click', () => this.startNewConversation());
+    this.historyBtn.addEventListener('click', () => this.toggleHistory());
+    this.clearHistoryBtn.addEventListener('click', () => this.clearHistory());
+    this.historySearchInput.addEventListener('input', debounce(() => this.renderHistory(), CONFIG.HISTORY_SEARCH_DELAY));
+    [this.historySiteFilter, this.historyModelFilter, this.historyDateFilter].forEach(filter => {
+      filter.addEventListener('change', () => this.renderHistory());
+    });
+    this.historyBtn.style.display = CONFIG.ENABLE_HISTORY ? 'block' : 'none';
+    this.citationOption.style.display = CONFIG.ENABLE_CITATIONS ? 'block' : 'none';
+    this.citationModeCheckbox.addEventListener('change', () => this.saveCitationPreference());
+    this.embeddingOption.style.display = CONFIG.ENABLE_RETRIEVAL ? 'block' : 'none';
+    this.useEmbeddingsCheckbox.addEventListener('change', () => this.saveEmbeddingPreference());
+    this.selectionTooltipOption.style.display = CONFIG.ENABLE_SELECTION_ACTIONS ? 'block' : 'none';
+    this.selectionTooltipCheckbox.addEventListener('change', () => this.saveSelectionTooltipPreference());
+    this.notifyOnAnswerCheckbox.addEventListener('change', () => this.saveNotifyPreference());
+    this.includeCollapsedCheckbox.addEventListener('change', () => this.saveIncludeCollapsedPreference());
+    this.expandPageCheckbox.addEventListener('change', () => this.saveExpandPagePreference());
+    this.extractionDebugCheckbox.addEventListener('change', () => this.saveExtractionDebugPreference());
+    this.transcriptLanguageSelect.addEventListener('change', () => this.changeTranscriptLanguage());
+    this.extractionModeSelect2.addEventListener('change', () => this.updateExtractionOptions());
+    this.updateExtractionOptions();
     this.freePlanRadio.addEventListener('change', () => this.updateModelList());
     this.paidPlanRadio.addEventListener('change', () => this.updateModelList());
+    this.initSidePanel();
     
     // Load saved preferences and check API key
     this.loadPreferences();
+
+    // Restore the conversation thread for the active page, then pick up any answer
+    // the background worker produced for this tab while the popup was closed
+    this.loadConversation().then(() => this.attachToBackgroundRequests());
+
+    // Pick up a region dragged out on the page since the popup last closed
+    this.loadRegionSelection();
     
     // Initialize button states (Ask Question starts disabled)
     this.updateButtonStates();
@@ -417,16 +261,116 @@ class PagePalAIPopup {
     this.modelSelect.addEventListener('change', () => {
       this.saveModelPreference();
       this.updateCostEstimate();
+      this.renderOutline(); // Token counts depend on the model
+    });
+  }
+
+  // Popup: offer to move to the side panel. Side panel: follow the active tab and
+  // pick up region selections, since it stays open while the page is used.
+  initSidePanel() {
+    document.body.classList.toggle('side-panel', this.isSidePanel);
+    const canOpenSidePanel = CONFIG.ENABLE_SIDE_PANEL && !this.isSidePanel && !!chrome.sidePanel;
+    this.openSidePanelBtn.style.display = canOpenSidePanel ? 'block' : 'none';
+    if (!CONFIG.ENABLE_SIDE_PANEL) return;
+
+    // sidePanel.open() must be called straight from the click, so look the window up ahead of time
+    chrome.windows.getCurrent().then(win => {
+      this.windowId = win.id;
     });
+    this.openSidePanelBtn.addEventListener('click', () => this.openSidePanel());
+
+    if (!this.isSidePanel) return;
+
+    chrome.tabs.onActivated.addListener(({ windowId }) => {
+      if (windowId === this.windowId) this.handleActiveTabChange();
+    });
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+      if (tab.active && tab.windowId === this.windowId && changeInfo.url && changeInfo.url !== this.currentPageUrl) {
+        this.handleActiveTabChange();
+      }
+    });
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[CONFIG.STORAGE_KEYS.REGION_SELECTION]?.newValue) {
+        this.loadRegionSelection();
+      }
+    });
+
+    this.allowSiteAccessBtn.addEventListener('click', () => this.requestSiteAccess());
+    chrome.permissions.onAdded.addListener(() => this.updateSiteAccessNotice());
+    chrome.permissions.onRemoved.addListener(() => this.updateSiteAccessNotice());
+    this.updateSiteAccessNotice();
+  }
+
+  openSidePanel() {
+    if (this.windowId === null) return;
+
+    chrome.sidePanel.open({ windowId: this.windowId })
+      .then(() => window.close())
+      .catch(error => this.showStatus(`Error: ${error.message}`, 'error'));
+  }
+
+  // activeTab only covers the tab the panel was opened from. Reading the other tabs it
+  // follows needs site access, which the panel offers until it has been granted.
+  async hasSiteAccess() {
+    try {
+      return await chrome.permissions.contains({ origins: CONFIG.SITE_ACCESS_ORIGINS });
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async updateSiteAccessNotice() {
+    this.siteAccessNotice.style.display = await this.hasSiteAccess() ? 'none' : 'flex';
+  }
+
+  // Only asked from the notice's button, so the prompt is always the user's choice
+  async requestSiteAccess() {
+    if (!(await this.hasSiteAccess())) {
+      try {
+        await chrome.permissions.request({ origins: CONFIG.SITE_ACCESS_ORIGINS });
+      } catch (error) {
+        console.warn('Site access request failed:', error);
+      }
+    }
+    this.updateSiteAccessNotice();
+  }
+
+  // Another tab or page is now active: drop what belonged to the previous one
+  async handleActiveTabChange() {
+    if (this.reattachedRequestId) {
+      this.reattachedRequestId = null;
+      this.setLoading(false, '', 'ask');
+      this.setLoading(false, '', 'summarize');
+    }
+    this.scannedContent = null;
+    this.hideStatus();
+    this.hideAnswer();
+    this.showExtractionInfo(null);
+    this.showTranscriptLanguages(null);
+    this.updateOutline(null);
+
+    await this.loadConversation();
+    await this.attachToBackgroundRequests();
+    await this.loadRegionSelection();
+    this.updateCostEstimate();
   }
 
   async loadPreferences() {
     try {
       const syncResult = await chrome.storage.sync.get([
-        'preferredModel', 'openaiApiKey', 'geminiApiKey', 'apiProvider', 'theme', 'cumulativeCost', 'planType'
+        'preferredModel', 'openaiApiKey', 'geminiApiKey', 'anthropicApiKey', 'apiProvider', 'theme', 'cumulativeCost', 'planType', 'citationMode', 'useEmbeddings',
+        CONFIG.STORAGE_KEYS.SELECTION_TOOLTIP,
+        CONFIG.STORAGE_KEYS.NOTIFY_ON_ANSWER,
+        CONFIG.STORAGE_KEYS.INCLUDE_COLLAPSED,
+        CONFIG.STORAGE_KEYS.EXPAND_PAGE,
+        CONFIG.STORAGE_KEYS.EXTRACTION_DEBUG,
+        CONFIG.STORAGE_KEYS.TRANSCRIPT_LANGUAGE
       ]);
       const localResult = await chrome.storage.local.get(['studySession']);
       
+      // Load custom endpoint before building the model list so its model can be offered
+      await this.loadCustomEndpointConfig();
+      
       // Load plan type preference (default to free)
       const planType = syncResult.planType || 'free';
       if (planType === 'free') {
@@ -438,6 +382,16 @@ class PagePalAIPopup {
       // Initialize model list based on plan type
       this.updateModelList();
       
+      this.citationModeCheckbox.checked = !!syncResult.citationMode;
+      this.useEmbeddingsCheckbox.checked = !!syncResult.useEmbeddings;
+      this.selectionTooltipCheckbox.checked = syncResult[CONFIG.STORAGE_KEYS.SELECTION_TOOLTIP] === true &&
+        await chrome.permissions.contains({ origins: CONFIG.SITE_ACCESS_ORIGINS });
+      this.notifyOnAnswerCheckbox.checked = !!syncResult[CONFIG.STORAGE_KEYS.NOTIFY_ON_ANSWER];
+      this.includeCollapsedCheckbox.checked = !!syncResult[CONFIG.STORAGE_KEYS.INCLUDE_COLLAPSED];
+      this.expandPageCheckbox.checked = !!syncResult[CONFIG.STORAGE_KEYS.EXPAND_PAGE];
+      this.extractionDebugCheckbox.checked = !!syncResult[CONFIG.STORAGE_KEYS.EXTRACTION_DEBUG];
+      this.transcriptLanguage = syncResult[CONFIG.STORAGE_KEYS.TRANSCRIPT_LANGUAGE] || '';
+
       // Load model preference
       if (syncResult.preferredModel) {
         this.modelSelect.value = syncResult.preferredModel;
@@ -481,17 +435,21 @@ class PagePalAIPopup {
       // Check if API keys exist and show appropriate UI
       const hasOpenAI = syncResult.openaiApiKey;
       const hasGemini = syncResult.geminiApiKey;
+      const hasAnthropic = syncResult.anthropicApiKey;
       const currentProvider = syncResult.apiProvider || 'gemini';
       
       // Only show main interface if the currently selected provider has a key
       const hasCurrentProviderKey = (currentProvider === 'openai' && hasOpenAI) || 
-                                   (currentProvider === 'gemini' && hasGemini);
+                                   (currentProvider === 'gemini' && hasGemini) ||
+                                   (currentProvider === 'anthropic' && hasAnthropic) ||
+                                   (currentProvider === 'custom' && !!this.customEndpointConfig);
       
       if (hasCurrentProviderKey) {
         this.showMainInterface();
         // Initialize UI with masked values for all stored keys
         await this.apiKeyManager.initializeUIElement(this.openaiApiKeyInput, 'openai');
         await this.apiKeyManager.initializeUIElement(this.geminiApiKeyInput, 'gemini');
+        await this.apiKeyManager.initializeUIElement(this.anthropicApiKeyInput, 'anthropic');
         // Update cost estimate after model is loaded
         this.updateCostEstimate();
       } else {
@@ -515,109 +473,324 @@ class PagePalAIPopup {
     }
   }
 
-  async saveApiKey() {
-    const provider = this.apiProviderSelect.value;
-    const apiKey = this.apiKeyManager.getInputValueForProvider(provider, this.openaiApiKeyInput, this.geminiApiKeyInput);
-    
-    // If the API key is masked, check if we already have a valid key saved
-    if (!apiKey || this.apiKeyManager.isMaskedValue(apiKey)) {
-      const hasValidKey = await this.apiKeyManager.hasValidAPIKey(provider);
-      if (hasValidKey) {
-        // Key is already saved, just go back to main interface
-        this.showMainInterface();
-        return;
-      } else {
-        this.showStatus('Please enter a valid API key.', 'error');
-        return;
-      }
+  async saveCitationPreference() {
+    try {
+      await chrome.storage.sync.set({ citationMode: this.citationModeCheckbox.checked });
+    } catch (error) {
+      // Silently fail - not critical
     }
+  }
 
+  async saveIncludeCollapsedPreference() {
     try {
-      await this.apiKeyManager.saveAPIKey(provider, apiKey);
-      await this.apiKeyManager.setCurrentProvider(provider);
-      
-      const providerName = this.apiKeyManager.getProviderDisplayName(provider);
-      this.showStatus(`${providerName} API key saved successfully!`, 'success');
-      setTimeout(() => {
-        this.showMainInterface();
-        this.hideStatus();
-      }, 1500);
+      await chrome.storage.sync.set({ [CONFIG.STORAGE_KEYS.INCLUDE_COLLAPSED]: this.includeCollapsedCheckbox.checked });
     } catch (error) {
-      console.error('Error saving API key:', error);
-      this.showStatus(error.message || 'Failed to save API key.', 'error');
+      // Silently fail - not critical
     }
   }
 
-  async toggleSettings() {
-    if (this.settingsSection.style.display === 'none') {
-      this.showSettings();
-    } else {
-      // Before going back to main interface, ensure current provider has valid API key
-      const hasValidKey = await this.apiKeyManager.hasValidCurrentProviderKey();
-      if (hasValidKey) {
-        this.showMainInterface();
-      } else {
-        this.showStatus('Please enter your API key first.', 'error');
-      }
+  async saveExpandPagePreference() {
+    try {
+      await chrome.storage.sync.set({ [CONFIG.STORAGE_KEYS.EXPAND_PAGE]: this.expandPageCheckbox.checked });
+    } catch (error) {
+      // Silently fail - not critical
     }
   }
 
-  async showSettings() {
-    this.settingsSection.style.display = 'block';
-    this.mainSection.style.display = 'none';
-    this.settingsBtn.style.display = 'none'; // Hide settings button when on settings page
-    this.hideAnswer(); // Hide answer when switching to settings
-    this.hideStatus(); // Hide error messages when switching to settings
-    
-    // Ensure proper provider settings visibility first
-    this.toggleProviderSettings();
-    
-    // Initialize API key fields properly (scalable)
-    const providerElements = {
-      'openai': this.openaiApiKeyInput,
-      'gemini': this.geminiApiKeyInput
-    };
-    
-    for (const [provider, element] of Object.entries(providerElements)) {
-      if (element) {
-        await this.apiKeyManager.initializeUIElement(element, provider);
-      }
+  // A new caption language only matters for a transcript that's already been read, so that one is read again
+  async changeTranscriptLanguage() {
+    this.transcriptLanguage = this.transcriptLanguageSelect.value;
+    try {
+      await chrome.storage.sync.set({ [CONFIG.STORAGE_KEYS.TRANSCRIPT_LANGUAGE]: this.transcriptLanguage });
+    } catch (error) {
+      // Silently fail - not critical
+    }
+    if (this.scannedContent?.data?.mode === 'transcript') {
+      await this.handleScanPage();
     }
-    
-    // Show back button if ANY provider has valid key (scalable)
-    const providers = Array.from(this.apiProviderSelect.options).map(option => option.value);
-    const validKeyChecks = await Promise.all(
-      providers.map(provider => this.apiKeyManager.hasValidAPIKey(provider))
-    );
-    const hasAnyValidKey = validKeyChecks.some(hasKey => hasKey);
-    this.backToMainBtn.style.display = hasAnyValidKey ? 'block' : 'none';
-    
-    // Don't auto-focus - let user click to focus when they want to edit
   }
 
-  toggleProviderSettings() {
-    const provider = this.apiProviderSelect.value;
-    if (provider === 'openai') {
-      this.openaiSettings.style.display = 'block';
-      this.geminiSettings.style.display = 'none';
-    } else {
-      this.openaiSettings.style.display = 'none';
-      this.geminiSettings.style.display = 'block';
+  async saveExtractionDebugPreference() {
+    try {
+      await chrome.storage.sync.set({ [CONFIG.STORAGE_KEYS.EXTRACTION_DEBUG]: this.extractionDebugCheckbox.checked });
+    } catch (error) {
+      // Silently fail - not critical
+    }
+    if (!this.extractionDebugCheckbox.checked) {
+      this.showExtractionInfo(null);
     }
-    
-    // Note: Masked values will be handled elsewhere to avoid async issues
   }
 
-  // Helper function to check if extraction mode is visual
-  isVisualMode(extractionMode) {
-    return extractionMode === 'visual_current_viewport' || extractionMode === 'visual_auto_scroll';
+  // The collapsed-content and expand-page options only apply to text extraction
+  updateExtractionOptions() {
+    this.collapsedOption.style.display = this.isVisualMode(this.extractionModeSelect2.value) ? 'none' : 'block';
   }
 
-  // Helper function to get visual mode from extraction mode
-  getVisualModeFromExtraction(extractionMode) {
-    if (extractionMode === 'visual_current_viewport') return 'current_viewport';
-    if (extractionMode === 'visual_auto_scroll') return 'auto_scroll';
-    return 'current_viewport'; // default
+  async saveEmbeddingPreference() {
+    try {
+      await chrome.storage.sync.set({ useEmbeddings: this.useEmbeddingsCheckbox.checked });
+    } catch (error) {
+      // Silently fail - not critical
+    }
+  }
+
+  // The tooltip runs on every page, so turning it on asks for site access in the same
+  // click; the worker registers its content script once both are in place
+  async saveSelectionTooltipPreference() {
+    let enabled = this.selectionTooltipCheckbox.checked;
+    if (enabled) {
+      try {
+        enabled = await chrome.permissions.request({ origins: CONFIG.SITE_ACCESS_ORIGINS });
+      } catch (error) {
+        enabled = false;
+      }
+      this.selectionTooltipCheckbox.checked = enabled;
+    }
+
+    try {
+      await chrome.storage.sync.set({ [CONFIG.STORAGE_KEYS.SELECTION_TOOLTIP]: enabled });
+    } catch (error) {
+      // Silently fail - not critical
+    }
+  }
+
+  // Notifications are an optional permission, requested the first time this is turned on
+  async saveNotifyPreference() {
+    let enabled = this.notifyOnAnswerCheckbox.checked;
+    if (enabled) {
+      try {
+        enabled = await chrome.permissions.request({ permissions: ['notifications'] });
+      } catch (error) {
+        enabled = false;
+      }
+      this.notifyOnAnswerCheckbox.checked = enabled;
+    }
+
+    try {
+      await chrome.storage.sync.set({ [CONFIG.STORAGE_KEYS.NOTIFY_ON_ANSWER]: enabled });
+    } catch (error) {
+      // Silently fail - not critical
+    }
+  }
+
+  async loadCustomEndpointConfig() {
+    this.customEndpointConfig = await this.apiKeyManager.getCustomEndpointConfig();
+    this.customProvider.configure(this.customEndpointConfig);
+  }
+
+  getCustomModelValue() {
+    return this.customEndpointConfig ? `${CONFIG.CUSTOM_MODEL_PREFIX}${this.customEndpointConfig.model}` : null;
+  }
+
+  // Fill the custom endpoint form from storage, masking any stored key
+  populateCustomEndpointFields() {
+    const config = this.customEndpointConfig || {};
+    this.customBaseUrlInput.value = config.baseUrl || '';
+    this.customModelInput.value = config.model || '';
+    this.customApiKeyInput.value = this.apiKeyManager.maskAPIKey(config.apiKey);
+    this.customInputCostInput.value = config.inputCostPer1k || '';
+    this.customOutputCostInput.value = config.outputCostPer1k || '';
+  }
+
+  // Extension pages need host permission to call a self-hosted origin without CORS headers
+  async requestEndpointPermission(baseUrl) {
+    const origin = `${new URL(baseUrl).origin}/*`;
+    try {
+      return await chrome.permissions.request({ origins: [origin] });
+    } catch (error) {
+      console.warn('Host permission request failed:', error);
+      return false;
+    }
+  }
+
+  getCustomApiKeyInputValue() {
+    const value = this.customApiKeyInput.value.trim();
+    if (this.apiKeyManager.isMaskedValue(value)) {
+      return this.customEndpointConfig?.apiKey || '';
+    }
+    return value;
+  }
+
+  async listCustomModels() {
+    const baseUrl = normalizeBaseUrl(this.customBaseUrlInput.value);
+    if (!baseUrl) {
+      this.showStatus('Please enter a valid http(s) base URL.', 'error');
+      return;
+    }
+
+    this.listModelsBtn.disabled = true;
+    try {
+      await this.requestEndpointPermission(baseUrl);
+      const models = await this.customProvider.listModels(baseUrl, this.getCustomApiKeyInputValue());
+
+      this.customModelOptions.innerHTML = '';
+      models.forEach(model => {
+        const option = document.createElement('option');
+        option.value = model;
+        this.customModelOptions.appendChild(option);
+      });
+
+      if (models.length > 0 && !this.customModelInput.value.trim()) {
+        this.customModelInput.value = models[0];
+      }
+      this.showStatus(`Found ${models.length} model${models.length === 1 ? '' : 's'} on the endpoint.`, models.length ? 'success' : 'info');
+    } catch (error) {
+      console.error('Error listing custom models:', error);
+      this.showStatus(error.message || 'Failed to list models.', 'error');
+    } finally {
+      this.listModelsBtn.disabled = false;
+    }
+  }
+
+  async saveCustomEndpoint() {
+    const baseUrl = normalizeBaseUrl(this.customBaseUrlInput.value);
+    if (!baseUrl || !this.customModelInput.value.trim()) {
+      this.showStatus(this.apiKeyManager.getValidationErrorMessage('custom'), 'error');
+      return;
+    }
+
+    try {
+      const granted = await this.requestEndpointPermission(baseUrl);
+      if (!granted) {
+        this.showStatus('Permission to reach the endpoint was not granted; requests may fail without CORS.', 'info');
+      }
+
+      await this.apiKeyManager.saveCustomEndpointConfig({
+        baseUrl: baseUrl,
+        apiKey: this.getCustomApiKeyInputValue(),
+        model: this.customModelInput.value,
+        inputCostPer1k: this.customInputCostInput.value,
+        outputCostPer1k: this.customOutputCostInput.value
+      });
+      await this.loadCustomEndpointConfig();
+
+      // Offer and select the new model straight away
+      await this.updateModelList();
+      this.modelSelect.value = this.getCustomModelValue();
+      await this.saveModelPreference();
+
+      this.showStatus('Custom endpoint saved successfully!', 'success');
+      setTimeout(() => {
+        this.showMainInterface();
+        this.hideStatus();
+      }, 1500);
+    } catch (error) {
+      console.error('Error saving custom endpoint:', error);
+      this.showStatus(error.message || 'Failed to save custom endpoint.', 'error');
+    }
+  }
+
+  async saveApiKey() {
+    const provider = this.apiProviderSelect.value;
+    if (provider === 'custom') {
+      await this.saveCustomEndpoint();
+      return;
+    }
+
+    const apiKey = this.apiKeyManager.getInputValueForProvider(provider, this.openaiApiKeyInput, this.geminiApiKeyInput, this.anthropicApiKeyInput);
+    
+    // If the API key is masked, check if we already have a valid key saved
+    if (!apiKey || this.apiKeyManager.isMaskedValue(apiKey)) {
+      const hasValidKey = await this.apiKeyManager.hasValidAPIKey(provider);
+      if (hasValidKey) {
+        // Key is already saved, just go back to main interface
+        this.showMainInterface();
+        return;
+      } else {
+        this.showStatus('Please enter a valid API key.', 'error');
+        return;
+      }
+    }
+
+    try {
+      await this.apiKeyManager.saveAPIKey(provider, apiKey);
+      await this.apiKeyManager.setCurrentProvider(provider);
+      
+      const providerName = this.apiKeyManager.getProviderDisplayName(provider);
+      this.showStatus(`${providerName} API key saved successfully!`, 'success');
+      setTimeout(() => {
+        this.showMainInterface();
+        this.hideStatus();
+      }, 1500);
+    } catch (error) {
+      console.error('Error saving API key:', error);
+      this.showStatus(error.message || 'Failed to save API key.', 'error');
+    }
+  }
+
+  async toggleSettings() {
+    if (this.settingsSection.style.display === 'none') {
+      this.showSettings();
+    } else {
+      // Before going back to main interface, ensure current provider has valid API key
+      const hasValidKey = await this.apiKeyManager.hasValidCurrentProviderKey();
+      if (hasValidKey) {
+        this.showMainInterface();
+      } else {
+        this.showStatus('Please enter your API key first.', 'error');
+      }
+    }
+  }
+
+  async showSettings() {
+    this.settingsSection.style.display = 'block';
+    this.mainSection.style.display = 'none';
+    this.historySection.style.display = 'none';
+    this.settingsBtn.style.display = 'none'; // Hide settings button when on settings page
+    this.hideAnswer(); // Hide answer when switching to settings
+    this.conversationDiv.style.display = 'none';
+    this.hideStatus(); // Hide error messages when switching to settings
+    
+    // Ensure proper provider settings visibility first
+    this.toggleProviderSettings();
+    this.populateCustomEndpointFields();
+    
+    // Initialize API key fields properly (scalable)
+    const providerElements = {
+      'openai': this.openaiApiKeyInput,
+      'gemini': this.geminiApiKeyInput,
+      'anthropic': this.anthropicApiKeyInput
+    };
+    
+    for (const [provider, element] of Object.entries(providerElements)) {
+      if (element) {
+        await this.apiKeyManager.initializeUIElement(element, provider);
+      }
+    }
+    
+    // Show back button if ANY provider has valid key (scalable)
+    const providers = Array.from(this.apiProviderSelect.options).map(option => option.value);
+    const validKeyChecks = await Promise.all(
+      providers.map(provider => this.apiKeyManager.hasValidAPIKey(provider))
+    );
+    const hasAnyValidKey = validKeyChecks.some(hasKey => hasKey);
+    this.backToMainBtn.style.display = hasAnyValidKey ? 'block' : 'none';
+    
+    // Don't auto-focus - let user click to focus when they want to edit
+  }
+
+  toggleProviderSettings() {
+    const provider = this.apiProviderSelect.value;
+    this.openaiSettings.style.display = provider === 'openai' ? 'block' : 'none';
+    this.anthropicSettings.style.display = provider === 'anthropic' ? 'block' : 'none';
+    this.customSettings.style.display = provider === 'custom' ? 'block' : 'none';
+    this.geminiSettings.style.display = !['openai', 'anthropic', 'custom'].includes(provider) ? 'block' : 'none';
+    this.saveKeyBtn.textContent = provider === 'custom' ? 'Save Endpoint' : 'Save API Key';
+    
+    // Note: Masked values will be handled elsewhere to avoid async issues
+  }
+
+  // Helper function to check if extraction mode is visual
+  isVisualMode(extractionMode) {
+    return extractionMode === 'visual_current_viewport' || extractionMode === 'visual_auto_scroll' || extractionMode === 'visual_region';
+  }
+
+  // Helper function to get visual mode from extraction mode
+  getVisualModeFromExtraction(extractionMode) {
+    if (extractionMode === 'visual_current_viewport') return 'current_viewport';
+    if (extractionMode === 'visual_auto_scroll') return 'auto_scroll';
+    if (extractionMode === 'visual_region') return 'region';
+    return 'current_viewport'; // default
   }
 
   updateUIForSessionStatus() {
@@ -651,10 +824,14 @@ class PagePalAIPopup {
 
   showMainInterface() {
     this.settingsSection.style.display = 'none';
+    this.historySection.style.display = 'none';
     this.mainSection.style.display = 'block';
     this.settingsBtn.style.display = 'block'; // Show settings button when on main interface
     this.backToMainBtn.style.display = 'none'; // Hide back button when on main interface
     this.questionInput.focus();
+    if (CONFIG.ENABLE_CONVERSATION_THREADS && this.conversationThread) {
+      this.renderConversation();
+    }
     // Update cost estimate when showing main interface
     this.updateCostEstimate();
   }
@@ -679,6 +856,8 @@ class PagePalAIPopup {
         extractionMode: extractionMode,
         timestamp: Date.now()
       };
+      this.showExtractionInfo(pageData);
+      this.updateOutline(pageData);
 
       // Add page to session if active
       await this.addPageToSession(pageData, extractionMode);
@@ -688,10 +867,14 @@ class PagePalAIPopup {
         const visualMode = this.getVisualModeFromExtraction(extractionMode);
         const modeText = visualMode === 'current_viewport' 
           ? `current viewport` 
-          : `${pageData.data.viewports.length} viewport screenshots`;
+          : `${pageData.data.viewports.length} viewport screenshots${pageData.data.pageInfo.truncated ? ' (frame limit reached)' : ''}`;
         this.showStatus(`✓ Page scanned: captured ${modeText}`, 'success');
       } else {
-        const modeText = 'structured content';
+        const modeText = pageData.mode === 'pdf'
+          ? `text from a ${pageData.pageCount}-page PDF`
+          : pageData.mode === 'transcript'
+            ? `the video transcript (${pageData.transcript.language.name})`
+            : `structured content${this.describeStructuredSource(pageData)}`;
         this.showStatus(`✓ Page scanned: extracted ${pageData.length} characters of ${modeText}`, 'success');
       }
 
@@ -709,9 +892,9 @@ class PagePalAIPopup {
     }
   }
 
-  async performAutoScan() {
+  async performAutoScan(buttonType = 'ask') {
     try {
-      this.setLoading(true, 'Scanning page...', 'ask');
+      this.setLoading(true, 'Scanning page...', buttonType);
       
       // Use casual mode extraction settings and proper content script injection
       const extractionMode = this.extractionModeSelect2.value;
@@ -727,6 +910,8 @@ class PagePalAIPopup {
         extractionMode: extractionMode,
         timestamp: Date.now()
       };
+      this.showExtractionInfo(pageData);
+      this.updateOutline(pageData);
       
       // Don't add to session or show status during auto-scan to keep it seamless
       
@@ -744,151 +929,867 @@ class PagePalAIPopup {
       return;
     }
 
-    const isStudySessionActive = CONFIG.ENABLE_CACHE_MEMORY_MODE && this.studySession && this.studySession.active;
-
-    // If not in study session, perform auto-scan first
-    if (!isStudySessionActive) {
+    const isStudySessionActive = CONFIG.ENABLE_CACHE_MEMORY_MODE && this.studySession && this.studySession.active;
+
+    // A selected region replaces the page scan for this question
+    if (this.regionSelection) {
+      this.scannedContent = {
+        data: this.regionSelection,
+        extractionMode: 'visual_region',
+        timestamp: Date.now()
+      };
+    } else if (!isStudySessionActive) {
+      // If not in study session, perform auto-scan first
+      try {
+        await this.performAutoScan();
+      } catch (error) {
+        console.error('Auto-scan failed:', error);
+        this.setLoading(false, '', 'ask'); // Clear loading state on error
+        this.showStatus(`Error scanning page: ${error.message}`, 'error');
+        return;
+      }
+    }
+
+    // Check if we have scanned content to use (after potential auto-scan)
+    if (!this.scannedContent) {
+      // In study sessions, try to use the most recent page from session
+      if (this.studySession && this.studySession.active && this.studySession.pages.length > 0) {
+        // Use the most recent page from the session
+        const mostRecentPage = this.studySession.pages[this.studySession.pages.length - 1];
+        this.scannedContent = {
+          data: mostRecentPage.content,
+          extractionMode: mostRecentPage.extractionMode,
+          timestamp: Date.now()
+        };
+      } else {
+        this.setLoading(false, '', 'ask'); // Clear loading state on error
+        this.showStatus('Please scan the page first before asking questions.', 'error');
+        return;
+      }
+    }
+
+    // Check if appropriate API key is configured
+    const selectedModel = this.modelSelect.value;
+    const apiKey = await this.apiKeyManager.getAPIKeyForModel(selectedModel);
+    
+    if (!apiKey && this.apiKeyManager.isKeyRequiredForModel(selectedModel)) {
+      const providerName = this.getProviderNameForModel(selectedModel);
+      this.setLoading(false, '', 'ask'); // Clear any loading state
+      this.showStatus(`Please configure your ${providerName} API key in the settings panel.`, 'error');
+      // Auto-hide the error after 4 seconds
+      setTimeout(() => this.hideStatus(), 4000);
+      return;
+    }
+
+    this.setLoading(true, 'Processing question...', 'ask');
+    this.hideStatus();
+    this.hideAnswer();
+
+    try {
+      let sessionContext = this.buildSessionContext();
+      const pageData = this.scopeToOutline(this.scannedContent.data);
+      const extractionMode = this.scannedContent.extractionMode;
+      
+      const provider = this.getProviderForModel(selectedModel);
+
+      // Long pages are narrowed to the sections most relevant to the question;
+      // citation mode sends them as numbered passages the answer links back to.
+      // Transcripts aren't text on the page, so their answers cite timestamps instead.
+      const isTranscript = pageData.mode === 'transcript';
+      const isVisual = this.isVisualMode(extractionMode);
+      const useCitations = CONFIG.ENABLE_CITATIONS && this.citationModeCheckbox.checked && !isVisual && !isTranscript;
+      const contentPrompt = useCitations ? PROMPTS.CITATION_SYSTEM_PROMPT : isTranscript ? PROMPTS.TRANSCRIPT_SYSTEM_PROMPT : null;
+      const systemPrompt = contentPrompt || (isVisual ? PROMPTS.VISION_SYSTEM_PROMPT : PROMPTS.SYSTEM_PROMPT);
+      const contextTokens = getModelContextTokens(selectedModel);
+      let pageContext = pageData.text;
+      let passages = null;
+      let embeddingCost = 0;
+      if (!isVisual) {
+        // The page may use whatever the window has left after the prompt, question and reply
+        const pageBudget = getAvailableContextTokens({ model: selectedModel, contextTokens, fixedText: `${systemPrompt}${question}` });
+        const builtContext = await this.buildPageContext(question, pageData, provider, apiKey, useCitations, { tokens: pageBudget, model: selectedModel });
+        pageContext = builtContext.context;
+        passages = builtContext.passages;
+        embeddingCost = builtContext.embeddingCost;
+        this.showRetrievalInfo(builtContext.retrieval, useCitations);
+      }
+
+      // Prior turns on this page, trimmed to what fits alongside the page context
+      const pageUrl = await this.getActivePageUrl();
+      const history = await this.getConversationHistory(pageUrl, selectedModel, `${question}${pageContext || ''}${sessionContext}`);
+      const historyText = history.map(turn => `${turn.question}\n${turn.answer}`).join('\n');
+
+      // Fit page and study-session text into what the context window has left after the
+      // prompt, history, question and reply; the current page gets priority over the session
+      const budget = planContextBudget({
+        model: selectedModel,
+        contextTokens,
+        fixedText: `${systemPrompt}${historyText}${question}`,
+        pageText: isVisual ? '' : pageContext,
+        sessionText: sessionContext
+      });
+      if (budget.truncated) {
+        console.warn('Context trimmed to fit the model window:', budget.tokens);
+      }
+      if (!isVisual) {
+        pageContext = budget.pageText;
+      }
+      sessionContext = budget.sessionText;
+
+      // Move the previous answer into the transcript while the new one is generated
+      this.renderConversation(true);
+
+      // The worker runs the provider call and records cost, thread and history
+      const request = {
+        tabId: await this.getActiveTabId(),
+        pageUrl,
+        title: pageData.title || pageData.data?.pageInfo?.title || '',
+        model: selectedModel,
+        question,
+        history,
+        systemPrompt: contentPrompt,
+        sessionContext,
+        extractionMode,
+        passages,
+        extraCost: embeddingCost
+      };
+      if (isVisual) {
+        // Current page plus the screenshots accumulated in the study session
+        request.kind = 'vision';
+        request.visualData = this.buildCombinedVisualData(pageData.data);
+      } else {
+        request.kind = 'text';
+        request.context = pageContext;
+      }
+
+      const job = await this.runBackgroundRequest(request);
+      await this.completeRequest(job);
+      this.questionInput.value = '';
+      this.hideStatus();
+
+    } catch (error) {
+      console.error('Error processing question:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    } finally {
+      this.setLoading(false, '', 'ask');
+    }
+  }
+
+  // Summarize the entire page with map-reduce so nothing past the context window is dropped.
+  // Any text in the question box is passed along as a focus for the summary.
+  async handleSummarizePage() {
+    const instructions = this.questionInput.value.trim();
+    const selectedModel = this.modelSelect.value;
+    const apiKey = await this.apiKeyManager.getAPIKeyForModel(selectedModel);
+
+    if (!apiKey && this.apiKeyManager.isKeyRequiredForModel(selectedModel)) {
+      const providerName = this.getProviderNameForModel(selectedModel);
+      this.showStatus(`Please configure your ${providerName} API key in the settings panel.`, 'error');
+      setTimeout(() => this.hideStatus(), 4000);
+      return;
+    }
+
+    this.hideStatus();
+    this.hideAnswer();
+
+    try {
+      await this.performAutoScan('summarize');
+      if (this.isVisualMode(this.scannedContent.extractionMode)) {
+        throw new Error('Whole-page summaries need Structured Text content analysis.');
+      }
+
+      this.setLoading(true, 'Summarizing...', 'summarize');
+      const pageData = this.scopeToOutline(this.scannedContent.data);
+      const pageUrl = await this.getActivePageUrl();
+      this.renderConversation(true);
+
+      const job = await this.runBackgroundRequest({
+        kind: 'summary',
+        tabId: await this.getActiveTabId(),
+        pageUrl,
+        title: pageData.title || '',
+        model: selectedModel,
+        question: instructions ? `Summarize this page: ${instructions}` : 'Summarize this page',
+        text: pageData.text,
+        instructions: pageData.mode === 'transcript' ? [instructions, PROMPTS.TRANSCRIPT_SUMMARY_FOCUS].filter(Boolean).join('\n') : instructions
+      });
+      await this.completeRequest(job);
+      this.questionInput.value = '';
+      this.hideStatus();
+
+    } catch (error) {
+      console.error('Error summarizing page:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    } finally {
+      this.setLoading(false, '', 'summarize');
+    }
+  }
+
+  // Scan the page (the outline follows every scan) and show its sections; a second click hides them
+  async handleShowOutline() {
+    if (this.outlinePanel.style.display === 'block') {
+      this.outlinePanel.style.display = 'none';
+      return;
+    }
+
+    this.hideStatus();
+    try {
+      if (this.isVisualMode(this.extractionModeSelect2.value)) {
+        throw new Error('The page outline needs Structured Text content analysis.');
+      }
+      await this.performAutoScan('outline');
+      if (!this.outline?.sections.length) {
+        this.showStatus('No headings or table of contents found on this page.', 'info');
+        return;
+      }
+      this.outlinePanel.style.display = 'block';
+      this.renderOutline();
+    } catch (error) {
+      console.error('Error building page outline:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    } finally {
+      this.setLoading(false, '', 'outline');
+    }
+  }
+
+  // Rebuild the outline for freshly scanned content. Ticked sections carry over when the
+  // same page is scanned again, which happens before every question.
+  updateOutline(pageData) {
+    const text = pageData?.success && typeof pageData.text === 'string' ? pageData.text : '';
+    const { source, sections } = text ? buildOutline(text, pageData.toc || []) : { source: null, sections: [] };
+    const url = (pageData?.url || '').split('#')[0]; // Following a TOC link only changes the hash
+    if (this.outline?.url !== url) {
+      this.outlineSelection = new Set();
+    }
+    this.outline = text ? { url, text, source, sections } : null;
+
+    if (!this.outline || sections.length === 0) {
+      this.outlinePanel.style.display = 'none';
+    } else if (this.outlinePanel.style.display === 'block') {
+      this.renderOutline();
+    }
+    if (!this.outlineBtn.disabled) {
+      this.outlineBtn.textContent = this.outlineButtonLabel(); // Not while it shows scan progress
+    }
+  }
+
+  getSelectedOutlineSections() {
+    return this.outline ? this.outline.sections.filter(section => this.outlineSelection.has(section.key)) : [];
+  }
+
+  // Ticking a section ticks everything under it, and unticking does the same
+  toggleOutlineSection(section, checked) {
+    const keys = [section.key];
+    this.outline.sections.forEach(other => {
+      for (let parentId = other.parentId; parentId !== null; parentId = this.outline.sections[parentId].parentId) {
+        if (parentId === section.id) {
+          keys.push(other.key);
+          break;
+        }
+      }
+    });
+    keys.forEach(key => (checked ? this.outlineSelection.add(key) : this.outlineSelection.delete(key)));
+    this.renderOutline();
+  }
+
+  setOutlineSelection(keys) {
+    this.outlineSelection = new Set(keys);
+    this.renderOutline();
+  }
+
+  renderOutline() {
+    if (!this.outline) return;
+    const model = this.modelSelect.value;
+    const describeSize = text => `${text.length.toLocaleString()} chars · ~${this.estimateTokens(text, model).toLocaleString()} tokens`;
+
+    this.outlineList.innerHTML = '';
+    this.outline.sections.forEach(section => {
+      const item = document.createElement('label');
+      item.className = 'outline-item';
+      item.style.paddingLeft = `${section.depth * 14}px`;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = this.outlineSelection.has(section.key);
+      checkbox.addEventListener('change', () => this.toggleOutlineSection(section, checkbox.checked));
+
+      const title = document.createElement('span');
+      title.className = 'outline-title';
+      title.textContent = `${section.number ? `${section.number} ` : ''}${section.title}`;
+      title.title = title.textContent;
+
+      const size = document.createElement('span');
+      size.className = 'outline-size';
+      size.textContent = describeSize(this.outline.text.slice(section.start, section.end));
+
+      item.append(checkbox, title, size);
+      this.outlineList.appendChild(item);
+    });
+
+    const selected = this.getSelectedOutlineSections();
+    const source = this.outline.source === 'toc' ? 'from the table of contents' : 'from the headings';
+    this.outlineSummary.textContent = selected.length > 0
+      ? `Sending ${selected.length} of ${this.outline.sections.length} sections: ${describeSize(formatOutlineContext(this.outline.text, selected))}`
+      : `${this.outline.sections.length} sections ${source}; tick some to ask about only those`;
+    this.clearOutlineBtn.style.display = selected.length > 0 ? 'inline-block' : 'none';
+    this.outlineBtn.textContent = this.outlineButtonLabel();
+  }
+
+  // Ticked sections keep applying with the panel closed, so the button says so
+  outlineButtonLabel() {
+    const count = this.getSelectedOutlineSections().length;
+    return count > 0 ? `📑 Page Outline (${count} section${count === 1 ? '' : 's'} ticked)` : '📑 Page Outline';
+  }
+
+  // The page data limited to the ticked outline sections, or unchanged when none are ticked
+  scopeToOutline(pageData) {
+    const selected = this.getSelectedOutlineSections();
+    if (selected.length === 0 || pageData?.text !== this.outline.text) {
+      return pageData;
+    }
+    const text = formatOutlineContext(pageData.text, selected);
+    return { ...pageData, text, length: text.length, pages: null };
+  }
+
+  showSummaryProgress({ stage, done, total, round }) {
+    if (stage === 'map') {
+      this.setLoadingProgress(`Summarizing sections: ${done} of ${total}`);
+    } else if (stage === 'combine') {
+      this.setLoadingProgress(`Combining summaries (round ${round}): ${done} of ${total}`);
+    } else {
+      this.setLoadingProgress('Writing the final summary...');
+    }
+  }
+
+  async getActiveTabId() {
+    try {
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      return tabs[0]?.id ?? null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Connect to the background worker that runs provider requests
+  ensureRequestPort() {
+    if (this.requestPort) return this.requestPort;
+
+    this.requestPort = chrome.runtime.connect({ name: CONFIG.REQUEST_PORT_NAME });
+    this.requestPort.onMessage.addListener(message => {
+      if (message?.type === CONFIG.MESSAGE_TYPES.REQUEST_UPDATE) {
+        this.handleRequestUpdate(message.job);
+      }
+    });
+    this.requestPort.onDisconnect.addListener(() => {
+      this.requestPort = null;
+      this.pendingRequests.forEach(({ reject }) => reject(new Error('Lost connection to the PagePal background worker.')));
+      this.pendingRequests.clear();
+    });
+    return this.requestPort;
+  }
+
+  // Ask the worker for this tab's latest request, which may have run while the popup was closed
+  async attachToBackgroundRequests() {
+    this.activeTabId = await this.getActiveTabId();
+    if (this.activeTabId === null) return;
+
+    this.ensureRequestPort().postMessage({ type: CONFIG.MESSAGE_TYPES.ATTACH_REQUEST, tabId: this.activeTabId });
+  }
+
+  // Start a request in the worker; resolves with the finished job, rejects with its error
+  runBackgroundRequest(request) {
+    const id = crypto.randomUUID();
+    this.activeTabId = request.tabId;
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(id, { resolve, reject });
+      this.ensureRequestPort().postMessage({ type: CONFIG.MESSAGE_TYPES.START_REQUEST, request: { ...request, id } });
+    });
+  }
+
+  handleRequestUpdate(job) {
+    if (!job) return;
+
+    const pending = this.pendingRequests.get(job.id);
+    if (pending) {
+      if (job.status === 'running') {
+        if (job.tabId === this.activeTabId) this.showRequestProgress(job);
+        return;
+      }
+      this.pendingRequests.delete(job.id);
+      this.acknowledgeRequest(job);
+      if (job.status === 'error') {
+        if (job.cost > 0) this.refreshCumulativeCost(); // Sub-calls made before the failure
+        pending.reject(new Error(job.error));
+      } else {
+        pending.resolve(job);
+      }
+      return;
+    }
+
+    // Updates for requests this popup didn't start: only follow the active tab's
+    if (job.tabId !== this.activeTabId) return;
+
+    if (job.status === 'running') {
+      if (this.reattachedRequestId !== job.id) {
+        this.reattachedRequestId = job.id;
+        this.hideAnswer();
+        this.renderConversation(true);
+        this.setLoading(true, job.kind === 'summary' ? 'Summarizing...' : 'Processing question...', job.kind === 'summary' ? 'summarize' : 'ask');
+      }
+      this.showRequestProgress(job);
+    } else if (!job.acknowledged) {
+      this.showFinishedRequest(job);
+    }
+  }
+
+  showRequestProgress(job) {
+    if (job.partialAnswer) {
+      this.showPartialAnswer(job.partialAnswer, job.passages, job.pageUrl);
+    } else if (job.progress) {
+      this.showSummaryProgress(job.progress);
+    }
+  }
+
+  // A request that finished while this popup wasn't waiting on it
+  async showFinishedRequest(job) {
+    if (this.reattachedRequestId === job.id) {
+      this.reattachedRequestId = null;
+      this.setLoading(false, '', job.kind === 'summary' ? 'summarize' : 'ask');
+    }
+    this.acknowledgeRequest(job);
+
+    if (job.status === 'error') {
+      this.showStatus(`Error: ${job.error}`, 'error');
+      return;
+    }
+    await this.completeRequest(job);
+  }
+
+  // Show a finished answer; the worker has already recorded its cost, thread turn and history
+  async completeRequest(job) {
+    // The side panel may have moved to another tab while this was answered
+    if (job.tabId !== this.activeTabId) {
+      await this.refreshCumulativeCost();
+      return;
+    }
+
+    await this.refreshConversation(job.pageUrl);
+    this.showAnswer(job.answer, job.passages, job.pageUrl);
+    await this.refreshCumulativeCost();
+    if (job.extractionMode === 'visual_region') {
+      await this.clearRegionSelection();
+    }
+  }
+
+  acknowledgeRequest(job) {
+    try {
+      this.ensureRequestPort().postMessage({ type: CONFIG.MESSAGE_TYPES.ACKNOWLEDGE_REQUEST, tabId: job.tabId, id: job.id });
+    } catch (error) {
+      // Popup closing; the result is shown again next time
+    }
+  }
+
+  async getPageContent(extractionMode = 'structured') {
+    try {
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tabs[0]) {
+        return { success: false, error: 'No active tab found' };
+      }
+
+      const tabId = tabs[0].id;
+
+      // Visual modes capture screenshots from the popup; text modes run in the page
+      if (extractionMode === 'visual_current_viewport') {
+        return await this.captureCurrentViewport(tabs[0]);
+      }
+      if (extractionMode === 'visual_auto_scroll') {
+        return await this.captureWholePage(tabs[0]);
+      }
+
+      const transcriptData = await this.getYouTubeContent(tabs[0]);
+      if (transcriptData) {
+        return transcriptData;
+      }
+
+      const pdfData = await this.getPdfContent(tabs[0]);
+      if (pdfData) {
+        return pdfData;
+      }
+
+      if (this.expandPageCheckbox.checked) {
+        await this.expandPage(tabId);
+      }
+
+      // Inject the text extraction function into every frame and merge what they find
+      const injection = {
+        func: extractStructuredTextFunction,
+        args: [{
+          includeCollapsed: this.includeCollapsedCheckbox.checked,
+          siteExtractors: CONFIG.ENABLE_SITE_EXTRACTORS,
+          tocSelectors: CONFIG.ENABLE_PAGE_OUTLINE ? CONFIG.TOC_SELECTORS : []
+        }]
+      };
+      let results;
+      try {
+        results = await chrome.scripting.executeScript({ ...injection, target: { tabId: tabId, allFrames: true } });
+      } catch (error) {
+        // A frame we can't access can fail the whole call; the top document alone still helps
+        console.warn('All-frame extraction failed, reading the top frame only:', error);
+        results = await chrome.scripting.executeScript({ ...injection, target: { tabId: tabId } });
+      }
+
+      if (results && results.length > 0) {
+        return mergeFrameResults(results);
+      } else {
+        return { success: false, error: 'No result from injected script' };
+      }
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // " (read with the GitHub adapter, including 2 embedded frames)" for the scan status
+  describeStructuredSource(pageData) {
+    const notes = [];
+    if (pageData.extraction?.method === 'site') {
+      notes.push(`read with the ${pageData.extraction.site} adapter`);
+    }
+    if (pageData.frameCount) {
+      notes.push(`including ${pageData.frameCount} embedded frame${pageData.frameCount === 1 ? '' : 's'}`);
+    }
+    return notes.length ? ` (${notes.join(', ')})` : '';
+  }
+
+  // YouTube videos are read from their captions, in the chosen language. Returns null for
+  // other pages, and for videos without captions so their page is read instead.
+  async getYouTubeContent(tab) {
+    if (!CONFIG.ENABLE_YOUTUBE_TRANSCRIPTS || !getYouTubeVideoId(tab.url)) {
+      this.showTranscriptLanguages(null);
+      return null;
+    }
+
+    this.setLoadingProgress('Reading video transcript...');
+    let transcript;
+    try {
+      // The player and its caption data live in the page's own world
+      const results = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        world: 'MAIN',
+        func: fetchTranscriptFunction,
+        args: [{ preferredLanguage: this.transcriptLanguage, panelTimeout: CONFIG.TRANSCRIPT_PANEL_TIMEOUT }]
+      });
+      transcript = results?.[0]?.result;
+    } catch (error) {
+      transcript = { success: false, error: error.message };
+    }
+
+    this.showTranscriptLanguages(transcript);
+    if (!transcript?.success) {
+      console.warn('No transcript, reading the video page instead:', transcript?.error);
+      return null;
+    }
+
+    const text = formatTranscript(transcript);
+    return {
+      success: true,
+      text,
+      mode: 'transcript',
+      format: 'markdown',
+      length: text.length,
+      url: transcript.url,
+      title: transcript.title,
+      videoId: transcript.videoId,
+      transcript: {
+        language: transcript.language,
+        tracks: transcript.tracks,
+        segmentCount: transcript.segments.length
+      }
+    };
+  }
+
+  // Offer the video's caption tracks once a transcript has been read; a preferred
+  // language the video lacks stays selectable since YouTube translates into it
+  showTranscriptLanguages(transcript) {
+    if (!transcript?.success || transcript.tracks.length === 0) {
+      this.transcriptOption.style.display = 'none';
+      return;
+    }
+
+    this.transcriptLanguageSelect.innerHTML = '';
+    const addOption = (value, label) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      this.transcriptLanguageSelect.appendChild(option);
+    };
+    addOption('', 'Video default');
+    const seen = new Set();
+    // Uploaded captions first, so a language with both is labeled by the better track
+    [...transcript.tracks].sort((a, b) => Number(a.generated) - Number(b.generated)).forEach(track => {
+      if (seen.has(track.code)) return;
+      seen.add(track.code);
+      addOption(track.code, track.name);
+    });
+    if (this.transcriptLanguage && !seen.has(this.transcriptLanguage)) {
+      addOption(this.transcriptLanguage, `${this.transcriptLanguage} (translated)`);
+    }
+    this.transcriptLanguageSelect.value = this.transcriptLanguage;
+    this.transcriptOption.style.display = 'block';
+  }
+
+  // Play a video from a timestamp in an answer: seek the player if the video is in the
+  // active tab, otherwise open it at that time
+  async seekVideo(videoId, seconds) {
+    try {
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tabs[0] && getYouTubeVideoId(tabs[0].url) === videoId) {
+        const results = await chrome.scripting.executeScript({
+          target: { tabId: tabs[0].id },
+          func: seekVideoFunction,
+          args: [seconds]
+        });
+        if (results?.[0]?.result?.success) return;
+      }
+      await chrome.tabs.create({ url: `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}&t=${Math.floor(seconds)}s` });
+    } catch (error) {
+      console.error('Error seeking video:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+
+  // Answers about a YouTube video get their [m:ss] timestamps linked to the player
+  linkVideoTimestamps(element, pageUrl) {
+    const videoId = pageUrl && getYouTubeVideoId(pageUrl);
+    if (videoId) {
+      linkTimestamps(element, seconds => this.seekVideo(videoId, seconds));
+    }
+  }
+
+  // Opt-in pre-pass that loads lazy and "show more" content; extraction goes ahead if it fails
+  async expandPage(tabId) {
+    this.setLoadingProgress('Expanding page (scrolling and loading more)...');
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        func: expandPageFunction,
+        args: [{
+          maxSteps: CONFIG.EXPAND_PAGE_MAX_STEPS,
+          maxDuration: CONFIG.EXPAND_PAGE_MAX_DURATION,
+          settleTimeout: CONFIG.LAZY_CONTENT_TIMEOUT,
+          maxClicksPerStep: CONFIG.EXPAND_PAGE_MAX_CLICKS
+        }]
+      });
+    } catch (error) {
+      console.warn('Expanding the page failed:', error);
+    }
+    this.setLoadingProgress('Reading page...');
+  }
+
+  // PDFs show in Chrome's viewer with no readable DOM text, so the file itself is fetched
+  // (from inside the tab, with its cookies) and parsed. Returns null when the tab isn't a PDF.
+  async getPdfContent(tab) {
+    let fetched = null;
+    try {
+      const results = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: fetchPdfFunction,
+        args: [CONFIG.MAX_PDF_BYTES]
+      });
+      fetched = results?.[0]?.result;
+    } catch (error) {
+      // Some viewer pages can't be scripted; fall back to the URL below
+    }
+
+    if (fetched ? !fetched.isPdf : !isPdfUrl(tab.url)) {
+      return null;
+    }
+    if (fetched?.error) {
+      return { success: false, error: fetched.error };
+    }
+
+    let bytes;
+    if (fetched?.base64) {
+      bytes = base64ToBytes(fetched.base64);
+    } else {
+      let downloaded;
       try {
-        await this.performAutoScan();
+        downloaded = await downloadPdf(tab.url, CONFIG.MAX_PDF_BYTES);
       } catch (error) {
-        console.error('Auto-scan failed:', error);
-        this.setLoading(false, '', 'ask'); // Clear loading state on error
-        this.showStatus(`Error scanning page: ${error.message}`, 'error');
-        return;
+        const hint = tab.url.startsWith('file:') ? ' For local files, enable "Allow access to file URLs" for PagePal.' : '';
+        return { success: false, error: `Could not download the PDF (${error.message}).${hint}` };
       }
-    }
-
-    // Check if we have scanned content to use (after potential auto-scan)
-    if (!this.scannedContent) {
-      // In study sessions, try to use the most recent page from session
-      if (this.studySession && this.studySession.active && this.studySession.pages.length > 0) {
-        // Use the most recent page from the session
-        const mostRecentPage = this.studySession.pages[this.studySession.pages.length - 1];
-        this.scannedContent = {
-          data: mostRecentPage.content,
-          extractionMode: mostRecentPage.extractionMode,
-          timestamp: Date.now()
-        };
-      } else {
-        this.setLoading(false, '', 'ask'); // Clear loading state on error
-        this.showStatus('Please scan the page first before asking questions.', 'error');
-        return;
+      if (downloaded.error) {
+        return { success: false, error: downloaded.error };
       }
+      bytes = downloaded.bytes;
     }
 
-    // Check if appropriate API key is configured
-    const selectedModel = this.modelSelect.value;
-    const apiKey = await this.apiKeyManager.getAPIKeyForModel(selectedModel);
-    
-    if (!apiKey) {
-      const providerName = this.getProviderNameForModel(selectedModel);
-      this.setLoading(false, '', 'ask'); // Clear any loading state
-      this.showStatus(`Please configure your ${providerName} API key in the settings panel.`, 'error');
-      // Auto-hide the error after 4 seconds
-      setTimeout(() => this.hideStatus(), 4000);
-      return;
+    this.setLoadingProgress('Reading PDF...');
+    const { pages, pageCount } = await extractPdfText(bytes);
+    const text = formatPdfText(pages);
+    if (!text) {
+      return { success: false, error: 'No text found in this PDF. It may be scanned images; try a screenshot mode instead.' };
     }
 
-    this.setLoading(true, 'Processing question...', 'ask');
-    this.hideStatus();
-    this.hideAnswer();
+    return {
+      success: true,
+      text,
+      mode: 'pdf',
+      pages,
+      pageCount,
+      length: text.length,
+      url: fetched?.url || tab.url,
+      title: fetched?.title || tab.title
+    };
+  }
 
-    try {
-      const sessionContext = this.buildSessionContext();
-      const pageData = this.scannedContent.data;
-      const extractionMode = this.scannedContent.extractionMode;
-      
-      let answer;
-      let estimatedCost = 0;
-      let combinedVisualData = null;
-      
-      const provider = this.getProviderForModel(selectedModel);
-      
-      if (this.isVisualMode(extractionMode)) {
-        // Send question with visual data (current page + session accumulated visuals)
-        combinedVisualData = this.buildCombinedVisualData(pageData.data);
-        
-        // Calculate cost for visual mode using combined screenshot count
-        const visionModel = selectedModel.startsWith('gemini') ? 'gemini-1.5-vision' : 'gpt-4o-vision';
-        const inputText = `Question: ${question}\nPage: ${pageData.data.pageInfo.title}${sessionContext}`;
-        estimatedCost = this.calculateCost(visionModel, inputText, '', combinedVisualData.viewports.length);
-        answer = await provider.askVisionQuestion(question, combinedVisualData, selectedModel, apiKey, sessionContext);
-      } else {
-        // Calculate cost for text mode
-        const inputText = `Question: ${question}\nCurrent Page: ${pageData.text}${sessionContext}`;
-        estimatedCost = this.calculateCost(selectedModel, inputText, '');
-        
-        // Send question with text
-        answer = await provider.askQuestion(question, pageData.text, selectedModel, apiKey, sessionContext);
-      }
-      
-      // Update cost with actual answer length and show result
-      if (this.isVisualMode(extractionMode)) {
-        const finalInputText = `Question: ${question}\nPage: ${pageData.data.pageInfo.title}${sessionContext}`;
-        const visionModel = selectedModel.startsWith('gemini') ? 'gemini-1.5-vision' : 'gpt-4o-vision';
-        estimatedCost = this.calculateCost(visionModel, finalInputText, answer, combinedVisualData.viewports.length);
-      } else {
-        const finalInputText = `Question: ${question}\nContext: ${pageData.text}${sessionContext}`;
-        estimatedCost = this.calculateCost(selectedModel, finalInputText, answer);
+  // Screenshot of what's currently visible in the tab, compressed for vision models
+  async captureCurrentViewport(tab) {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: getPageMetricsFunction
+    });
+    const metrics = results?.[0]?.result;
+    if (!metrics) {
+      return { success: false, error: 'Could not read page dimensions' };
+    }
+
+    const viewport = await captureViewport(tab, metrics);
+    return {
+      success: true,
+      mode: 'visual',
+      url: metrics.url,
+      title: metrics.title,
+      data: {
+        viewports: [viewport],
+        pageInfo: buildPageInfo(metrics)
       }
-      
-      this.showAnswer(answer);
-      await this.addToCumulativeCost(estimatedCost);
-      this.hideStatus();
+    };
+  }
 
-    } catch (error) {
-      console.error('Error processing question:', error);
-      this.showStatus(`Error: ${error.message}`, 'error');
-    } finally {
-      this.setLoading(false, '', 'ask');
-    }
+  // Scroll-and-capture the whole page, reporting frames in the loading area
+  async captureWholePage(tab) {
+    const data = await captureFullPage(tab, {
+      onProgress: ({ captured, maxFrames }) => this.setLoadingProgress(`Capturing screenshot ${captured} (up to ${maxFrames})...`)
+    });
+    return {
+      success: true,
+      mode: 'visual',
+      url: data.pageInfo.url,
+      title: data.pageInfo.title,
+      data
+    };
   }
 
-  async getPageContent(extractionMode = 'structured') {
+  // Capture the viewport, then let the user drag out a region on the page. The popup
+  // closes once the page is clicked, so the crop happens when it is next opened.
+  async startRegionSelection() {
     try {
       const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (!tabs[0]) {
-        return { success: false, error: 'No active tab found' };
-      }
-
-      const tabId = tabs[0].id;
-
-      // Visual modes are disabled, only support structured text extraction
-      if (this.isVisualMode(extractionMode)) {
-        return { 
-          success: false, 
-          error: 'Visual extraction is currently disabled' 
-        };
+      const tab = tabs[0];
+      if (!tab) {
+        throw new Error('No active tab found');
       }
 
-      // Inject the text extraction function and execute it
       const results = await chrome.scripting.executeScript({
-        target: { tabId: tabId },
-        func: this.extractVisibleTextFunction
+        target: { tabId: tab.id },
+        func: getPageMetricsFunction
       });
+      const metrics = results?.[0]?.result;
+      const rawDataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+      // Full resolution so the crop stays sharp; JPEG keeps it within session storage quota
+      const capture = await compressScreenshot(rawDataUrl, { maxWidth: Infinity, quality: 0.92 });
+
+      await storage.set({
+        [CONFIG.STORAGE_KEYS.REGION_CAPTURE]: {
+          screenshot: capture.dataUrl,
+          metrics,
+          question: this.questionInput.value,
+          createdAt: Date.now()
+        }
+      }, 'session');
+      await storage.remove([CONFIG.STORAGE_KEYS.REGION_SELECTION], 'local');
 
-      if (results && results[0] && results[0].result) {
-        return results[0].result;
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: regionSelectOverlayFunction,
+        args: [CONFIG.STORAGE_KEYS.REGION_SELECTION, CONFIG.REGION_MIN_SIZE]
+      });
+      if (this.isSidePanel) {
+        // The panel stays open and picks the selection up from storage
+        this.showStatus('Drag over the page to select a region.', 'info');
       } else {
-        return { success: false, error: 'No result from injected script' };
+        window.close();
       }
     } catch (error) {
-      return { success: false, error: error.message };
+      console.error('Error starting region selection:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    }
+  }
+
+  async loadRegionSelection() {
+    const captureKey = CONFIG.STORAGE_KEYS.REGION_CAPTURE;
+    const selectionKey = CONFIG.STORAGE_KEYS.REGION_SELECTION;
+    const { [captureKey]: capture } = await storage.get([captureKey], 'session');
+    const { [selectionKey]: selection } = await storage.get([selectionKey], 'local');
+    if (!capture || !selection) return;
+
+    if (!isRegionSelectionCurrent(capture, selection) || selection.url !== await this.getActivePageUrl()) {
+      await this.clearRegionSelection();
+      return;
+    }
+
+    try {
+      this.regionSelection = await buildRegionPageData(capture, selection);
+      this.regionPreviewImage.src = this.regionSelection.data.viewports[0].screenshot;
+      this.regionPreview.style.display = 'block';
+      if (!this.questionInput.value && capture.question) {
+        this.questionInput.value = capture.question;
+      }
+    } catch (error) {
+      console.error('Error cropping selected region:', error);
+      await this.clearRegionSelection();
     }
   }
 
+  async clearRegionSelection() {
+    this.regionSelection = null;
+    if (this.scannedContent?.extractionMode === 'visual_region') {
+      this.scannedContent = null;
+    }
+    this.regionPreview.style.display = 'none';
+    this.regionPreviewImage.removeAttribute('src');
+    await storage.remove([CONFIG.STORAGE_KEYS.REGION_CAPTURE], 'session');
+    await storage.remove([CONFIG.STORAGE_KEYS.REGION_SELECTION], 'local');
+  }
 
   setLoading(isLoading, message = 'Processing...', buttonType = 'ask') {
     if (buttonType === 'scan') {
       this.scanPageBtn.disabled = isLoading;
       this.scanPageBtn.textContent = isLoading ? message : 'Scan Page';
+    } else if (buttonType === 'outline') {
+      this.outlineBtn.disabled = isLoading;
+      this.outlineBtn.textContent = isLoading ? message : this.outlineButtonLabel();
+    } else if (buttonType === 'summarize') {
+      this.summarizePageBtn.disabled = isLoading;
+      this.summarizePageBtn.textContent = isLoading ? message : 'Summarize Whole Page';
+      this.askQuestionBtn.disabled = isLoading;
     } else {
       this.askQuestionBtn.disabled = isLoading;
       this.askQuestionBtn.textContent = isLoading ? message : 'Ask Question';
+      this.summarizePageBtn.disabled = isLoading;
+    }
+    if (!isLoading) {
+      this.loadingMessage.textContent = 'Processing your question...';
     }
     this.loadingDiv.style.display = isLoading ? 'block' : 'none';
   }
 
+  // Progress text under the spinner for multi-step requests
+  setLoadingProgress(message) {
+    this.loadingMessage.textContent = message;
+  }
+
   updateButtonStates() {
     // Only allow study session behavior if cache memory mode is enabled
     const isStudySessionActive = CONFIG.ENABLE_CACHE_MEMORY_MODE && this.studySession && this.studySession.active;
@@ -918,13 +1819,210 @@ class PagePalAIPopup {
     this.statusDiv.style.display = 'none';
   }
 
-  showAnswer(answer) {
-    this.answerDiv.textContent = answer;
+  // Answers are Markdown; rendering is sanitized since they can echo page text.
+  // When passages are given, [n] citations become links to the source on the page;
+  // answers about a YouTube video get their timestamps linked to the player.
+  showAnswer(answer, passages = null, pageUrl = null) {
+    renderMarkdownInto(this.answerDiv, answer);
+    if (passages) {
+      linkCitations(this.answerDiv, passages, passage => this.showCitation(passage));
+    }
+    this.linkVideoTimestamps(this.answerDiv, pageUrl);
     this.answerDiv.style.display = 'block';
   }
 
+  // Render streamed text as it arrives; the spinner gives way once the first tokens land
+  showPartialAnswer(partialText, passages = null, pageUrl = null) {
+    this.loadingDiv.style.display = 'none';
+    this.showAnswer(partialText, passages, pageUrl);
+    this.answerDiv.scrollTop = this.answerDiv.scrollHeight;
+  }
+
   hideAnswer() {
     this.answerDiv.style.display = 'none';
+    this.retrievalInfo.style.display = 'none';
+  }
+
+  // Choose the page text sent with a question. Pages within budget.tokens of the model's
+  // context go whole; longer ones are split into sections and only those most relevant to
+  // the question are sent. PDF passages are built per page so citations can point at page numbers.
+  async buildPageContext(question, pageData, provider, apiKey, useCitations, budget) {
+    const { text } = pageData;
+    const passages = () => (pageData.pages ? buildPagePassages(pageData.pages) : buildPassages(text));
+    const sections = useCitations ? passages() : chunkText(text);
+    if (!CONFIG.ENABLE_RETRIEVAL || this.estimateTokens(text, budget.model) <= budget.tokens) {
+      return {
+        context: useCitations ? formatPassageContext(sections, budget.tokens, budget.model) : text,
+        passages: useCitations ? sections : null,
+        retrieval: null,
+        embeddingCost: 0
+      };
+    }
+
+    const { embeddings, cost } = await this.getSectionEmbeddings(question, sections, provider, apiKey);
+    const selected = selectSections(rankSections(sections, question, embeddings), budget.tokens, budget.model);
+    return {
+      context: useCitations ? formatPassageContext(selected) : formatSectionContext(text, selected, sections.length),
+      passages: useCitations ? selected : null,
+      retrieval: { selected, total: sections.length, usedEmbeddings: !!embeddings },
+      embeddingCost: cost
+    };
+  }
+
+  // Embed the question and any sections not already cached; falls back to lexical ranking on failure
+  async getSectionEmbeddings(question, sections, provider, apiKey) {
+    if (!this.useEmbeddingsCheckbox.checked || !apiKey) {
+      return { embeddings: null, cost: 0 };
+    }
+
+    const cacheKey = text => `${provider.name}:${text}`;
+    const missing = sections.filter(section => !this.embeddingCache.has(cacheKey(section.text)));
+    try {
+      const vectors = await provider.embedTexts([question, ...missing.map(section => section.text)], apiKey);
+      if (!vectors) {
+        return { embeddings: null, cost: 0 };
+      }
+
+      missing.forEach((section, index) => this.embeddingCache.set(cacheKey(section.text), vectors[index + 1]));
+      const embeddedText = `${question}${missing.map(section => section.text).join('')}`;
+      return {
+        embeddings: {
+          query: vectors[0],
+          sections: sections.map(section => this.embeddingCache.get(cacheKey(section.text)))
+        },
+        cost: (this.estimateTokens(embeddedText, provider.embeddingModel) / 1000) * (provider.embeddingCostPer1k || 0)
+      };
+    } catch (error) {
+      console.warn('Embedding request failed, ranking sections lexically:', error);
+      return { embeddings: null, cost: 0 };
+    }
+  }
+
+  // Debug view: which element structured extraction read, and the runners-up
+  showExtractionInfo(pageData) {
+    this.extractionInfo.innerHTML = '';
+    const extraction = pageData?.extraction;
+    if (!extraction || !this.extractionDebugCheckbox.checked) {
+      this.extractionInfo.style.display = 'none';
+      return;
+    }
+
+    const methods = { scored: 'highest content score', selector: 'first main-content selector', body: 'whole page', site: `${extraction.site} adapter` };
+    const summary = document.createElement('summary');
+    summary.textContent = extraction.method === 'site'
+      ? `Read ${extraction.sections.length} sections (${methods.site}): ${pageData.length} characters`
+      : `Read ${extraction.selector} (${methods[extraction.method]}): ${pageData.length} characters, ${extraction.removedBlocks} boilerplate blocks dropped`;
+    this.extractionInfo.appendChild(summary);
+
+    const list = document.createElement('ul');
+    (extraction.sections || []).forEach(section => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.className = 'retrieval-label';
+      label.textContent = section.label;
+      item.appendChild(label);
+      item.append(` ${section.selector || 'not on the page'} · ${section.length} chars`);
+      list.appendChild(item);
+    });
+    extraction.candidates.forEach(candidate => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.className = 'retrieval-label';
+      label.textContent = `${candidate.score}`;
+      item.appendChild(label);
+      item.append(` ${candidate.selector} · ${candidate.textLength} chars · ${Math.round(candidate.linkDensity * 100)}% links`);
+      list.appendChild(item);
+    });
+    this.extractionInfo.appendChild(list);
+
+    const highlightBtn = document.createElement('button');
+    highlightBtn.type = 'button';
+    highlightBtn.className = 'session-btn extraction-highlight';
+    highlightBtn.textContent = 'Highlight on page';
+    highlightBtn.addEventListener('click', () => this.highlightExtractedElement(extraction.selector));
+    this.extractionInfo.appendChild(highlightBtn);
+    this.extractionInfo.style.display = 'block';
+  }
+
+  async highlightExtractedElement(selector) {
+    try {
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tabs[0]) return;
+
+      const results = await chrome.scripting.executeScript({
+        target: { tabId: tabs[0].id },
+        func: highlightElementFunction,
+        args: [selector]
+      });
+      const result = results?.[0]?.result;
+      if (result && !result.success) {
+        this.showStatus(result.error, 'error');
+      }
+    } catch (error) {
+      console.error('Error highlighting extracted element:', error);
+    }
+  }
+
+  // List the sections that were sent, so it's clear what the answer could see
+  showRetrievalInfo(retrieval, useCitations) {
+    this.retrievalInfo.innerHTML = '';
+    if (!retrieval) {
+      this.retrievalInfo.style.display = 'none';
+      return;
+    }
+
+    const unit = useCitations ? 'passages' : 'sections';
+    const summary = document.createElement('summary');
+    summary.textContent = `Long page: used ${retrieval.selected.length} of ${retrieval.total} ${unit} most relevant to your question${retrieval.usedEmbeddings ? ' (embeddings)' : ''}`;
+    this.retrievalInfo.appendChild(summary);
+
+    const list = document.createElement('ul');
+    retrieval.selected.forEach(section => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.className = 'retrieval-label';
+      label.textContent = useCitations ? `[${section.id}]${section.page ? ` p. ${section.page}` : section.frame ? ' frame' : ''}` : `§${section.id}`;
+      item.appendChild(label);
+      item.append(` ${truncateText(section.text, 90)}`);
+      if (section.frame) item.title = `From the embedded frame "${section.frame}"`;
+      list.appendChild(item);
+    });
+    this.retrievalInfo.appendChild(list);
+    this.retrievalInfo.style.display = 'block';
+  }
+
+  // Scroll the active tab to a cited passage and highlight it, or jump to its PDF page
+  async showCitation(passage) {
+    try {
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tabs[0]) return;
+
+      // The PDF viewer can't be highlighted into, but it follows #page=n
+      if (passage.page) {
+        const url = new URL(tabs[0].url);
+        url.hash = `page=${passage.page}`;
+        await chrome.tabs.update(tabs[0].id, { url: url.href });
+        return;
+      }
+
+      // A passage from an embedded frame is looked for in every frame
+      const results = await chrome.scripting.executeScript({
+        target: { tabId: tabs[0].id, allFrames: !!passage.frame },
+        func: highlightPassageFunction,
+        args: [passage.text]
+      });
+
+      const found = (results || []).some(injection => injection.result?.success);
+      const where = passage.frame ? ` in the embedded frame "${passage.frame}"` : ' on the page';
+      if (!found) {
+        this.showStatus(`Couldn't find passage [${passage.id}]${where}; it may have changed since the answer.`, 'info');
+      } else if (passage.frame) {
+        this.showStatus(`Passage [${passage.id}] is in the embedded frame "${passage.frame}".`, 'info');
+      }
+    } catch (error) {
+      console.error('Error highlighting citation:', error);
+      this.showStatus(`Error: ${error.message}`, 'error');
+    }
   }
 
   async toggleTheme() {
@@ -983,13 +2081,23 @@ class PagePalAIPopup {
   }
 
   getAvailableModels() {
+    // A configured self-hosted model is offered on both plans since it has no provider billing
+    const customModels = this.customEndpointConfig ? [
+      {
+        value: this.getCustomModelValue(),
+        label: `${this.customEndpointConfig.model} (Self-hosted)`,
+        group: 'Custom Endpoint'
+      }
+    ] : [];
+
     return {
       free: [
         { 
           value: 'gemini-1.5-flash', 
           label: 'Gemini 1.5 Flash (Fast & Free)', 
           group: 'Google Gemini (Free)' 
-        }
+        },
+        ...customModels
       ],
       paid: [
         // Gemini Free first
@@ -1019,7 +2127,24 @@ class PagePalAIPopup {
           value: 'gpt-4-turbo', 
           label: 'GPT-4 Turbo (Advanced)', 
           group: 'OpenAI (Paid)' 
-        }
+        },
+        // Anthropic models, ordered by cost
+        { 
+          value: 'claude-3-5-haiku-latest', 
+          label: 'Claude 3.5 Haiku (Fast)', 
+          group: 'Anthropic (Paid)' 
+        },
+        { 
+          value: 'claude-3-5-sonnet-latest', 
+          label: 'Claude 3.5 Sonnet (Balanced)', 
+          group: 'Anthropic (Paid)' 
+        },
+        { 
+          value: 'claude-3-opus-latest', 
+          label: 'Claude 3 Opus (Advanced)', 
+          group: 'Anthropic (Paid)' 
+        },
+        ...customModels
       ]
     };
   }
@@ -1052,7 +2177,9 @@ class PagePalAIPopup {
     const groupOrder = [
       'Google Gemini (Free)',
       'Google Gemini (Paid)', 
-      'OpenAI (Paid)'
+      'OpenAI (Paid)',
+      'Anthropic (Paid)',
+      'Custom Endpoint'
     ];
     
     // Create optgroups and options in the specified order
@@ -1078,49 +2205,15 @@ class PagePalAIPopup {
 
   // AI model pricing (as of current rates)
   getPricingInfo() {
-    return {
-      // OpenAI pricing
-      'gpt-4o-mini': { input: 0.000150, output: 0.000600 }, // per 1K tokens
-      'gpt-4o': { input: 0.0025, output: 0.01 }, // per 1K tokens  
-      'gpt-4-turbo': { input: 0.01, output: 0.03 }, // per 1K tokens
-      'gpt-4o-vision': { input: 0.0025, output: 0.01, image: 0.00765 }, // per image (high detail)
-      
-      // Gemini pricing (2024 rates, has generous free tier)
-      'gemini-1.5-flash': { input: 0.000075, output: 0.0003 }, // per 1K tokens
-      'gemini-1.5-pro': { input: 0.00125, output: 0.005 }, // per 1K tokens  
-      'gemini-1.5-vision': { input: 0.00125, output: 0.005, image: 0.0025 } // per image
-    };
+    return getPricingTable(this.customEndpointConfig);
   }
 
-  estimateTokens(text) {
-    // Rough estimation: ~4 characters per token for English text
-    return Math.ceil(text.length / 4);
+  estimateTokens(text, model = '') {
+    return estimateTokens(text, model);
   }
 
   calculateCost(model, inputText, outputText, imageCount = 0) {
-    const pricing = this.getPricingInfo();
-    let modelPricing;
-
-    // Handle vision model
-    if (imageCount > 0) {
-      modelPricing = pricing['gpt-4o-vision'];
-    } else {
-      modelPricing = pricing[model] || pricing['gpt-4o-mini'];
-    }
-
-    const inputTokens = this.estimateTokens(inputText || '');
-    const outputTokens = this.estimateTokens(outputText || '');
-
-    let cost = 0;
-    cost += (inputTokens / 1000) * modelPricing.input;
-    cost += (outputTokens / 1000) * modelPricing.output;
-    
-    // Add image costs for vision
-    if (imageCount > 0 && modelPricing.image) {
-      cost += imageCount * modelPricing.image;
-    }
-
-    return cost;
+    return estimateRequestCost(model, inputText, outputText, imageCount, this.customEndpointConfig);
   }
 
   // Update the estimated cost display based on selected model (for preview)
@@ -1153,14 +2246,12 @@ class PagePalAIPopup {
     }
   }
 
-  // Add actual usage to cumulative cost (called after successful API calls)
-  async addToCumulativeCost(actualCost) {
-    this.cumulativeCost += actualCost;
-    this.cumulativeCostSpan.textContent = this.formatCost(this.cumulativeCost);
-    
-    // Save cumulative cost to storage
+  // Reload cumulative cost after the background worker has added a request's usage
+  async refreshCumulativeCost() {
     try {
-      await chrome.storage.sync.set({ cumulativeCost: this.cumulativeCost });
+      const { cumulativeCost = 0 } = await chrome.storage.sync.get(['cumulativeCost']);
+      this.cumulativeCost = cumulativeCost;
+      this.cumulativeCostSpan.textContent = this.formatCost(this.cumulativeCost);
     } catch (error) {
       // Silently fail
     }
@@ -1223,6 +2314,7 @@ class PagePalAIPopup {
       // Reset in-memory state
       this.studySession = null;
       this.scannedContent = null;
+      this.conversationThread = null;
       this.cumulativeCost = 0;
       
       // Reset UI elements immediately
@@ -1235,6 +2327,8 @@ class PagePalAIPopup {
       this.questionInput.value = '';
       this.openaiApiKeyInput.value = '';
       this.geminiApiKeyInput.value = '';
+      this.anthropicApiKeyInput.value = '';
+      this.customApiKeyInput.value = '';
       
       // Reset scan button text
       this.scanPageBtn.textContent = 'Scan Page';
@@ -1318,11 +2412,13 @@ class PagePalAIPopup {
     // Check if this page is already in the session
     const existingPageIndex = this.studySession.pages.findIndex(page => page.url === currentUrl);
     
+    // PDF pages duplicate the marked-up text, so only the text is kept in the session
+    const { pages, ...content } = pageData;
     const pageInfo = {
       url: currentUrl,
       title: pageTitle,
       extractionMode: extractionMode,
-      content: pageData,
+      content,
       timestamp: Date.now()
     };
 
@@ -1342,35 +2438,215 @@ class PagePalAIPopup {
     }
   }
 
-  buildCombinedVisualData(currentPageData) {
-    // Start with current page data
-    let combinedData = {
-      viewports: [...currentPageData.viewports],
-      pageInfo: {
-        title: 'Combined Session Data',
-        url: currentPageData.pageInfo.url,
-        totalHeight: currentPageData.pageInfo.totalHeight
-      }
-    };
+  async getActivePageUrl() {
+    try {
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      return tabs[0]?.url || null;
+    } catch (error) {
+      return null;
+    }
+  }
 
-    // Add visual data from previous pages in study session
-    if (this.studySession && this.studySession.active) {
-      this.studySession.pages.forEach((page, index) => {
-        if (this.isVisualMode(page.extractionMode) && page.content.data?.viewports) {
-          // Add session page screenshots with page context
-          page.content.data.viewports.forEach(viewport => {
-            combinedData.viewports.push({
-              ...viewport,
-              pageTitle: page.title,
-              pageUrl: page.url,
-              sessionPageIndex: index + 1
-            });
-          });
-        }
+  async loadConversation() {
+    if (!CONFIG.ENABLE_CONVERSATION_THREADS) {
+      this.conversationDiv.style.display = 'none';
+      return;
+    }
+
+    this.currentPageUrl = await this.getActivePageUrl();
+    this.conversationThread = await this.conversationManager.getThread(this.currentPageUrl);
+    this.renderConversation();
+  }
+
+  async getConversationHistory(pageUrl, model, pendingText) {
+    if (!CONFIG.ENABLE_CONVERSATION_THREADS) return [];
+
+    // The tab may have navigated since the popup opened
+    if (pageUrl !== this.currentPageUrl || !this.conversationThread) {
+      this.currentPageUrl = pageUrl;
+      this.conversationThread = await this.conversationManager.getThread(pageUrl);
+    }
+
+    const reservedTokens = this.estimateTokens(pendingText, model);
+    return this.conversationManager.trimHistoryForModel(this.conversationThread.turns, model, reservedTokens);
+  }
+
+  // The worker appends turns, so reload the thread to show a finished answer in it
+  async refreshConversation(pageUrl) {
+    if (!CONFIG.ENABLE_CONVERSATION_THREADS) return;
+
+    this.currentPageUrl = pageUrl;
+    this.conversationThread = await this.conversationManager.getThread(pageUrl);
+    this.renderConversation();
+  }
+
+  async startNewConversation() {
+    await this.conversationManager.clearThread(this.currentPageUrl);
+    this.conversationThread = await this.conversationManager.getThread(this.currentPageUrl);
+    this.renderConversation();
+    this.hideAnswer();
+    this.questionInput.focus();
+  }
+
+  // Earlier turns go in the transcript; the latest answer stays in the answer panel.
+  // includeLatest moves every turn into the transcript while a new answer is pending.
+  renderConversation(includeLatest = false) {
+    const turns = this.conversationThread?.turns || [];
+    const transcriptTurns = includeLatest ? turns : turns.slice(0, -1);
+
+    this.conversationTurnsDiv.innerHTML = '';
+    transcriptTurns.forEach(turn => {
+      const turnDiv = document.createElement('div');
+      turnDiv.className = 'conversation-turn';
+
+      const questionDiv = document.createElement('div');
+      questionDiv.className = 'conversation-question';
+      questionDiv.textContent = turn.question;
+
+      const answerDiv = document.createElement('div');
+      answerDiv.className = 'conversation-answer markdown-body';
+      renderMarkdownInto(answerDiv, turn.answer);
+      this.linkVideoTimestamps(answerDiv, this.currentPageUrl);
+
+      turnDiv.appendChild(questionDiv);
+      turnDiv.appendChild(answerDiv);
+      this.conversationTurnsDiv.appendChild(turnDiv);
+    });
+
+    this.conversationDiv.style.display = turns.length > 0 ? 'block' : 'none';
+    this.conversationTurnsDiv.scrollTop = this.conversationTurnsDiv.scrollHeight;
+
+    if (!includeLatest && turns.length > 0) {
+      this.showAnswer(turns[turns.length - 1].answer, null, this.currentPageUrl);
+    }
+  }
+
+  async toggleHistory() {
+    if (this.historySection.style.display === 'block') {
+      this.showMainInterface();
+    } else {
+      await this.showHistory();
+    }
+  }
+
+  async showHistory() {
+    this.historySection.style.display = 'block';
+    this.settingsSection.style.display = 'none';
+    this.mainSection.style.display = 'none';
+    this.conversationDiv.style.display = 'none';
+    this.hideAnswer();
+    this.hideStatus();
+
+    await this.populateHistoryFilters();
+    await this.renderHistory();
+    this.historySearchInput.focus();
+  }
+
+  // Rebuild site/model dropdowns from stored entries, keeping the current selection
+  async populateHistoryFilters() {
+    const { sites, models } = await this.historyManager.getFilterOptions();
+    const fillSelect = (select, values, allLabel) => {
+      const previous = select.value;
+      select.innerHTML = '';
+
+      const allOption = document.createElement('option');
+      allOption.value = '';
+      allOption.textContent = allLabel;
+      select.appendChild(allOption);
+
+      values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value;
+        select.appendChild(option);
       });
+      select.value = values.includes(previous) ? previous : '';
+    };
+
+    fillSelect(this.historySiteFilter, sites, 'All sites');
+    fillSelect(this.historyModelFilter, models, 'All models');
+  }
+
+  async renderHistory() {
+    const entries = await this.historyManager.search({
+      query: this.historySearchInput.value,
+      site: this.historySiteFilter.value,
+      model: this.historyModelFilter.value,
+      dateRange: this.historyDateFilter.value
+    });
+
+    this.historyList.innerHTML = '';
+    if (entries.length === 0) {
+      const emptyDiv = document.createElement('div');
+      emptyDiv.className = 'history-empty';
+      emptyDiv.textContent = 'No matching questions yet.';
+      this.historyList.appendChild(emptyDiv);
+      return;
     }
 
-    return combinedData;
+    entries.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'history-item';
+
+      const questionDiv = document.createElement('div');
+      questionDiv.className = 'history-question';
+      questionDiv.textContent = truncateText(entry.question, 120);
+
+      const metaDiv = document.createElement('div');
+      metaDiv.className = 'history-meta';
+      const costText = entry.cost > 0 ? ` · ${this.formatCost(entry.cost)}` : '';
+      metaDiv.textContent = `${entry.title || entry.site} · ${entry.model} · ${new Date(entry.timestamp).toLocaleString()}${costText}`;
+
+      const actionsDiv = document.createElement('div');
+      actionsDiv.className = 'history-actions';
+
+      const openBtn = document.createElement('button');
+      openBtn.type = 'button';
+      openBtn.className = 'session-btn end-session';
+      openBtn.textContent = 'Open';
+      openBtn.addEventListener('click', () => this.reopenHistoryEntry(entry));
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'session-btn end-session';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => this.deleteHistoryEntry(entry.id));
+
+      actionsDiv.appendChild(openBtn);
+      actionsDiv.appendChild(deleteBtn);
+      item.appendChild(questionDiv);
+      item.appendChild(metaDiv);
+      item.appendChild(actionsDiv);
+      this.historyList.appendChild(item);
+    });
+  }
+
+  // Bring a saved answer back into the main view
+  reopenHistoryEntry(entry) {
+    this.showMainInterface();
+    this.questionInput.value = entry.question;
+    this.showAnswer(entry.answer, null, entry.url);
+    this.showStatus(`Saved answer from ${new Date(entry.timestamp).toLocaleString()} — ${entry.title || entry.url}`, 'info');
+  }
+
+  async deleteHistoryEntry(id) {
+    await this.historyManager.deleteEntry(id);
+    await this.populateHistoryFilters();
+    await this.renderHistory();
+  }
+
+  async clearHistory() {
+    await this.historyManager.clearHistory();
+    await this.populateHistoryFilters();
+    await this.renderHistory();
+    this.showStatus('History cleared.', 'success');
+    setTimeout(() => this.hideStatus(), 2000);
+  }
+
+  buildCombinedVisualData(currentPageData) {
+    // Add visual data from previous pages in study session
+    const sessionPages = this.studySession && this.studySession.active ? this.studySession.pages : [];
+    return combineVisualData(currentPageData, sessionPages);
   }
 
   buildSessionContext() {
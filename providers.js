@@ -0,0 +1,735 @@
+// PagePal AI - AI providers
+//
+// Request formatting, streaming and response parsing for each supported API.
+// Shared by the popup and the background service worker.
+
+import { CONFIG, PROMPTS } from './constants.js';
+import { createAPIError, normalizeBaseUrl, calculateTokenCost } from './utils.js';
+
+// Base class for AI providers
+export class AIProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Abstract methods that each provider must implement
+  getEndpoint(model, apiKey) {
+    throw new Error(`${this.name}: getEndpoint must be implemented`);
+  }
+
+  getHeaders(apiKey) {
+    throw new Error(`${this.name}: getHeaders must be implemented`);
+  }
+
+  // requestOptions.history is a list of prior { question, answer } turns in the same
+  // conversation thread; requestOptions.systemPrompt overrides the default prompt
+  formatRequest(question, context, model, sessionContext, requestOptions = {}) {
+    throw new Error(`${this.name}: formatRequest must be implemented`);
+  }
+
+  formatVisionRequest(question, visualData, model, sessionContext, requestOptions = {}) {
+    throw new Error(`${this.name}: formatVisionRequest must be implemented`);
+  }
+
+  parseResponse(data) {
+    throw new Error(`${this.name}: parseResponse must be implemented`);
+  }
+
+  // Streaming counterparts: endpoint for server-sent events, request body with
+  // streaming enabled, and extraction of the text delta from one SSE event
+  getStreamEndpoint(model, apiKey) {
+    throw new Error(`${this.name}: getStreamEndpoint must be implemented`);
+  }
+
+  formatStreamRequest(body) {
+    return body;
+  }
+
+  parseStreamChunk(data) {
+    throw new Error(`${this.name}: parseStreamChunk must be implemented`);
+  }
+
+  async handleError(response, model) {
+    throw createAPIError(response, this.name);
+  }
+
+  // Embedding vectors for retrieval ranking, one per input text.
+  // Providers without an embeddings API return null and ranking stays lexical.
+  async embedTexts(texts, apiKey) {
+    return null;
+  }
+
+  // POST a JSON body; HTTP failures go through the provider's error handling.
+  // Shared by the plain and streaming requests below.
+  async postRequest(endpoint, headers, body) {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: headers,
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      await this.handleError(response, this.name);
+    }
+
+    return response;
+  }
+
+  // Generic method to make HTTP requests to AI providers
+  async makeAPIRequest(endpoint, headers, body) {
+    const response = await this.postRequest(endpoint, headers, body);
+    return await response.json();
+  }
+
+  // Generic streaming request: yields each parsed JSON payload from an SSE response
+  async *makeStreamingAPIRequest(endpoint, headers, body) {
+    const response = await this.postRequest(endpoint, headers, body);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop(); // Keep the incomplete trailing line for the next read
+
+        for (const line of lines) {
+          const payload = this.parseSSELine(line);
+          if (payload === null) continue;
+          if (payload === '[DONE]') return;
+          yield payload;
+        }
+      }
+
+      // Flush a final event that arrived without a trailing newline
+      const payload = this.parseSSELine(buffer);
+      if (payload !== null && payload !== '[DONE]') {
+        yield payload;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  // Parse a single SSE line into a JSON payload ('[DONE]' sentinel, or null to skip)
+  parseSSELine(line) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return null;
+
+    const data = trimmed.slice(5).trim();
+    if (!data) return null;
+    if (data === '[DONE]') return data;
+
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      console.warn(`${this.name}: skipping malformed stream event`, data);
+      return null;
+    }
+  }
+
+  // Yields text deltas for a request body as they arrive
+  async *streamRequest(model, apiKey, body) {
+    const endpoint = this.getStreamEndpoint(model, apiKey);
+    const headers = this.getHeaders(apiKey);
+
+    for await (const payload of this.makeStreamingAPIRequest(endpoint, headers, this.formatStreamRequest(body))) {
+      const delta = this.parseStreamChunk(payload);
+      if (delta) {
+        yield delta;
+      }
+    }
+  }
+
+  // Drain a stream into the full answer, reporting progress through onChunk(delta, fullText)
+  async collectStream(stream, onChunk) {
+    let fullText = '';
+    for await (const delta of stream) {
+      fullText += delta;
+      onChunk(delta, fullText);
+    }
+
+    if (!fullText) {
+      throw new Error(CONFIG.ERROR_MESSAGES.NO_RESPONSE_GENERATED);
+    }
+    return fullText;
+  }
+
+  // Shared method to format user content consistently. Callers size the context to
+  // the model's window (planContextBudget), so it is sent as given.
+  formatUserContent(question, context, sessionContext = '') {
+    return `Question: ${question}${context ? `
+
+Additional context from current webpage:
+${context}${sessionContext}` : ''}`;
+  }
+
+  // Shared method to format vision content consistently  
+  formatVisionUserContent(question, visualData, sessionContext = '') {
+    return `Question: ${question}${visualData.viewports.length > 0 ? `
+
+Additional context from current webpage: ${visualData.pageInfo.title} (${visualData.pageInfo.url})
+${visualData.pageInfo.region ? 'Screenshot: a region of the page the user selected; answer about what it shows' : `Screenshots: ${visualData.viewports.length} viewport screenshots captured`}${sessionContext}` : ''}`;
+  }
+
+  // Expand prior conversation turns into alternating user/assistant messages
+  formatHistoryTurns(history, userRole, assistantRole, toContent) {
+    return (history || []).flatMap(turn => [
+      { role: userRole, ...toContent(turn.question) },
+      { role: assistantRole, ...toContent(turn.answer) }
+    ]);
+  }
+
+  // Common method used by all providers.
+  // options.onChunk switches to streaming and reports partial text as it arrives
+  // (the full answer is still returned); the remaining options (history,
+  // systemPrompt) are passed to formatRequest.
+  async askQuestion(question, context, model, apiKey, sessionContext = '', options = {}) {
+    const { onChunk = null, ...requestOptions } = options;
+    try {
+      if (onChunk) {
+        return await this.collectStream(this.streamQuestion(question, context, model, apiKey, sessionContext, requestOptions), onChunk);
+      }
+
+      const endpoint = this.getEndpoint(model, apiKey);
+      const headers = this.getHeaders(apiKey);
+      const body = this.formatRequest(question, context, model, sessionContext, requestOptions);
+
+      const data = await this.makeAPIRequest(endpoint, headers, body);
+      return this.parseResponse(data);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Common vision method used by all providers
+  async askVisionQuestion(question, visualData, model, apiKey, sessionContext = '', options = {}) {
+    const { onChunk = null, ...requestOptions } = options;
+    try {
+      if (onChunk) {
+        return await this.collectStream(this.streamVisionQuestion(question, visualData, model, apiKey, sessionContext, requestOptions), onChunk);
+      }
+
+      const endpoint = this.getEndpoint(model, apiKey);
+      const headers = this.getHeaders(apiKey);
+      const body = this.formatVisionRequest(question, visualData, model, sessionContext, requestOptions);
+
+      const data = await this.makeAPIRequest(endpoint, headers, body);
+      return this.parseResponse(data);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Async-iterator form: yields text deltas as the provider streams them
+  streamQuestion(question, context, model, apiKey, sessionContext = '', requestOptions = {}) {
+    const body = this.formatRequest(question, context, model, sessionContext, requestOptions);
+    return this.streamRequest(model, apiKey, body);
+  }
+
+  streamVisionQuestion(question, visualData, model, apiKey, sessionContext = '', requestOptions = {}) {
+    const body = this.formatVisionRequest(question, visualData, model, sessionContext, requestOptions);
+    return this.streamRequest(model, apiKey, body);
+  }
+}
+
+// OpenAI provider implementation
+export class OpenAIProvider extends AIProvider {
+  constructor() {
+    super('OpenAI');
+    this.embeddingModel = 'text-embedding-3-small';
+    this.embeddingCostPer1k = 0.00002;
+  }
+
+  getEndpoint(model, apiKey) {
+    return 'https://api.openai.com/v1/chat/completions';
+  }
+
+  getHeaders(apiKey) {
+    return {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+    };
+  }
+
+  formatRequest(question, context, model, sessionContext, requestOptions = {}) {
+    const { history = [], systemPrompt = PROMPTS.SYSTEM_PROMPT } = requestOptions;
+    return {
+      model: model,
+      messages: [
+        {
+          role: 'system',
+          content: systemPrompt
+        },
+        ...this.formatHistoryTurns(history, 'user', 'assistant', text => ({ content: text })),
+        {
+          role: 'user',
+          content: this.formatUserContent(question, context, sessionContext)
+        }
+      ],
+      max_tokens: CONFIG.DEFAULT_MAX_TOKENS,
+      temperature: CONFIG.DEFAULT_TEMPERATURE,
+    };
+  }
+
+  formatVisionRequest(question, visualData, model, sessionContext, requestOptions = {}) {
+    const { history = [], systemPrompt = PROMPTS.VISION_SYSTEM_PROMPT } = requestOptions;
+    return {
+      model: 'gpt-4o', // Use vision model
+      messages: [
+        {
+          role: 'system',
+          content: systemPrompt
+        },
+        ...this.formatHistoryTurns(history, 'user', 'assistant', text => ({ content: text })),
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'text',
+              text: this.formatVisionUserContent(question, visualData, sessionContext)
+            },
+            ...visualData.viewports.map((viewport, index) => ({
+              type: 'image_url',
+              image_url: {
+                url: viewport.screenshot,
+                detail: 'high'
+              }
+            }))
+          ]
+        }
+      ],
+      max_tokens: CONFIG.DEFAULT_MAX_TOKENS,
+      temperature: CONFIG.DEFAULT_TEMPERATURE,
+    };
+  }
+
+  parseResponse(data) {
+    return data.choices[0].message.content;
+  }
+
+  getStreamEndpoint(model, apiKey) {
+    return this.getEndpoint(model, apiKey);
+  }
+
+  formatStreamRequest(body) {
+    return { ...body, stream: true };
+  }
+
+  parseStreamChunk(data) {
+    return data.choices?.[0]?.delta?.content || '';
+  }
+
+  async embedTexts(texts, apiKey) {
+    const data = await this.makeAPIRequest('https://api.openai.com/v1/embeddings', this.getHeaders(apiKey), {
+      model: this.embeddingModel,
+      input: texts
+    });
+    return data.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+// Gemini provider implementation
+export class GeminiProvider extends AIProvider {
+  constructor() {
+    super('Gemini');
+    this.embeddingModel = 'text-embedding-004';
+    this.embeddingCostPer1k = 0;
+    this.embeddingBatchSize = 100; // batchEmbedContents request limit
+  }
+
+  getEndpoint(model, apiKey) {
+    return `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+  }
+
+  getHeaders(apiKey) {
+    return {
+      'Content-Type': 'application/json',
+    };
+  }
+
+  formatRequest(question, context, model, sessionContext, requestOptions = {}) {
+    const { history = [], systemPrompt = PROMPTS.SYSTEM_PROMPT } = requestOptions;
+    return {
+      contents: [
+        ...this.formatHistoryTurns(history, 'user', 'model', text => ({ parts: [{ text }] })),
+        {
+          role: 'user',
+          parts: [{
+            text: `${systemPrompt}
+
+${this.formatUserContent(question, context, sessionContext)}`
+          }]
+        }
+      ],
+      generationConfig: {
+        maxOutputTokens: CONFIG.DEFAULT_MAX_TOKENS,
+        temperature: CONFIG.DEFAULT_TEMPERATURE,
+      }
+    };
+  }
+
+  // Vision-specific request formatting
+  formatVisionRequest(question, visualData, model, sessionContext, requestOptions = {}) {
+    const { history = [], systemPrompt = PROMPTS.VISION_SYSTEM_PROMPT } = requestOptions;
+    // Convert images to base64 format for Gemini
+    const imageParts = visualData.viewports.map(viewport => {
+      const [header, data] = viewport.screenshot.split(','); // Remove the data:image/...;base64, prefix
+      return {
+        inlineData: {
+          mimeType: header.match(/data:(.*?);/)?.[1] || 'image/png',
+          data: data
+        }
+      };
+    });
+
+    return {
+      contents: [
+        ...this.formatHistoryTurns(history, 'user', 'model', text => ({ parts: [{ text }] })),
+        {
+          role: 'user',
+          parts: [
+            {
+              text: `${systemPrompt}
+
+${this.formatVisionUserContent(question, visualData, sessionContext)}`
+            },
+            ...imageParts
+          ]
+        }
+      ],
+      generationConfig: {
+        maxOutputTokens: CONFIG.DEFAULT_MAX_TOKENS,
+        temperature: CONFIG.DEFAULT_TEMPERATURE,
+      }
+    };
+  }
+
+  parseResponse(data) {
+    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
+      throw new Error('No response generated from Gemini');
+    }
+    
+    return data.candidates[0].content.parts[0].text;
+  }
+
+  getStreamEndpoint(model, apiKey) {
+    return `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`;
+  }
+
+  parseStreamChunk(data) {
+    const parts = data.candidates?.[0]?.content?.parts || [];
+    return parts.map(part => part.text || '').join('');
+  }
+
+  async embedTexts(texts, apiKey) {
+    const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${this.embeddingModel}:batchEmbedContents?key=${apiKey}`;
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += this.embeddingBatchSize) {
+      const batch = texts.slice(i, i + this.embeddingBatchSize);
+      const data = await this.makeAPIRequest(endpoint, this.getHeaders(apiKey), {
+        requests: batch.map(text => ({
+          model: `models/${this.embeddingModel}`,
+          content: { parts: [{ text }] }
+        }))
+      });
+      vectors.push(...data.embeddings.map(embedding => embedding.values));
+    }
+    return vectors;
+  }
+}
+
+// Custom OpenAI-compatible endpoint (Ollama, LM Studio, vLLM) reusing the chat-completions format
+export class CustomEndpointProvider extends OpenAIProvider {
+  constructor() {
+    super();
+    this.name = 'Custom Endpoint';
+    this.baseUrl = '';
+  }
+
+  configure(config) {
+    this.baseUrl = normalizeBaseUrl(config?.baseUrl);
+  }
+
+  // Strip the routing prefix so the server sees its own model name
+  resolveModel(model) {
+    return model.startsWith(CONFIG.CUSTOM_MODEL_PREFIX) ? model.slice(CONFIG.CUSTOM_MODEL_PREFIX.length) : model;
+  }
+
+  getEndpoint(model, apiKey) {
+    if (!this.baseUrl) {
+      throw new Error(`${this.name}: base URL is not configured`);
+    }
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  getHeaders(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    return headers;
+  }
+
+  formatRequest(question, context, model, sessionContext, requestOptions = {}) {
+    return super.formatRequest(question, context, this.resolveModel(model), sessionContext, requestOptions);
+  }
+
+  formatVisionRequest(question, visualData, model, sessionContext, requestOptions = {}) {
+    return { ...super.formatVisionRequest(question, visualData, model, sessionContext, requestOptions), model: this.resolveModel(model) };
+  }
+
+  // The served model set is unknown, so retrieval stays lexical
+  async embedTexts(texts, apiKey) {
+    return null;
+  }
+
+  // Local servers fail at the network layer rather than with an HTTP status.
+  // Both plain and streaming requests connect through here.
+  async postRequest(endpoint, headers, body) {
+    try {
+      return await super.postRequest(endpoint, headers, body);
+    } catch (error) {
+      if (error instanceof TypeError) {
+        throw new Error(CONFIG.ERROR_MESSAGES.CUSTOM_ENDPOINT_UNREACHABLE);
+      }
+      throw error;
+    }
+  }
+
+  // Discover models served by the endpoint via the OpenAI-compatible /models route
+  async listModels(baseUrl, apiKey = '') {
+    const normalizedUrl = normalizeBaseUrl(baseUrl);
+    if (!normalizedUrl) {
+      throw new Error('Please enter a valid http(s) base URL.');
+    }
+
+    let response;
+    try {
+      response = await fetch(`${normalizedUrl}/models`, {
+        method: 'GET',
+        headers: this.getHeaders(apiKey)
+      });
+    } catch (error) {
+      throw new Error(CONFIG.ERROR_MESSAGES.CUSTOM_ENDPOINT_UNREACHABLE);
+    }
+
+    if (!response.ok) {
+      await this.handleError(response, this.name);
+    }
+
+    const data = await response.json();
+    return (data.data || data.models || [])
+      .map(model => model.id || model.name)
+      .filter(Boolean)
+      .sort();
+  }
+}
+
+// Anthropic Claude provider implementation (Messages API)
+export class AnthropicProvider extends AIProvider {
+  constructor() {
+    super('Anthropic');
+  }
+
+  getEndpoint(model, apiKey) {
+    return 'https://api.anthropic.com/v1/messages';
+  }
+
+  getHeaders(apiKey) {
+    return {
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+      // Required for calls made directly from the extension rather than a server
+      'anthropic-dangerous-direct-browser-access': 'true',
+      'Content-Type': 'application/json',
+    };
+  }
+
+  formatRequest(question, context, model, sessionContext, requestOptions = {}) {
+    const { history = [], systemPrompt = PROMPTS.SYSTEM_PROMPT } = requestOptions;
+    return {
+      model: model,
+      system: systemPrompt,
+      messages: [
+        ...this.formatHistoryTurns(history, 'user', 'assistant', text => ({ content: text })),
+        {
+          role: 'user',
+          content: this.formatUserContent(question, context, sessionContext)
+        }
+      ],
+      max_tokens: CONFIG.DEFAULT_MAX_TOKENS,
+      temperature: CONFIG.DEFAULT_TEMPERATURE,
+    };
+  }
+
+  formatVisionRequest(question, visualData, model, sessionContext, requestOptions = {}) {
+    const { history = [], systemPrompt = PROMPTS.VISION_SYSTEM_PROMPT } = requestOptions;
+    // Claude expects raw base64 image blocks ahead of the text prompt
+    const imageBlocks = visualData.viewports.map(viewport => {
+      const [header, data] = viewport.screenshot.split(',');
+      const mediaType = header.match(/data:(.*?);/)?.[1] || 'image/png';
+      return {
+        type: 'image',
+        source: {
+          type: 'base64',
+          media_type: mediaType,
+          data: data
+        }
+      };
+    });
+
+    return {
+      model: model,
+      system: systemPrompt,
+      messages: [
+        ...this.formatHistoryTurns(history, 'user', 'assistant', text => ({ content: text })),
+        {
+          role: 'user',
+          content: [
+            ...imageBlocks,
+            {
+              type: 'text',
+              text: this.formatVisionUserContent(question, visualData, sessionContext)
+            }
+          ]
+        }
+      ],
+      max_tokens: CONFIG.DEFAULT_MAX_TOKENS,
+      temperature: CONFIG.DEFAULT_TEMPERATURE,
+    };
+  }
+
+  parseResponse(data) {
+    const textBlocks = (data.content || []).filter(block => block.type === 'text');
+    if (textBlocks.length === 0) {
+      throw new Error(CONFIG.ERROR_MESSAGES.NO_RESPONSE_GENERATED);
+    }
+
+    return textBlocks.map(block => block.text).join('');
+  }
+
+  getStreamEndpoint(model, apiKey) {
+    return this.getEndpoint(model, apiKey);
+  }
+
+  formatStreamRequest(body) {
+    return { ...body, stream: true };
+  }
+
+  parseStreamChunk(data) {
+    if (data.type === 'error') {
+      throw new Error(data.error?.message || CONFIG.ERROR_MESSAGES.NO_RESPONSE_GENERATED);
+    }
+    if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+      return data.delta.text;
+    }
+    return '';
+  }
+
+  // Anthropic returns a typed error body; map the cases the shared helper doesn't cover
+  async handleError(response, model) {
+    let errorBody = null;
+    try {
+      errorBody = await response.json();
+    } catch (error) {
+      // Fall through to the generic status mapping
+    }
+
+    const message = errorBody?.error?.message || '';
+    if (response.status === 400 && /credit balance/i.test(message)) {
+      throw new Error(CONFIG.ERROR_MESSAGES.INSUFFICIENT_CREDITS);
+    }
+    if (response.status === 413) {
+      throw new Error(CONFIG.ERROR_MESSAGES.REQUEST_TOO_LARGE);
+    }
+    if (response.status === 529) {
+      throw new Error(CONFIG.ERROR_MESSAGES.OVERLOADED);
+    }
+    if (response.status === 429) {
+      throw new Error(CONFIG.ERROR_MESSAGES.RATE_LIMIT);
+    }
+    if (response.status === 400 && message) {
+      throw new Error(`${CONFIG.ERROR_MESSAGES.INVALID_REQUEST} ${message}`);
+    }
+
+    throw createAPIError(response, this.name);
+  }
+}
+
+/**
+ * Provider for a model name, from a set of provider instances keyed by
+ * openai / gemini / anthropic / custom
+ */
+export function getProviderForModel(model, providers) {
+  if (model.startsWith('gemini')) return providers.gemini;
+  if (model.startsWith('gpt')) return providers.openai;
+  if (model.startsWith('claude')) return providers.anthropic;
+  if (model.startsWith(CONFIG.CUSTOM_MODEL_PREFIX)) return providers.custom;
+  throw new Error(`Unknown provider for model: ${model}`);
+}
+
+/**
+ * Pricing entry used for screenshot-based questions with a given model
+ */
+export function getVisionPricingModel(model) {
+  if (model.startsWith('gemini')) return 'gemini-1.5-vision';
+  if (model.startsWith('claude')) return 'claude-vision';
+  if (model.startsWith(CONFIG.CUSTOM_MODEL_PREFIX)) return model;
+  return 'gpt-4o-vision';
+}
+
+/**
+ * Per-1K-token (and per-image) prices by model. A custom endpoint is priced at
+ * whatever rates the user entered, or free.
+ */
+export function getPricingTable(customEndpointConfig = null) {
+  // Self-hosted endpoints cost nothing unless the user supplied their own rates
+  const customPricing = customEndpointConfig ? {
+    [`${CONFIG.CUSTOM_MODEL_PREFIX}${customEndpointConfig.model}`]: {
+      input: customEndpointConfig.inputCostPer1k || 0,
+      output: customEndpointConfig.outputCostPer1k || 0,
+      image: 0
+    }
+  } : {};
+
+  return {
+    ...customPricing,
+
+    // OpenAI pricing
+    'gpt-4o-mini': { input: 0.000150, output: 0.000600 }, // per 1K tokens
+    'gpt-4o': { input: 0.0025, output: 0.01 }, // per 1K tokens  
+    'gpt-4-turbo': { input: 0.01, output: 0.03 }, // per 1K tokens
+    'gpt-4o-vision': { input: 0.0025, output: 0.01, image: 0.00765 }, // per image (high detail)
+    
+    // Gemini pricing (2024 rates, has generous free tier)
+    'gemini-1.5-flash': { input: 0.000075, output: 0.0003 }, // per 1K tokens
+    'gemini-1.5-pro': { input: 0.00125, output: 0.005 }, // per 1K tokens  
+    'gemini-1.5-vision': { input: 0.00125, output: 0.005, image: 0.0025 }, // per image
+
+    // Anthropic pricing
+    'claude-3-5-haiku-latest': { input: 0.0008, output: 0.004 }, // per 1K tokens
+    'claude-3-5-sonnet-latest': { input: 0.003, output: 0.015 }, // per 1K tokens
+    'claude-3-opus-latest': { input: 0.015, output: 0.075 }, // per 1K tokens
+    'claude-vision': { input: 0.003, output: 0.015, image: 0.0048 } // per image (~1600 tokens)
+  };
+}
+
+/**
+ * Estimated cost of one request, falling back to GPT-4o Mini / GPT-4o Vision rates
+ * for models missing from the pricing table
+ */
+export function estimateRequestCost(model, inputText, outputText = '', imageCount = 0, customEndpointConfig = null) {
+  const pricing = getPricingTable(customEndpointConfig);
+  const modelPricing = imageCount > 0
+    ? (pricing[model]?.image !== undefined ? pricing[model] : pricing['gpt-4o-vision'])
+    : (pricing[model] || pricing['gpt-4o-mini']);
+
+  return calculateTokenCost(model, inputText || '', outputText || '', imageCount, modelPricing);
+}
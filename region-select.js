@@ -0,0 +1,158 @@
+// PagePal AI - Region selection for vision questions
+//
+// The popup closes as soon as the user clicks into the page, so selection is a
+// hand-off: the popup captures the viewport and injects an overlay, the overlay
+// stores the dragged rectangle, and the next time the popup opens it crops the
+// capture to that rectangle and asks about just that region.
+
+import { CONFIG } from './constants.js';
+import { compressScreenshot, buildPageInfo } from './screen-capture.js';
+
+/**
+ * Injected into the page: full-viewport overlay for dragging out a rectangle.
+ * The selection (CSS pixels, viewport-relative) is written to chrome.storage.local.
+ */
+export function regionSelectOverlayFunction(storageKey, minSize) {
+  const OVERLAY_ID = 'pagepal-region-overlay';
+  document.getElementById(OVERLAY_ID)?.remove();
+
+  const overlay = document.createElement('div');
+  overlay.id = OVERLAY_ID;
+  overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;cursor:crosshair;background:rgba(0,0,0,0.2);';
+
+  const box = document.createElement('div');
+  box.style.cssText = 'position:fixed;display:none;border:2px solid #1a73e8;background:rgba(26,115,232,0.15);pointer-events:none;';
+
+  const hint = document.createElement('div');
+  hint.textContent = 'Drag to select a region · Esc to cancel';
+  hint.style.cssText = 'position:fixed;top:12px;left:50%;transform:translateX(-50%);padding:6px 12px;border-radius:6px;background:#202124;color:#fff;font:13px system-ui,sans-serif;pointer-events:none;';
+  overlay.append(box, hint);
+
+  let start = null;
+
+  const rectFrom = event => ({
+    x: Math.min(start.x, event.clientX),
+    y: Math.min(start.y, event.clientY),
+    width: Math.abs(event.clientX - start.x),
+    height: Math.abs(event.clientY - start.y)
+  });
+
+  const showToast = message => {
+    const toast = document.createElement('div');
+    toast.textContent = message;
+    toast.style.cssText = hint.style.cssText;
+    toast.style.zIndex = '2147483647';
+    document.documentElement.appendChild(toast);
+    setTimeout(() => toast.remove(), 3000);
+  };
+
+  const onKeyDown = event => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      cleanup();
+    }
+  };
+
+  const cleanup = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', onKeyDown, true);
+  };
+
+  overlay.addEventListener('mousedown', event => {
+    event.preventDefault();
+    start = { x: event.clientX, y: event.clientY };
+    hint.style.display = 'none';
+  });
+
+  overlay.addEventListener('mousemove', event => {
+    if (!start) return;
+    const rect = rectFrom(event);
+    Object.assign(box.style, {
+      display: 'block',
+      left: `${rect.x}px`,
+      top: `${rect.y}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+  });
+
+  overlay.addEventListener('mouseup', async event => {
+    if (!start) return;
+    const rect = rectFrom(event);
+    start = null;
+    cleanup();
+    if (rect.width < minSize || rect.height < minSize) return;
+
+    await chrome.storage.local.set({
+      [storageKey]: { ...rect, url: window.location.href, createdAt: Date.now() }
+    });
+    showToast('Region selected. Open PagePal again to ask about it.');
+  });
+
+  // The capture was taken before the overlay appeared, so the page must not move
+  overlay.addEventListener('wheel', event => event.preventDefault(), { passive: false });
+  document.addEventListener('keydown', onKeyDown, true);
+  document.documentElement.appendChild(overlay);
+  return { success: true };
+}
+
+/**
+ * Convert a CSS-pixel selection into image pixels. captureVisibleTab returns device
+ * pixels, so every coordinate scales by the page's devicePixelRatio. A drag can end
+ * on the scrollbar or outside the window, so the result is clamped to the captured
+ * image's { width, height }; null means nothing of the selection is inside it.
+ */
+export function getRegionCrop(selection, devicePixelRatio = 1, image = { width: Infinity, height: Infinity }) {
+  const left = Math.min(image.width, Math.round(Math.max(0, selection.x) * devicePixelRatio));
+  const top = Math.min(image.height, Math.round(Math.max(0, selection.y) * devicePixelRatio));
+  const right = Math.min(image.width, Math.round((selection.x + selection.width) * devicePixelRatio));
+  const bottom = Math.min(image.height, Math.round((selection.y + selection.height) * devicePixelRatio));
+
+  if (right <= left || bottom <= top) {
+    return null;
+  }
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Crop a stored capture to the selection and build visual page data for askVisionQuestion
+ */
+export async function buildRegionPageData(capture, selection) {
+  const { metrics } = capture;
+  const image = await compressScreenshot(capture.screenshot, {
+    crop: bitmap => getRegionCrop(selection, metrics.devicePixelRatio, bitmap)
+  });
+  const region = { x: selection.x, y: selection.y, width: selection.width, height: selection.height };
+
+  return {
+    success: true,
+    mode: 'visual',
+    url: metrics.url,
+    title: metrics.title,
+    data: {
+      viewports: [{
+        index: 0,
+        screenshot: image.dataUrl,
+        offsetY: metrics.scrollY + selection.y,
+        width: image.width,
+        height: image.height,
+        region
+      }],
+      pageInfo: {
+        ...buildPageInfo(metrics),
+        capturedAt: capture.createdAt,
+        region
+      }
+    }
+  };
+}
+
+/**
+ * Whether a stored selection still belongs to the stored capture
+ */
+export function isRegionSelectionCurrent(capture, selection) {
+  return !!capture && !!selection &&
+    selection.url === capture.metrics.url &&
+    selection.createdAt >= capture.createdAt &&
+    Date.now() - capture.createdAt < CONFIG.REGION_SELECTION_TTL;
+}
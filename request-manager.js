@@ -0,0 +1,357 @@
+// PagePal AI - Background request execution
+//
+// Provider calls run in the service worker so an answer, its cost and its history
+// entry survive the popup closing. The popup starts a request over a port and
+// receives progress for it; the latest job per tab is kept in session storage so a
+// reopened popup can reattach to a request that's still running or has finished.
+
+import { CONFIG, PROMPTS } from './constants.js';
+import { OpenAIProvider, GeminiProvider, CustomEndpointProvider, AnthropicProvider, getProviderForModel, getVisionPricingModel, estimateRequestCost } from './providers.js';
+import { APIKeyManager } from './api-key-manager.js';
+import { ConversationManager } from './conversation-manager.js';
+import { HistoryManager } from './history-manager.js';
+import { storage, getModelContextTokens } from './utils.js';
+import { summarizeDocument } from './summarizer.js';
+
+export class RequestManager {
+  constructor() {
+    this.providers = {
+      openai: new OpenAIProvider(),
+      gemini: new GeminiProvider(),
+      anthropic: new AnthropicProvider(),
+      custom: new CustomEndpointProvider()
+    };
+    this.apiKeyManager = new APIKeyManager();
+    this.conversationManager = new ConversationManager();
+    this.historyManager = new HistoryManager();
+    this.STORAGE_KEY = CONFIG.STORAGE_KEYS.REQUESTS;
+
+    this.ports = new Set();
+    this.runningCount = 0;
+    this.keepAliveTimer = null;
+    this.lastPersisted = new Map(); // job id -> time of the last streaming save
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Attach a popup port: it can start, reattach to and acknowledge requests
+   */
+  connect(port) {
+    this.ports.add(port);
+    port.onDisconnect.addListener(() => this.ports.delete(port));
+    port.onMessage.addListener(message => {
+      this.handlePortMessage(port, message).catch(error => console.error('Request message failed:', error));
+    });
+  }
+
+  async handlePortMessage(port, message) {
+    switch (message?.type) {
+      case CONFIG.MESSAGE_TYPES.START_REQUEST:
+        await this.start(message.request);
+        break;
+      case CONFIG.MESSAGE_TYPES.ATTACH_REQUEST:
+        port.postMessage({ type: CONFIG.MESSAGE_TYPES.REQUEST_UPDATE, job: await this.getJob(message.tabId) });
+        break;
+      case CONFIG.MESSAGE_TYPES.ACKNOWLEDGE_REQUEST:
+        await this.acknowledge(message.tabId, message.id);
+        break;
+    }
+  }
+
+  /**
+   * Resolve the provider and API key for a model, with the custom endpoint configured
+   */
+  async resolveProvider(model) {
+    const apiKey = await this.apiKeyManager.getAPIKeyForModel(model);
+    if (!apiKey && this.apiKeyManager.isKeyRequiredForModel(model)) {
+      throw new Error('Please configure your API key in the PagePal settings panel.');
+    }
+
+    const customEndpointConfig = await this.apiKeyManager.getCustomEndpointConfig();
+    this.providers.custom.configure(customEndpointConfig);
+    return { provider: getProviderForModel(model, this.providers), apiKey, customEndpointConfig };
+  }
+
+  /**
+   * Run a request from the popup to completion, reporting progress to any open popup.
+   * request: { id, tabId, kind: 'text' | 'vision' | 'summary', model, question, pageUrl,
+   * title, extractionMode, passages, extraCost, ...kind-specific fields }
+   */
+  async start(request) {
+    const job = {
+      id: request.id,
+      tabId: request.tabId,
+      kind: request.kind,
+      question: request.question,
+      pageUrl: request.pageUrl,
+      extractionMode: request.extractionMode || null,
+      passages: request.passages || null,
+      status: 'running',
+      partialAnswer: '',
+      progress: null,
+      answer: '',
+      error: null,
+      cost: 0,
+      startedAt: Date.now(),
+      finishedAt: null,
+      acknowledged: false
+    };
+
+    this.beginKeepAlive();
+    await this.saveJob(job);
+    this.broadcast(job);
+
+    try {
+      const { answer, cost } = await this.execute(request, job);
+      job.answer = answer;
+      job.cost = cost + (request.extraCost || 0);
+      job.status = 'done';
+      await this.recordResult(request, job);
+    } catch (error) {
+      console.error('Background request failed:', error);
+      job.error = error.message;
+      job.status = 'error';
+      // Calls that completed before the failure (summary sections, embeddings) were still billed
+      job.cost = (error.partialCost || 0) + (request.extraCost || 0);
+      if (job.cost > 0) {
+        await this.addToCumulativeCost(job.cost);
+      }
+    } finally {
+      job.partialAnswer = '';
+      job.progress = null;
+      job.finishedAt = Date.now();
+      this.lastPersisted.delete(job.id);
+      await this.saveJob(job);
+      this.broadcast(job);
+      this.endKeepAlive();
+      await this.notifyIfUnattended(job, request.title);
+    }
+  }
+
+  async execute(request, job) {
+    const { model, question } = request;
+    const { provider, apiKey, customEndpointConfig } = await this.resolveProvider(model);
+    const onChunk = CONFIG.ENABLE_STREAMING ? (delta, fullText) => this.updateProgress(job, { partialAnswer: fullText }) : null;
+    const historyText = (request.history || []).map(turn => `${turn.question}\n${turn.answer}`).join('\n');
+    const requestOptions = { onChunk, history: request.history || [] };
+    if (request.systemPrompt) {
+      requestOptions.systemPrompt = request.systemPrompt;
+    }
+
+    if (request.kind === 'vision') {
+      const { visualData, sessionContext = '' } = request;
+      const answer = await provider.askVisionQuestion(question, visualData, model, apiKey, sessionContext, requestOptions);
+      const inputText = `${historyText}Question: ${question}\nPage: ${visualData.pageInfo?.title || ''}${sessionContext}`;
+      return {
+        answer,
+        cost: estimateRequestCost(getVisionPricingModel(model), inputText, answer, visualData.viewports.length, customEndpointConfig)
+      };
+    }
+
+    if (request.kind === 'summary') {
+      // Each sub-call is priced separately and summed into one charge
+      let cost = 0;
+      const complete = async (task, context, isFinal) => {
+        const answer = await provider.askQuestion(task, context, model, apiKey, '', {
+          systemPrompt: PROMPTS.SUMMARY_SYSTEM_PROMPT,
+          onChunk: isFinal ? onChunk : null
+        });
+        cost += estimateRequestCost(model, `Question: ${task}\n${context}`, answer, 0, customEndpointConfig);
+        return answer;
+      };
+      try {
+        const answer = await summarizeDocument(request.text, {
+          model,
+          contextTokens: getModelContextTokens(model),
+          instructions: request.instructions,
+          complete,
+          onProgress: progress => this.updateProgress(job, { progress })
+        });
+        return { answer, cost };
+      } catch (error) {
+        error.partialCost = cost;
+        throw error;
+      }
+    }
+
+    const { context = '', sessionContext = '' } = request;
+    const answer = await provider.askQuestion(question, context, model, apiKey, sessionContext, requestOptions);
+    const inputText = `${historyText}Question: ${question}\nContext: ${context}${sessionContext}`;
+    return { answer, cost: estimateRequestCost(model, inputText, answer, 0, customEndpointConfig) };
+  }
+
+  // Stream progress to open popups; storage writes are throttled
+  updateProgress(job, changes) {
+    Object.assign(job, changes);
+    this.broadcast(job);
+
+    const now = Date.now();
+    if (now - (this.lastPersisted.get(job.id) || 0) >= CONFIG.REQUEST_PERSIST_INTERVAL) {
+      this.lastPersisted.set(job.id, now);
+      this.saveJob(job);
+    }
+  }
+
+  async recordResult(request, job) {
+    await this.addToCumulativeCost(job.cost);
+
+    if (CONFIG.ENABLE_CONVERSATION_THREADS) {
+      await this.queueWrite(() => this.conversationManager.addTurn(request.pageUrl, request.title, {
+        question: job.question,
+        answer: job.answer,
+        model: request.model
+      }));
+    }
+    await this.recordHistoryEntry({
+      question: job.question,
+      answer: job.answer,
+      model: request.model,
+      url: request.pageUrl,
+      title: request.title,
+      cost: job.cost
+    });
+  }
+
+  /**
+   * Add a request's cost to the running total shown in the popup
+   */
+  addToCumulativeCost(cost) {
+    return this.queueWrite(async () => {
+      const { cumulativeCost = 0 } = await storage.get(['cumulativeCost']);
+      await storage.set({ cumulativeCost: cumulativeCost + cost });
+    });
+  }
+
+  async recordHistoryEntry(entry) {
+    if (!CONFIG.ENABLE_HISTORY) return;
+
+    try {
+      await this.queueWrite(() => this.historyManager.addEntry(entry));
+    } catch (error) {
+      console.error('Error saving history entry:', error);
+    }
+  }
+
+  broadcast(job) {
+    this.ports.forEach(port => {
+      try {
+        port.postMessage({ type: CONFIG.MESSAGE_TYPES.REQUEST_UPDATE, job });
+      } catch (error) {
+        this.ports.delete(port); // Popup closed mid-message
+      }
+    });
+  }
+
+  async getJobs() {
+    const result = await storage.get([this.STORAGE_KEY], 'session');
+    return result[this.STORAGE_KEY] || {};
+  }
+
+  /**
+   * Latest request for a tab, or null
+   */
+  async getJob(tabId) {
+    const jobs = await this.getJobs();
+    return jobs[tabId] || null;
+  }
+
+  /**
+   * Run a read-then-write storage update after every earlier one, so concurrent
+   * requests can't overwrite each other's cost, history, turns or job saves.
+   * A failed write rejects for its caller without stalling the queue.
+   */
+  queueWrite(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Queued too, so a throttled streaming save can't land after the final one
+  updateJobs(mutate) {
+    return this.queueWrite(async () => {
+      const jobs = await this.getJobs();
+      mutate(jobs);
+      await storage.set({ [this.STORAGE_KEY]: jobs }, 'session');
+    });
+  }
+
+  saveJob(job) {
+    const snapshot = { ...job };
+    return this.updateJobs(jobs => {
+      jobs[snapshot.tabId] = snapshot;
+    });
+  }
+
+  // The popup has shown this result, so reopening it shouldn't show it again
+  acknowledge(tabId, id) {
+    return this.updateJobs(jobs => {
+      if (jobs[tabId]?.id === id && jobs[tabId].status !== 'running') {
+        jobs[tabId].acknowledged = true;
+      }
+    });
+  }
+
+  /**
+   * Fail requests left running by a previous worker instance, so a reopened popup
+   * reports them instead of waiting forever
+   */
+  recoverInterrupted() {
+    return this.updateJobs(jobs => {
+      Object.values(jobs).forEach(job => {
+        if (job.status === 'running') {
+          Object.assign(job, {
+            status: 'error',
+            error: 'The request was interrupted before it finished. Please ask again.',
+            partialAnswer: '',
+            progress: null,
+            finishedAt: Date.now()
+          });
+        }
+      });
+    });
+  }
+
+  removeTab(tabId) {
+    return this.updateJobs(jobs => {
+      delete jobs[tabId];
+    });
+  }
+
+  // An in-flight fetch doesn't count as activity, so long non-streamed answers
+  // need a periodic extension API call to keep the worker from being stopped
+  beginKeepAlive() {
+    this.runningCount++;
+    if (!this.keepAliveTimer) {
+      this.keepAliveTimer = setInterval(() => chrome.runtime.getPlatformInfo(), CONFIG.REQUEST_KEEPALIVE_INTERVAL);
+    }
+  }
+
+  endKeepAlive() {
+    this.runningCount = Math.max(0, this.runningCount - 1);
+    if (this.runningCount === 0 && this.keepAliveTimer) {
+      clearInterval(this.keepAliveTimer);
+      this.keepAliveTimer = null;
+    }
+  }
+
+  // Optional: tell the user a slow answer is ready when no popup is open to show it
+  async notifyIfUnattended(job, title) {
+    if (this.ports.size > 0 || job.finishedAt - job.startedAt < CONFIG.NOTIFY_MIN_DURATION) return;
+
+    const prefs = await storage.get([CONFIG.STORAGE_KEYS.NOTIFY_ON_ANSWER]);
+    if (!prefs[CONFIG.STORAGE_KEYS.NOTIFY_ON_ANSWER] || !chrome.notifications) return;
+
+    const failed = job.status === 'error';
+    try {
+      await chrome.notifications.create(`pagepal-request-${job.tabId}`, {
+        type: 'basic',
+        iconUrl: 'icon128.png',
+        title: failed ? 'PagePal couldn\'t answer' : 'PagePal answer ready',
+        message: failed ? job.error : `${job.question.slice(0, 120)}${title ? `\n${title}` : ''}`,
+        contextMessage: failed ? '' : 'Open PagePal to read it'
+      });
+    } catch (error) {
+      console.warn('Notification failed:', error);
+    }
+  }
+}
@@ -0,0 +1,187 @@
+// PagePal AI - Retrieval over long pages
+//
+// Long page text is split into overlapping sections, ranked against the question
+// with BM25 (optionally blended with embedding similarity), and only the best
+// sections that fit the context budget are sent to the model.
+
+import { CONFIG } from './constants.js';
+import { countTokens, truncateToTokens } from './tokenizer.js';
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SECTION_HEADER_TOKENS = 16; // Room for the "[Section n of N]" or "[n]" marker around each section
+const MAX_CHARS_PER_TOKEN = 32; // Text measured per token of a section's budget; ordinary text averages 3-5
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'had', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of',
+  'on', 'or', 'our', 'so', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+  'this', 'to', 'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why',
+  'will', 'with', 'you', 'your', 'page', 'explain', 'tell', 'about'
+]);
+
+/**
+ * Lowercased word tokens without stopwords. \p{L}/\p{N} keep non-English words intact.
+ */
+export function tokenize(text) {
+  return ((text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+    .filter(token => !STOPWORDS.has(token));
+}
+
+// Last good break point in (min, max]: paragraph, line, sentence, then word boundary
+function findBreak(text, min, max) {
+  for (const separator of ['\n\n', '\n', '. ', ' ']) {
+    const index = text.lastIndexOf(separator, max - separator.length);
+    if (index > min) return index + separator.length;
+  }
+  return max;
+}
+
+// Sections end at the last paragraph, line, sentence or word break before
+// maxEnd(start), searching back no further than halfway into the section
+function splitText(text, overlap, maxEnd) {
+  const sections = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(maxEnd(start), text.length);
+    if (end < text.length) {
+      end = findBreak(text, start + Math.floor((end - start) / 2), end);
+    }
+
+    const sectionText = text.slice(start, end).trim();
+    if (sectionText) {
+      sections.push({ id: sections.length + 1, start, end, text: sectionText });
+    }
+    if (end >= text.length) break;
+
+    // Step back by the overlap, snapping forward to the next word boundary
+    let next = Math.max(end - overlap, start + 1);
+    const space = text.indexOf(' ', next);
+    if (space !== -1 && space < end) next = space + 1;
+    start = next;
+  }
+
+  return sections;
+}
+
+/**
+ * Split text into overlapping sections. Each section keeps its character offsets
+ * so adjacent picks can be merged back from the original text without duplication.
+ */
+export function chunkText(text, chunkSize = CONFIG.RETRIEVAL_CHUNK_SIZE, overlap = CONFIG.RETRIEVAL_CHUNK_OVERLAP) {
+  return splitText(text, overlap, start => start + chunkSize);
+}
+
+/**
+ * Split text like chunkText, with each section at most maxTokens for the model's tokenizer
+ */
+export function chunkTextByTokens(text, maxTokens, model = '', overlap = CONFIG.RETRIEVAL_CHUNK_OVERLAP) {
+  // Only this much of the remaining text is measured for each section
+  const window = Math.max(1, maxTokens) * MAX_CHARS_PER_TOKEN;
+  return splitText(text, overlap, start => {
+    const fitted = truncateToTokens(text.slice(start, start + window), maxTokens, model);
+    return start + Math.max(1, fitted.length);
+  });
+}
+
+/**
+ * BM25 score of each section against the query
+ */
+export function scoreBM25(sections, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const documents = sections.map(section => tokenize(section.text));
+  const averageLength = documents.reduce((sum, tokens) => sum + tokens.length, 0) / (documents.length || 1);
+
+  const documentFrequency = new Map();
+  documents.forEach(tokens => {
+    new Set(tokens).forEach(token => {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    });
+  });
+
+  return documents.map(tokens => {
+    const termFrequency = new Map();
+    tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1));
+
+    return queryTerms.reduce((score, term) => {
+      const frequency = termFrequency.get(term) || 0;
+      if (frequency === 0) return score;
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+      const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * tokens.length / (averageLength || 1));
+      return score + idf * (frequency * (BM25_K1 + 1)) / norm;
+    }, 0);
+  });
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Rank sections for a question. When embeddings are supplied ({ query, sections }),
+ * normalized BM25 is blended with cosine similarity by CONFIG.RETRIEVAL_EMBEDDING_WEIGHT.
+ * Returns sections with a score, best first; ties keep document order.
+ */
+export function rankSections(sections, question, embeddings = null) {
+  const lexicalScores = scoreBM25(sections, question);
+  const maxLexical = Math.max(...lexicalScores, 0);
+
+  const scored = sections.map((section, index) => {
+    let score = maxLexical > 0 ? lexicalScores[index] / maxLexical : 0;
+    if (embeddings) {
+      const weight = CONFIG.RETRIEVAL_EMBEDDING_WEIGHT;
+      score = (1 - weight) * score + weight * cosineSimilarity(embeddings.query, embeddings.sections[index]);
+    }
+    return { ...section, score };
+  });
+
+  return scored.sort((a, b) => b.score - a.score || a.id - b.id);
+}
+
+/**
+ * Take the highest-ranked sections that fit in maxTokens of the model's context,
+ * returned in document order
+ */
+export function selectSections(rankedSections, maxTokens, model = '') {
+  const selected = [];
+  let used = 0;
+  for (const section of rankedSections) {
+    const cost = countTokens(section.text, model) + SECTION_HEADER_TOKENS;
+    if (used + cost > maxTokens) continue;
+    selected.push(section);
+    used += cost;
+  }
+  return selected.sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Build the page context from selected sections. Runs of adjacent or overlapping
+ * sections are merged from the original text so overlap isn't sent twice.
+ */
+export function formatSectionContext(text, selectedSections, totalSections) {
+  const runs = [];
+  selectedSections.forEach(section => {
+    const last = runs[runs.length - 1];
+    if (last && section.start <= last.end) {
+      last.end = Math.max(last.end, section.end);
+      last.lastId = section.id;
+    } else {
+      runs.push({ start: section.start, end: section.end, firstId: section.id, lastId: section.id });
+    }
+  });
+
+  return runs.map(run => {
+    const label = run.firstId === run.lastId ? `${run.firstId}` : `${run.firstId}-${run.lastId}`;
+    return `[Section ${label} of ${totalSections}]\n${text.slice(run.start, run.end).trim()}`;
+  }).join('\n\n[...]\n\n');
+}
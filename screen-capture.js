@@ -0,0 +1,278 @@
+// PagePal AI - Screenshot capture for vision models
+//
+// Captures use chrome.tabs.captureVisibleTab, then get downscaled and re-encoded
+// as JPEG: vision models bill by image size, and full-DPI PNGs of a retina
+// viewport cost several times more tokens without making text more legible.
+
+import { CONFIG } from './constants.js';
+
+/**
+ * Injected into the page: scroll position, viewport and document size
+ */
+export function getPageMetricsFunction() {
+  const scrollingElement = document.scrollingElement || document.documentElement;
+  return {
+    title: document.title,
+    url: window.location.href,
+    scrollX: window.scrollX,
+    scrollY: window.scrollY,
+    viewportWidth: window.innerWidth,
+    viewportHeight: window.innerHeight,
+    totalHeight: scrollingElement.scrollHeight,
+    devicePixelRatio: window.devicePixelRatio || 1
+  };
+}
+
+/**
+ * Injected into the page: jump to a vertical offset, then wait up to `timeout` ms for
+ * images that lazy-load into the viewport. Returns the same metrics as getPageMetricsFunction.
+ */
+export async function scrollAndSettleFunction(y, timeout) {
+  const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => resolve()));
+  const hasPendingImages = () => Array.from(document.images).some(image => {
+    if (image.complete) return false;
+    const rect = image.getBoundingClientRect();
+    return rect.bottom > 0 && rect.top < window.innerHeight;
+  });
+
+  window.scrollTo({ top: y, left: window.scrollX, behavior: 'instant' });
+
+  // Two frames let scroll handlers and IntersectionObservers swap in real image sources
+  const deadline = Date.now() + timeout;
+  await nextFrame();
+  await nextFrame();
+  while (hasPendingImages() && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  await nextFrame();
+
+  const scrollingElement = document.scrollingElement || document.documentElement;
+  return {
+    title: document.title,
+    url: window.location.href,
+    scrollX: window.scrollX,
+    scrollY: window.scrollY,
+    viewportWidth: window.innerWidth,
+    viewportHeight: window.innerHeight,
+    totalHeight: scrollingElement.scrollHeight,
+    devicePixelRatio: window.devicePixelRatio || 1
+  };
+}
+
+/**
+ * Injected into the page: restore a scroll position
+ */
+export function scrollToFunction(x, y) {
+  window.scrollTo({ top: y, left: x, behavior: 'instant' });
+}
+
+/**
+ * Injected into the page: hide fixed and sticky elements (headers, cookie bars, chat
+ * bubbles) so they don't repeat in every frame. The previous inline value is kept
+ * in a data attribute for restoreStickyElementsFunction.
+ */
+export function hideStickyElementsFunction() {
+  let hidden = 0;
+  document.querySelectorAll('body *').forEach(element => {
+    const position = getComputedStyle(element).position;
+    if (position !== 'fixed' && position !== 'sticky') return;
+
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+
+    element.dataset.pagepalVisibility = element.style.getPropertyValue('visibility');
+    element.dataset.pagepalVisibilityPriority = element.style.getPropertyPriority('visibility');
+    element.style.setProperty('visibility', 'hidden', 'important');
+    hidden++;
+  });
+  return hidden;
+}
+
+/**
+ * Injected into the page: undo hideStickyElementsFunction
+ */
+export function restoreStickyElementsFunction() {
+  document.querySelectorAll('[data-pagepal-visibility]').forEach(element => {
+    const value = element.dataset.pagepalVisibility;
+    if (value) {
+      element.style.setProperty('visibility', value, element.dataset.pagepalVisibilityPriority);
+    } else {
+      element.style.removeProperty('visibility');
+    }
+    delete element.dataset.pagepalVisibility;
+    delete element.dataset.pagepalVisibilityPriority;
+  });
+}
+
+// Base64 without FileReader so this also works in a service worker
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const chunkSize = 0x8000;
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Downscale a screenshot data URL to at most maxWidth pixels wide and re-encode it as JPEG.
+ * An optional crop rectangle (in image pixels) is applied first; it may also be a function
+ * of the decoded image's { width, height } that returns the rectangle, or null if empty.
+ */
+export async function compressScreenshot(dataUrl, { maxWidth = CONFIG.SCREENSHOT_MAX_WIDTH, quality = CONFIG.SCREENSHOT_JPEG_QUALITY, crop = null } = {}) {
+  const blob = await (await fetch(dataUrl)).blob();
+  const bitmap = await createImageBitmap(blob);
+
+  const source = crop ? (typeof crop === 'function' ? crop(bitmap) : crop) : { x: 0, y: 0, width: bitmap.width, height: bitmap.height };
+  if (!source) {
+    bitmap.close();
+    throw new Error('The crop area lies outside the screenshot');
+  }
+  const scale = Math.min(1, maxWidth / source.width);
+  const width = Math.max(1, Math.round(source.width * scale));
+  const height = Math.max(1, Math.round(source.height * scale));
+
+  const canvas = new OffscreenCanvas(width, height);
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, source.x, source.y, source.width, source.height, 0, 0, width, height);
+  bitmap.close();
+
+  const output = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+  return {
+    dataUrl: `data:image/jpeg;base64,${arrayBufferToBase64(await output.arrayBuffer())}`,
+    width,
+    height,
+    bytes: output.size
+  };
+}
+
+/**
+ * Capture the visible part of a tab as a compressed viewport entry
+ */
+export async function captureViewport(tab, metrics, index = 0) {
+  const rawDataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+  const image = await compressScreenshot(rawDataUrl);
+  return {
+    index,
+    screenshot: image.dataUrl,
+    offsetY: metrics.scrollY,
+    width: image.width,
+    height: image.height
+  };
+}
+
+async function runInTab(tab, func, args = []) {
+  const results = await chrome.scripting.executeScript({ target: { tabId: tab.id }, func, args });
+  return results?.[0]?.result;
+}
+
+/**
+ * Scroll through the page a viewport at a time and capture each frame, stopping at
+ * the bottom or after maxFrames. Sticky elements are hidden after the first frame,
+ * and the user's scroll position is restored even if a capture fails.
+ */
+export async function captureFullPage(tab, { maxFrames = CONFIG.MAX_SCREENSHOT_FRAMES, onProgress = () => {} } = {}) {
+  const initial = await runInTab(tab, getPageMetricsFunction);
+  if (!initial) {
+    throw new Error('Could not read page dimensions');
+  }
+
+  const viewports = [];
+  let lastMetrics = initial;
+  let lastCaptureTime = 0;
+  let stickyHidden = false;
+  let reachedBottom = false;
+
+  try {
+    let y = 0;
+    while (viewports.length < maxFrames) {
+      const metrics = await runInTab(tab, scrollAndSettleFunction, [y, CONFIG.LAZY_CONTENT_TIMEOUT]);
+      const previous = viewports[viewports.length - 1];
+      if (previous && metrics.scrollY <= previous.offsetY) {
+        reachedBottom = true; // The page couldn't scroll any further
+        break;
+      }
+
+      // captureVisibleTab is rate limited per second
+      const wait = CONFIG.CAPTURE_MIN_INTERVAL - (Date.now() - lastCaptureTime);
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      lastCaptureTime = Date.now();
+      viewports.push(await captureViewport(tab, metrics, viewports.length));
+      lastMetrics = metrics;
+      onProgress({ captured: viewports.length, maxFrames });
+
+      if (!stickyHidden) {
+        await runInTab(tab, hideStickyElementsFunction);
+        stickyHidden = true;
+      }
+
+      if (metrics.scrollY + metrics.viewportHeight >= metrics.totalHeight) {
+        reachedBottom = true;
+        break;
+      }
+      y = metrics.scrollY + metrics.viewportHeight;
+    }
+  } finally {
+    if (stickyHidden) {
+      await runInTab(tab, restoreStickyElementsFunction);
+    }
+    await runInTab(tab, scrollToFunction, [initial.scrollX, initial.scrollY]);
+  }
+
+  const lastViewport = viewports[viewports.length - 1];
+  return {
+    viewports,
+    pageInfo: {
+      ...buildPageInfo(initial),
+      totalHeight: lastMetrics.totalHeight,
+      capturedHeight: lastViewport ? lastViewport.offsetY + lastMetrics.viewportHeight : 0,
+      frameCap: maxFrames,
+      truncated: !reachedBottom
+    }
+  };
+}
+
+/**
+ * Page info stored alongside captured viewports
+ */
+export function buildPageInfo(metrics) {
+  return {
+    title: metrics.title,
+    url: metrics.url,
+    totalHeight: metrics.totalHeight,
+    viewportWidth: metrics.viewportWidth,
+    viewportHeight: metrics.viewportHeight,
+    devicePixelRatio: metrics.devicePixelRatio,
+    capturedAt: Date.now()
+  };
+}
+
+/**
+ * Visual data sent with a question: the current page's viewports followed by those of
+ * earlier study-session pages. The current page info is kept (including a region
+ * flag), with the title marking the data as combined.
+ */
+export function combineVisualData(currentData, sessionPages = []) {
+  const viewports = [...currentData.viewports];
+  sessionPages.forEach((page, index) => {
+    (page.content?.data?.viewports || []).forEach(viewport => {
+      viewports.push({
+        ...viewport,
+        pageTitle: page.title,
+        pageUrl: page.url,
+        sessionPageIndex: index + 1
+      });
+    });
+  });
+
+  return {
+    viewports,
+    pageInfo: {
+      ...currentData.pageInfo,
+      title: 'Combined Session Data'
+    }
+  };
+}
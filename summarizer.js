@@ -0,0 +1,125 @@
+// PagePal AI - Whole-document summarization
+//
+// Map-reduce over documents far larger than the context window: sections are
+// summarized independently (with a concurrency limit), then the partial
+// summaries are merged, in extra rounds if they still don't fit in one request.
+// Sections and merge groups are sized in tokens to the model's context window.
+
+import { CONFIG, PROMPTS } from './constants.js';
+import { chunkTextByTokens } from './retrieval.js';
+import { countTokens, getAvailableContextTokens } from './tokenizer.js';
+
+const SUMMARY_SEPARATOR = '\n\n---\n\n';
+
+/**
+ * Run worker over items with at most `limit` calls in flight; results keep item order.
+ * After a failure no further items are started; calls already in flight are waited
+ * for (they are paid for either way), then the first error is thrown.
+ */
+export async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (!failure && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  });
+
+  await Promise.all(runners);
+  if (failure) throw failure;
+  return results;
+}
+
+function withFocus(task, instructions) {
+  return instructions ? `${task}\nFocus on: ${instructions}` : task;
+}
+
+// Greedily pack summaries into groups whose joined text fits in maxTokens
+function groupByTokens(summaries, maxTokens, model) {
+  const separatorTokens = countTokens(SUMMARY_SEPARATOR, model);
+  const groups = [];
+  let current = [];
+  let tokens = 0;
+  summaries.forEach(summary => {
+    const summaryTokens = countTokens(summary, model) + separatorTokens;
+    if (current.length > 0 && tokens + summaryTokens > maxTokens) {
+      groups.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(summary);
+    tokens += summaryTokens;
+  });
+  if (current.length > 0) groups.push(current);
+  return groups;
+}
+
+// Tokens each sub-call may spend on document text: the window less the system prompt,
+// the longest task, a section header and room for the reply
+function getSummaryContextTokens(model, contextTokens, instructions) {
+  const tasks = [PROMPTS.SUMMARY_WHOLE_TASK, PROMPTS.SUMMARY_SECTION_TASK, PROMPTS.SUMMARY_MERGE_TASK, PROMPTS.SUMMARY_FINAL_TASK];
+  const longestTask = tasks
+    .map(task => withFocus(task, instructions))
+    .reduce((longest, task) => (countTokens(task, model) > countTokens(longest, model) ? task : longest));
+  return getAvailableContextTokens({
+    model,
+    contextTokens,
+    fixedText: `${PROMPTS.SUMMARY_SYSTEM_PROMPT}\n${longestTask}\n[Section 9999 of 9999]\n`
+  });
+}
+
+/**
+ * Summarize a whole document for a model with a contextTokens window.
+ * complete(task, context, isFinal) makes one model call and resolves to its text;
+ * only the final call is flagged so the caller can stream it.
+ * onProgress receives { stage: 'map' | 'combine' | 'final', done, total, round }.
+ */
+export async function summarizeDocument(text, { model = '', contextTokens = CONFIG.DEFAULT_CONTEXT_TOKENS, instructions = '', complete, onProgress = () => {} }) {
+  const maxTokens = getSummaryContextTokens(model, contextTokens, instructions);
+  if (maxTokens <= 0) {
+    throw new Error('The model\'s context window is too small to summarize with');
+  }
+
+  const sections = chunkTextByTokens(text, maxTokens, model);
+  if (sections.length <= 1) {
+    onProgress({ stage: 'final' });
+    return await complete(withFocus(PROMPTS.SUMMARY_WHOLE_TASK, instructions), text, true);
+  }
+
+  // Map: one summary per section
+  let done = 0;
+  onProgress({ stage: 'map', done, total: sections.length });
+  let summaries = await runWithConcurrency(sections, CONFIG.SUMMARY_CONCURRENCY, async section => {
+    const context = `[Section ${section.id} of ${sections.length}]\n${section.text}`;
+    const summary = await complete(withFocus(PROMPTS.SUMMARY_SECTION_TASK, instructions), context, false);
+    onProgress({ stage: 'map', done: ++done, total: sections.length });
+    return summary;
+  });
+
+  // Combine: merge groups of summaries until they fit in a single request
+  let round = 0;
+  while (countTokens(summaries.join(SUMMARY_SEPARATOR), model) > maxTokens) {
+    const groups = groupByTokens(summaries, maxTokens, model);
+    if (groups.length >= summaries.length) break; // Every summary is already oversized on its own
+
+    round++;
+    done = 0;
+    onProgress({ stage: 'combine', done, total: groups.length, round });
+    summaries = await runWithConcurrency(groups, CONFIG.SUMMARY_CONCURRENCY, async group => {
+      const merged = await complete(withFocus(PROMPTS.SUMMARY_MERGE_TASK, instructions), group.join(SUMMARY_SEPARATOR), false);
+      onProgress({ stage: 'combine', done: ++done, total: groups.length, round });
+      return merged;
+    });
+  }
+
+  // Reduce: the final answer from all partial summaries
+  onProgress({ stage: 'final' });
+  return await complete(withFocus(PROMPTS.SUMMARY_FINAL_TASK, instructions), summaries.join(SUMMARY_SEPARATOR), true);
+}
@@ -0,0 +1,166 @@
+// PagePal AI - Lightweight syntax highlighting for answer code blocks
+//
+// A regex tokenizer per language family: enough to colour comments, strings,
+// keywords and numbers in the snippets models return, without a full grammar.
+
+const C_LIKE_KEYWORDS = [
+  'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'break', 'continue', 'return',
+  'default', 'try', 'catch', 'finally', 'throw', 'new', 'class', 'struct', 'enum',
+  'public', 'private', 'protected', 'static', 'const', 'void', 'int', 'long', 'float',
+  'double', 'char', 'bool', 'boolean', 'true', 'false', 'null', 'this', 'super',
+  'extends', 'implements', 'interface', 'import', 'package', 'namespace', 'using',
+  'virtual', 'override', 'final', 'abstract', 'template', 'typename', 'auto', 'unsigned',
+  'func', 'go', 'defer', 'chan', 'map', 'range', 'var', 'fn', 'let', 'mut', 'impl',
+  'trait', 'pub', 'use', 'mod', 'match', 'self', 'nil', 'guard', 'val', 'fun', 'when'
+];
+
+const LANGUAGES = {
+  javascript: {
+    aliases: ['js', 'jsx', 'ts', 'tsx', 'typescript', 'mjs', 'node'],
+    comment: /\/\/[^\n]*|\/\*[\s\S]*?\*\//,
+    string: /`(?:\\[\s\S]|[^\\`])*`|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/,
+    keywords: [
+      'const', 'let', 'var', 'function', 'return', 'if', 'else', 'for', 'while', 'do',
+      'switch', 'case', 'break', 'continue', 'new', 'class', 'extends', 'super', 'this',
+      'import', 'export', 'from', 'default', 'async', 'await', 'yield', 'try', 'catch',
+      'finally', 'throw', 'typeof', 'instanceof', 'in', 'of', 'delete', 'void', 'null',
+      'undefined', 'true', 'false', 'interface', 'type', 'enum', 'implements', 'static',
+      'public', 'private', 'protected', 'readonly', 'as', 'get', 'set'
+    ]
+  },
+  python: {
+    aliases: ['py', 'python3'],
+    comment: /#[^\n]*/,
+    string: /"""[\s\S]*?"""|'''[\s\S]*?'''|[rbfu]?"(?:\\.|[^\\"\n])*"|[rbfu]?'(?:\\.|[^\\'\n])*'/,
+    keywords: [
+      'def', 'class', 'return', 'if', 'elif', 'else', 'for', 'while', 'in', 'not', 'and',
+      'or', 'is', 'import', 'from', 'as', 'with', 'try', 'except', 'finally', 'raise',
+      'pass', 'break', 'continue', 'lambda', 'yield', 'global', 'nonlocal', 'assert',
+      'del', 'async', 'await', 'None', 'True', 'False', 'self'
+    ]
+  },
+  clike: {
+    aliases: ['c', 'cpp', 'c++', 'h', 'hpp', 'java', 'cs', 'csharp', 'go', 'golang', 'rust', 'rs', 'swift', 'kotlin', 'kt', 'scala', 'dart', 'php'],
+    comment: /\/\/[^\n]*|\/\*[\s\S]*?\*\/|#[a-z]+[^\n]*/,
+    string: /"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'|`[^`]*`/,
+    keywords: C_LIKE_KEYWORDS
+  },
+  bash: {
+    aliases: ['sh', 'shell', 'zsh', 'console', 'terminal'],
+    comment: /#[^\n]*/,
+    string: /"(?:\\.|[^\\"])*"|'[^']*'/,
+    keywords: [
+      'if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'do', 'done', 'case', 'esac',
+      'function', 'return', 'in', 'export', 'local', 'echo', 'cd', 'sudo', 'npm', 'git',
+      'pip', 'cat', 'grep', 'ls', 'mkdir', 'rm', 'cp', 'mv'
+    ]
+  },
+  sql: {
+    aliases: ['mysql', 'postgres', 'postgresql', 'sqlite'],
+    comment: /--[^\n]*|\/\*[\s\S]*?\*\//,
+    string: /'(?:''|[^'])*'|"(?:[^"])*"/,
+    caseInsensitive: true,
+    keywords: [
+      'select', 'from', 'where', 'and', 'or', 'not', 'insert', 'into', 'values', 'update',
+      'set', 'delete', 'create', 'table', 'drop', 'alter', 'join', 'left', 'right', 'inner',
+      'outer', 'on', 'group', 'by', 'order', 'having', 'limit', 'as', 'distinct', 'null',
+      'is', 'in', 'like', 'primary', 'key', 'foreign', 'references', 'index', 'union', 'with'
+    ]
+  },
+  json: {
+    aliases: [],
+    comment: null,
+    string: /"(?:\\.|[^\\"\n])*"/,
+    keywords: ['true', 'false', 'null']
+  },
+  css: {
+    aliases: ['scss', 'less'],
+    comment: /\/\*[\s\S]*?\*\//,
+    string: /"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/,
+    keywords: ['important', 'media', 'import', 'keyframes', 'from', 'to']
+  },
+  html: {
+    aliases: ['xml', 'svg', 'vue'],
+    comment: /<!--[\s\S]*?-->/,
+    string: /"[^"]*"|'[^']*'/,
+    tag: /<\/?[a-zA-Z][\w:-]*|\/?>/,
+    keywords: []
+  }
+};
+
+const NUMBER_PATTERN = /\b(?:0x[\da-fA-F]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?)\b/;
+const WORD_PATTERN = /[A-Za-z_$][\w$]*/;
+
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Resolve a fence language hint (e.g. "ts", "c++") to a known grammar name
+ */
+export function resolveLanguage(language) {
+  const hint = (language || '').toLowerCase().trim();
+  if (!hint) return null;
+  if (LANGUAGES[hint]) return hint;
+  return Object.keys(LANGUAGES).find(name => LANGUAGES[name].aliases.includes(hint)) || null;
+}
+
+/**
+ * Return highlighted HTML for a code snippet. All source text is escaped;
+ * the only markup added is <span class="hl-*"> wrappers.
+ */
+export function highlightCode(code, language) {
+  const grammarName = resolveLanguage(language);
+  if (!grammarName) return escapeHTML(code);
+
+  const grammar = LANGUAGES[grammarName];
+  const parts = [
+    grammar.comment && `(?<comment>${grammar.comment.source})`,
+    `(?<string>${grammar.string.source})`,
+    grammar.tag && `(?<tag>${grammar.tag.source})`,
+    `(?<number>${NUMBER_PATTERN.source})`,
+    `(?<word>${WORD_PATTERN.source})`
+  ].filter(Boolean);
+  const pattern = new RegExp(parts.join('|'), 'g');
+  const keywords = new Set(grammar.caseInsensitive ? grammar.keywords.map(word => word.toLowerCase()) : grammar.keywords);
+
+  let html = '';
+  let lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(code)) !== null) {
+    if (match[0] === '') {
+      pattern.lastIndex++;
+      continue;
+    }
+    html += escapeHTML(code.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    const { comment, string, tag, number, word } = match.groups;
+    const text = escapeHTML(match[0]);
+    if (comment !== undefined) {
+      html += `<span class="hl-comment">${text}</span>`;
+    } else if (string !== undefined) {
+      html += `<span class="hl-string">${text}</span>`;
+    } else if (tag !== undefined) {
+      html += `<span class="hl-keyword">${text}</span>`;
+    } else if (number !== undefined) {
+      html += `<span class="hl-number">${text}</span>`;
+    } else if (word !== undefined) {
+      const lookup = grammar.caseInsensitive ? word.toLowerCase() : word;
+      const isCall = code[lastIndex] === '(';
+      if (keywords.has(lookup)) {
+        html += `<span class="hl-keyword">${text}</span>`;
+      } else if (isCall) {
+        html += `<span class="hl-function">${text}</span>`;
+      } else {
+        html += text;
+      }
+    }
+  }
+  html += escapeHTML(code.slice(lastIndex));
+  return html;
+}
@@ -0,0 +1,48 @@
+// PagePal AI - Citation passage tests
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPassages, buildPagePassages, formatPassageContext } from '../citations.js';
+
+const FRAMED_TEXT = [
+  'Intro paragraph on the top page.',
+  '[Frame: Comments]',
+  'A comment inside the frame.',
+  '[Frame: Nested widget]',
+  'Text in a frame within the frame.',
+  '[End of frame: Nested widget]',
+  'Another comment.',
+  '[End of frame: Comments]',
+  'Closing paragraph on the top page.'
+].join('\n\n');
+
+test('passages inside frames are labeled and never cross a frame boundary', () => {
+  assert.deepEqual(buildPassages(FRAMED_TEXT), [
+    { id: 1, text: 'Intro paragraph on the top page.' },
+    { id: 2, text: 'A comment inside the frame.', frame: 'Comments' },
+    { id: 3, text: 'Text in a frame within the frame.', frame: 'Nested widget' },
+    { id: 4, text: 'Another comment.', frame: 'Comments' },
+    { id: 5, text: 'Closing paragraph on the top page.' }
+  ]);
+});
+
+test('short blocks are joined into one passage', () => {
+  assert.deepEqual(buildPassages('One.\nTwo.\n\nThree.'), [{ id: 1, text: 'One. Two. Three.' }]);
+});
+
+test('the model is told where each passage came from', () => {
+  const context = formatPassageContext(buildPassages(FRAMED_TEXT));
+  assert.match(context, /^\[1\] Intro paragraph/);
+  assert.match(context, /\[2\] \(embedded frame: Comments\) A comment inside the frame\./);
+
+  const pdf = formatPassageContext(buildPagePassages([{ pageNumber: 4, text: 'On page four.' }]));
+  assert.equal(pdf, '[1] (page 4) On page four.');
+});
+
+test('whole passages are dropped once the token budget is spent', () => {
+  const passages = buildPassages(Array.from({ length: 40 }, (_, i) => `Sentence number ${i} about the topic.`.repeat(20)).join('\n'));
+  const context = formatPassageContext(passages, 400);
+  const lines = context.split('\n\n');
+  assert.ok(lines.length > 0 && lines.length < passages.length);
+  lines.forEach((line, index) => assert.equal(line, `[${passages[index].id}] ${passages[index].text}`));
+});
@@ -0,0 +1,26 @@
+// PagePal AI - Markdown renderer tests
+//
+// Run with: node --experimental-default-type=module --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { markdownToHTML } from '../markdown-renderer.js';
+
+test('text that looks like an inline placeholder renders literally', () => {
+  assert.equal(markdownToHTML('`a\u00000\u0000b`'), '<p><code>a\uFFFD0\uFFFDb</code></p>');
+  assert.equal(markdownToHTML('x \u00000\u0000 y'), '<p>x \uFFFD0\uFFFD y</p>');
+});
+
+test('placeholder-like text with an out-of-range index never prints undefined', () => {
+  const html = markdownToHTML('see \u000042\u0000 and `code`');
+  assert.ok(!html.includes('undefined'));
+  assert.ok(!html.includes('\u0000'));
+  assert.equal(html, '<p>see \uFFFD42\uFFFD and <code>code</code></p>');
+});
+
+test('nested placeholders are restored', () => {
+  assert.equal(
+    markdownToHTML('[**bold** `x`](https://example.com) and `y`'),
+    '<p><a href="https://example.com" target="_blank" rel="noopener noreferrer"><strong>bold</strong> <code>x</code></a> and <code>y</code></p>'
+  );
+});
@@ -0,0 +1,116 @@
+// PagePal AI - PDF extraction tests
+//
+// Fixtures in fixtures/pdf were written by real PDF producers, not by hand:
+// pdfkit 0.20 (FlateDecode streams, an embedded DejaVu Sans subset with a ToUnicode
+// CMap, and Standard security handler encryption with only an owner password, or
+// with a user password) and pdf-lib 1.17 (compressed object streams). The
+// AES-256 revision 6 file came from pdfkit with its revision 5 key hashing swapped
+// for the ISO 32000-2 algorithm 2.B.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { extractPdfText, formatPdfText, downloadPdf } from '../pdf-extractor.js';
+import { md5, rc4 } from '../pdf-decrypt.js';
+
+const fixture = name => readFile(new URL(`./fixtures/pdf/${name}`, import.meta.url));
+const text = string => new TextEncoder().encode(string);
+const hex = bytes => Buffer.from(bytes).toString('hex');
+
+const EMBEDDED_FONT_PAGES = [
+  'Crème brûlée costs 5 € at the café. Σ naïve façade — “quoted”',
+  'Second page text.'
+];
+const STANDARD_FONT_PAGES = [
+  'Crème brûlée costs 5 € at the café. Naïve façade — “quoted”',
+  'Second page text.'
+];
+
+async function pageTexts(name) {
+  const { pages, pageCount } = await extractPdfText(await fixture(name));
+  assert.equal(pageCount, pages.length);
+  return pages.map(page => page.text);
+}
+
+test('FlateDecode content with a ToUnicode CMap decodes to Unicode text', async () => {
+  assert.deepEqual(await pageTexts('tounicode-flate.pdf'), EMBEDDED_FONT_PAGES);
+});
+
+test('objects packed in compressed object streams are found', async () => {
+  assert.deepEqual(await pageTexts('object-streams.pdf'), [
+    'First page in an object stream file.',
+    'Second page, also compressed.'
+  ]);
+});
+
+test('owner-password-only PDFs are decrypted', async () => {
+  assert.deepEqual(await pageTexts('encrypted-rc4-40.pdf'), STANDARD_FONT_PAGES);
+  assert.deepEqual(await pageTexts('encrypted-rc4-128.pdf'), STANDARD_FONT_PAGES);
+  assert.deepEqual(await pageTexts('encrypted-aes-128.pdf'), EMBEDDED_FONT_PAGES);
+  assert.deepEqual(await pageTexts('encrypted-aes-256.pdf'), EMBEDDED_FONT_PAGES);
+  assert.deepEqual(await pageTexts('encrypted-aes-256-r6.pdf'), EMBEDDED_FONT_PAGES);
+});
+
+test('PDFs that need a user password are reported as password-protected', async () => {
+  await assert.rejects(extractPdfText(await fixture('user-password.pdf')), /password-protected/);
+});
+
+test('non-PDF input is rejected', async () => {
+  await assert.rejects(extractPdfText(text('<html></html>')), /Not a PDF file/);
+});
+
+test('pages are joined with page markers, skipping empty pages', () => {
+  assert.equal(
+    formatPdfText([{ pageNumber: 1, text: 'One' }, { pageNumber: 2, text: '' }, { pageNumber: 3, text: 'Three' }]),
+    '[Page 1]\nOne\n\n[Page 3]\nThree'
+  );
+});
+
+test('MD5 and RC4 match their reference vectors', () => {
+  assert.equal(hex(md5(text(''))), 'd41d8cd98f00b204e9800998ecf8427e');
+  assert.equal(hex(md5(text('The quick brown fox jumps over the lazy dog'))), '9e107d9d372bb6826bd81d3542a419d6');
+  assert.equal(hex(md5(text('a'.repeat(1000)))), 'cabe45dcc9ae5b66ba86600cca6b8ba8');
+  assert.equal(hex(rc4(text('Key'), text('Plaintext'))), 'bbf316e8d940af0ad3');
+  assert.equal(hex(rc4(text('Secret'), text('Attack at dawn'))), '45a01f645fc35b383552544b9bf5');
+});
+
+// Serve a body in chunks, counting how many of them were read
+async function withServedPdf(chunks, headers, run) {
+  const originalFetch = globalThis.fetch;
+  const served = { chunks: 0 };
+  globalThis.fetch = async () => new Response(new ReadableStream({
+    pull(controller) {
+      if (served.chunks === chunks.length) {
+        controller.close();
+      } else {
+        controller.enqueue(chunks[served.chunks++]);
+      }
+    }
+  }, { highWaterMark: 0 }), { headers });
+  try {
+    return await run(served);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+test('downloads within the size limit return the whole file', async () => {
+  const bytes = await fixture('tounicode-flate.pdf');
+  const result = await withServedPdf([bytes.subarray(0, 100), bytes.subarray(100)], {}, () => downloadPdf('https://example.com/a.pdf', bytes.length));
+  assert.deepEqual(result.bytes, new Uint8Array(bytes));
+});
+
+test('downloads declared larger than the limit are refused before reading', async () => {
+  await withServedPdf([new Uint8Array(10)], { 'Content-Length': '2000' }, async served => {
+    assert.deepEqual(await downloadPdf('https://example.com/a.pdf', 1000), { error: 'This PDF is too large to read' });
+    assert.equal(served.chunks, 0);
+  });
+});
+
+test('downloads stop once the body passes the limit, whatever the headers say', async () => {
+  const chunks = Array.from({ length: 10 }, () => new Uint8Array(400));
+  await withServedPdf(chunks, { 'Content-Length': '500' }, async served => {
+    assert.deepEqual(await downloadPdf('https://example.com/a.pdf', 1000), { error: 'This PDF is too large to read' });
+    assert.ok(served.chunks < chunks.length);
+  });
+});
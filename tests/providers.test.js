@@ -0,0 +1,53 @@
+// PagePal AI - Provider request tests
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../constants.js';
+import { CustomEndpointProvider } from '../providers.js';
+
+const MODEL = `${CONFIG.CUSTOM_MODEL_PREFIX}llama3`;
+
+function createProvider() {
+  const provider = new CustomEndpointProvider();
+  provider.configure({ baseUrl: 'http://localhost:11434/v1' });
+  return provider;
+}
+
+// What fetch does when nothing is listening on the port
+function withServerDown(run) {
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async () => {
+    throw new TypeError('Failed to fetch');
+  };
+  return run().finally(() => {
+    globalThis.fetch = originalFetch;
+  });
+}
+
+test('a streamed answer from an unreachable custom endpoint says so', () => withServerDown(async () => {
+  const onChunk = () => assert.fail('nothing should stream');
+  await assert.rejects(
+    createProvider().askQuestion('Hi?', 'Page text', MODEL, '', '', { onChunk }),
+    { message: CONFIG.ERROR_MESSAGES.CUSTOM_ENDPOINT_UNREACHABLE }
+  );
+}));
+
+test('a plain answer from an unreachable custom endpoint says so', () => withServerDown(async () => {
+  await assert.rejects(
+    createProvider().askQuestion('Hi?', 'Page text', MODEL, ''),
+    { message: CONFIG.ERROR_MESSAGES.CUSTOM_ENDPOINT_UNREACHABLE }
+  );
+}));
+
+test('HTTP errors from a running custom endpoint are not reported as unreachable', async () => {
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async () => new Response('{"error":{"message":"model not found"}}', { status: 404 });
+  try {
+    await assert.rejects(
+      createProvider().askQuestion('Hi?', 'Page text', MODEL, '', '', { onChunk: () => {} }),
+      error => error.message !== CONFIG.ERROR_MESSAGES.CUSTOM_ENDPOINT_UNREACHABLE
+    );
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+});
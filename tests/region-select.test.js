@@ -0,0 +1,90 @@
+// PagePal AI - Region screenshot tests
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getRegionCrop, buildRegionPageData } from '../region-select.js';
+import { combineVisualData } from '../screen-capture.js';
+import { OpenAIProvider } from '../providers.js';
+
+// Node has no image decoding or canvas: stand-ins report the capture's size and
+// record what gets drawn, which is all compressScreenshot needs from them
+const CAPTURE_SIZE = { width: 1600, height: 1000 };
+const drawCalls = [];
+
+globalThis.createImageBitmap = async () => ({ ...CAPTURE_SIZE, close() {} });
+globalThis.OffscreenCanvas = class {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  getContext() {
+    return { drawImage: (...args) => drawCalls.push(args.slice(1)) };
+  }
+
+  async convertToBlob() {
+    return new Blob([new Uint8Array([0xff, 0xd8, 0xff, 0xd9])], { type: 'image/jpeg' });
+  }
+};
+
+const capture = {
+  screenshot: 'data:image/png;base64,iVBORw0KGgo=',
+  createdAt: Date.now(),
+  metrics: {
+    url: 'https://example.com/chart',
+    title: 'Quarterly chart',
+    scrollY: 300,
+    totalHeight: 4000,
+    viewportWidth: 800,
+    viewportHeight: 500,
+    devicePixelRatio: 2
+  }
+};
+
+test('crops scale by devicePixelRatio', () => {
+  assert.deepEqual(getRegionCrop({ x: 10, y: 20, width: 100, height: 50 }, 2), { x: 20, y: 40, width: 200, height: 100 });
+});
+
+test('crops are clamped to the captured image', () => {
+  // A drag that ends on the scrollbar or outside the window
+  assert.deepEqual(getRegionCrop({ x: 700, y: 400, width: 200, height: 300 }, 2, CAPTURE_SIZE), { x: 1400, y: 800, width: 200, height: 200 });
+  assert.deepEqual(getRegionCrop({ x: -50, y: -20, width: 100, height: 60 }, 1, CAPTURE_SIZE), { x: 0, y: 0, width: 50, height: 40 });
+});
+
+test('crops with no area inside the image are rejected', () => {
+  assert.equal(getRegionCrop({ x: 820, y: 10, width: 40, height: 40 }, 2, CAPTURE_SIZE), null);
+  assert.equal(getRegionCrop({ x: 10, y: 10, width: 0, height: 40 }, 2, CAPTURE_SIZE), null);
+  assert.equal(getRegionCrop({ x: -80, y: 10, width: 40, height: 40 }, 1, CAPTURE_SIZE), null);
+});
+
+test('a region entirely outside the capture is not sent', async () => {
+  await assert.rejects(buildRegionPageData(capture, { x: 900, y: 100, width: 50, height: 50 }), /outside the screenshot/);
+});
+
+test('a region question reaches the provider described as a selected region', async () => {
+  drawCalls.length = 0;
+  const pageData = await buildRegionPageData(capture, { x: 700, y: 100, width: 300, height: 200 });
+  assert.deepEqual(drawCalls[0].slice(0, 4), [1400, 200, 200, 400]);
+
+  const visualData = combineVisualData(pageData.data);
+  assert.deepEqual(visualData.pageInfo.region, { x: 700, y: 100, width: 300, height: 200 });
+
+  const body = new OpenAIProvider().formatVisionRequest('What does this chart show?', visualData, 'gpt-4o', '');
+  const [text, image] = body.messages.at(-1).content;
+  assert.match(text.text, /a region of the page the user selected/);
+  assert.doesNotMatch(text.text, /viewport screenshots/);
+  assert.match(image.image_url.url, /^data:image\/jpeg;base64,/);
+});
+
+test('session screenshots follow the current page without losing its page info', () => {
+  const current = { viewports: [{ index: 0, screenshot: 'a' }], pageInfo: { title: 'Now', url: 'https://example.com/', totalHeight: 900 } };
+  const sessionPages = [
+    { title: 'Notes', url: 'https://example.com/notes', content: { data: 'Structured text' } },
+    { title: 'Slides', url: 'https://example.com/slides', content: { data: { viewports: [{ index: 0, screenshot: 'b' }] } } }
+  ];
+
+  const combined = combineVisualData(current, sessionPages);
+  assert.equal(combined.pageInfo.url, 'https://example.com/');
+  assert.equal(combined.pageInfo.totalHeight, 900);
+  assert.deepEqual(combined.viewports.map(viewport => [viewport.screenshot, viewport.sessionPageIndex]), [['a', undefined], ['b', 2]]);
+});
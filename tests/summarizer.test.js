@@ -0,0 +1,94 @@
+// PagePal AI - Whole-document summarization tests
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, PROMPTS } from '../constants.js';
+import { runWithConcurrency, summarizeDocument } from '../summarizer.js';
+import { countTokens } from '../tokenizer.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+const longText = Array.from({ length: 60 }, (_, i) => `Paragraph ${i}. ${'Some words about the topic. '.repeat(30)}`).join('\n\n');
+
+test('results keep item order with calls in flight together', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const results = await runWithConcurrency([5, 1, 3, 2], 2, async (item, index) => {
+    maxInFlight = Math.max(maxInFlight, ++inFlight);
+    await new Promise(resolve => setTimeout(resolve, item));
+    inFlight--;
+    return `${index}:${item}`;
+  });
+  assert.deepEqual(results, ['0:5', '1:1', '2:3', '3:2']);
+  assert.equal(maxInFlight, 2);
+});
+
+test('no items are started after a failure and in-flight calls finish first', async () => {
+  const started = [];
+  const finished = [];
+  await assert.rejects(runWithConcurrency([0, 1, 2, 3, 4, 5], 2, async item => {
+    started.push(item);
+    await tick();
+    if (item === 1) throw new Error('rate limited');
+    await tick();
+    finished.push(item);
+  }), /rate limited/);
+  assert.deepEqual(started, [0, 1]);
+  assert.deepEqual(finished, [0]);
+});
+
+test('a failed summary stops spending and the calls made so far can be priced', async () => {
+  let calls = 0;
+  let failed = false;
+  const complete = async () => {
+    await tick();
+    if (++calls === 3) {
+      failed = true;
+      throw new Error('quota exceeded');
+    }
+    return 'summary';
+  };
+  await assert.rejects(summarizeDocument(longText, { model: 'gpt-4', contextTokens: 2048, complete }), /quota exceeded/);
+  assert.ok(failed);
+  // Only calls already in flight when the third failed may have run
+  assert.ok(calls <= 3 + CONFIG.SUMMARY_CONCURRENCY - 1, `${calls} calls`);
+});
+
+test('a document that fits the model window is summarized in one call', async () => {
+  const calls = [];
+  const summary = await summarizeDocument(longText, {
+    model: 'gpt-4o',
+    contextTokens: 128000,
+    complete: async (task, context, isFinal) => {
+      calls.push({ task, context, isFinal });
+      return 'whole summary';
+    }
+  });
+  assert.equal(summary, 'whole summary');
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].context, longText);
+  assert.ok(calls[0].isFinal);
+});
+
+test('sections and merge groups are sized to a small context window', async () => {
+  const model = 'custom:llama3';
+  const contextTokens = 2048;
+  const calls = [];
+  const stages = new Set();
+  await summarizeDocument(longText, {
+    model,
+    contextTokens,
+    complete: async (task, context) => {
+      calls.push(`${task}\n${context}`);
+      // Long partial summaries, so they need merging before the final call
+      return `Partial summary. ${'A detail worth keeping. '.repeat(60)}`;
+    },
+    onProgress: ({ stage }) => stages.add(stage)
+  });
+
+  assert.ok(calls.length > 3);
+  assert.ok(stages.has('combine'));
+  calls.forEach(call => {
+    const tokens = countTokens(`${PROMPTS.SUMMARY_SYSTEM_PROMPT}\n${call}`, model);
+    assert.ok(tokens <= contextTokens - CONFIG.DEFAULT_MAX_TOKENS, `${tokens} tokens`);
+  });
+});
@@ -0,0 +1,140 @@
+// PagePal AI - Tokenizer tests
+//
+// Expected token ids were recorded with js-tiktoken 1.0.21, a port of OpenAI's
+// tiktoken: o200k_base for gpt-4o models and cl100k_base for gpt-4 and gpt-3.5-turbo.
+// Counts for those models must match exactly; other models get estimates.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeTokens, countTokens, truncateToTokens, getAvailableContextTokens, planContextBudget } from '../tokenizer.js';
+
+const SAMPLES = [
+  {
+    name: 'prose',
+    text: 'The quick brown fox jumps over the lazy dog. Extensions run in the browser and read the page the user is looking at, then send a question with the relevant text to a language model.',
+    o200k: [976, 4853, 19705, 68347, 65613, 1072, 290, 29082, 6446, 13, 110148, 2461, 306, 290, 10327, 326, 1729, 290, 3011, 290, 1825, 382, 3778, 540, 11, 1815, 4952, 261, 4928, 483, 290, 12331, 2201, 316, 261, 6439, 2359, 13],
+    cl100k: [791, 4062, 14198, 39935, 35308, 927, 279, 16053, 5679, 13, 56895, 1629, 304, 279, 7074, 323, 1373, 279, 2199, 279, 1217, 374, 3411, 520, 11, 1243, 3708, 264, 3488, 449, 279, 9959, 1495, 311, 264, 4221, 1646, 13]
+  },
+  {
+    name: 'long words',
+    text: 'Internationalization and characterization of electroencephalography measurements require interdisciplinary collaboration.',
+    o200k: [43804, 2860, 326, 94200, 328, 29674, 1082, 79379, 7587, 29039, 1841, 100106, 21991, 13],
+    cl100k: [34746, 2065, 323, 60993, 315, 25396, 768, 764, 278, 5814, 22323, 1397, 88419, 20632, 13]
+  },
+  {
+    name: 'code',
+    text: 'function add(a, b) {\n  return a + b;\n}\n\nconst total = [1, 2, 3].reduce((sum, value) => add(sum, value), 0);\nconsole.log(`Total: ${total}`);',
+    o200k: [2706, 1147, 6271, 11, 287, 8, 405, 220, 622, 261, 659, 287, 307, 943, 1671, 3609, 314, 723, 16, 11, 220, 17, 11, 220, 18, 1651, 49119, 2054, 12298, 11, 1432, 8, 871, 1147, 45528, 11, 1432, 936, 220, 15, 362, 9343, 2659, 9649, 8270, 25, 6465, 9577, 9097, 2245],
+    cl100k: [1723, 923, 2948, 11, 293, 8, 341, 220, 471, 264, 489, 293, 280, 633, 1040, 2860, 284, 510, 16, 11, 220, 17, 11, 220, 18, 948, 27369, 1209, 1264, 11, 907, 8, 591, 923, 20292, 11, 907, 705, 220, 15, 317, 5467, 1699, 5931, 7749, 25, 3654, 5143, 5658, 1237]
+  },
+  {
+    name: 'html',
+    text: '<div class="card"><a href="https://example.com/docs?page=2&lang=en">Read the docs</a></div>',
+    o200k: [5878, 744, 580, 7687, 6777, 64, 3730, 580, 4172, 1684, 18582, 1136, 51321, 100242, 28, 17, 5, 7585, 133471, 1289, 4455, 290, 53175, 808, 64, 3003, 862, 29],
+    cl100k: [2691, 538, 429, 5057, 3164, 64, 1839, 429, 2485, 1129, 8858, 916, 27057, 43798, 28, 17, 5, 5317, 62857, 760, 4518, 279, 27437, 524, 64, 1500, 614, 29]
+  },
+  {
+    name: 'numbers',
+    text: 'Revenue grew from 1234567 to 98765432 between 2019 and 2024, a 7900% increase.',
+    o200k: [112327, 22839, 591, 220, 7633, 19354, 22, 316, 220, 42391, 43200, 1398, 2870, 220, 667, 24, 326, 220, 1323, 19, 11, 261, 220, 41828, 15, 4, 7064, 13],
+    cl100k: [99204, 14264, 505, 220, 4513, 10961, 22, 311, 220, 22207, 21969, 843, 1990, 220, 679, 24, 323, 220, 2366, 19, 11, 264, 220, 22876, 15, 4, 5376, 13]
+  },
+  {
+    name: 'cjk',
+    text: '机器学习是人工智能的一个分支。日本語のテキストも含まれています。',
+    o200k: [96849, 64550, 3221, 47243, 60319, 1616, 22912, 2957, 18904, 788, 9048, 40909, 3385, 16056, 18368, 38236, 8446, 47373, 5042, 9472, 122223, 788],
+    cl100k: [33748, 32648, 48864, 18259, 254, 21043, 17792, 49792, 45114, 118, 27327, 9554, 48044, 17620, 46456, 1811, 9080, 22656, 45918, 252, 16144, 57933, 62903, 71634, 32977, 96412, 17129, 33121, 38144, 61689, 1811]
+  },
+  {
+    name: 'cyrillic',
+    text: 'Расширение читает страницу и отправляет вопрос вместе с текстом модели.',
+    o200k: [119643, 59161, 4510, 77246, 10527, 168348, 816, 49464, 29201, 24927, 57966, 669, 60350, 1231, 71367, 13],
+    cl100k: [34604, 18437, 30480, 2233, 17618, 17756, 9542, 28007, 62580, 3865, 7740, 87188, 14009, 8341, 5927, 29256, 42057, 5927, 6578, 37277, 1532, 5524, 71995, 12507, 71239, 61642, 13]
+  },
+  {
+    name: 'markdown',
+    text: '## Setup\n\n- Install the extension\n- Open the popup\n\n| Model | Price |\n|---|---|\n| gpt-4o | $5 |',
+    o200k: [877, 34095, 279, 12, 23606, 290, 15369, 198, 12, 7788, 290, 39221, 279, 91, 8186, 1022, 11772, 15972, 91, 10356, 91, 10356, 14876, 91, 329, 555, 12, 19, 78, 1022, 548, 20, 1022],
+    cl100k: [567, 19139, 271, 12, 19796, 279, 9070, 198, 12, 5377, 279, 22727, 271, 91, 5008, 765, 8650, 9432, 91, 4521, 91, 4521, 7511, 91, 342, 418, 12, 19, 78, 765, 400, 20, 765]
+  },
+  {
+    name: 'emoji',
+    text: 'Great job! 🎉🚀 Thanks 👍',
+    o200k: [19936, 3349, 0, 139786, 231, 112927, 222, 12287, 160433],
+    cl100k: [22111, 2683, 0, 11410, 236, 231, 9468, 248, 222, 11361, 62904, 235]
+  },
+  {
+    name: 'special token text',
+    text: 'Text that mentions <|endoftext|> is read as plain text.',
+    o200k: [1279, 484, 66396, 464, 91, 419, 1440, 919, 91, 29, 382, 1729, 472, 21402, 2201, 13],
+    cl100k: [1199, 430, 34945, 83739, 8862, 728, 428, 91, 29, 374, 1373, 439, 14733, 1495, 13]
+  }
+];
+
+const allText = SAMPLES.map(sample => sample.text).join('\n\n');
+
+test('gpt-4o models are encoded exactly as o200k_base', () => {
+  ['gpt-4o', 'gpt-4o-mini', 'gpt-4o-vision'].forEach(model => {
+    SAMPLES.forEach(({ name, text, o200k }) => {
+      assert.deepEqual(encodeTokens(text, model), o200k, `${model}: ${name}`);
+      assert.equal(countTokens(text, model), o200k.length, `${model}: ${name}`);
+    });
+  });
+});
+
+test('older GPT models are encoded exactly as cl100k_base', () => {
+  ['gpt-4', 'gpt-4-turbo', 'gpt-3.5-turbo'].forEach(model => {
+    SAMPLES.forEach(({ name, text, cl100k }) => {
+      assert.deepEqual(encodeTokens(text, model), cl100k, `${model}: ${name}`);
+      assert.equal(countTokens(text, model), cl100k.length, `${model}: ${name}`);
+    });
+  });
+});
+
+test('words longer than any vocabulary entry are merged pair by pair', () => {
+  // Longer than a single token, so this goes through the byte-pair merge rather than a lookup
+  const text = 'Pneumonoultramicroscopicsilicovolcanoconiosis';
+  assert.equal(encodeTokens(text, 'gpt-4o').length, countTokens(text, 'gpt-4o'));
+  assert.ok(countTokens(text, 'gpt-4o') > 1);
+  assert.equal(countTokens('a'.repeat(2000), 'gpt-4'), 250);
+});
+
+test('models without a shipped tokenizer get estimates, not token ids', () => {
+  assert.throws(() => encodeTokens('Hello', 'claude-3-5-sonnet-latest'), /No tokenizer/);
+  assert.throws(() => encodeTokens('Hello', 'gemini-1.5-pro'), /No tokenizer/);
+
+  const cl100kCount = countTokens(allText, 'gpt-4');
+  assert.ok(countTokens(allText, 'claude-3-5-sonnet-latest') > cl100kCount);
+  assert.equal(countTokens(allText, 'custom:llama3'), cl100kCount);
+  assert.ok(countTokens(allText, 'gemini-1.5-pro') > 0);
+});
+
+test('truncateToTokens stays within the budget', () => {
+  ['gpt-4o', 'gpt-4', 'gemini-1.5-pro'].forEach(model => {
+    const truncated = truncateToTokens(allText, 100, model);
+    assert.ok(allText.startsWith(truncated));
+    assert.ok(countTokens(truncated, model) <= 100, model);
+    assert.ok(countTokens(truncated, model) > 90, model);
+    assert.equal(truncateToTokens(allText, 0, model), '');
+    assert.equal(truncateToTokens(allText, 1e6, model), allText);
+  });
+});
+
+test('only estimated counts hold back a share of the window for error', () => {
+  const fixedText = 'x'.repeat(400);
+  const exact = getAvailableContextTokens({ model: 'gpt-4', contextTokens: 8192, fixedText, maxOutputTokens: 1000 });
+  assert.equal(exact, 8192 - 1000 - countTokens(fixedText, 'gpt-4') - 64);
+
+  const estimated = getAvailableContextTokens({ model: 'custom:llama3', contextTokens: 8192, fixedText, maxOutputTokens: 1000 });
+  assert.ok(estimated > 0);
+  assert.ok(estimated < exact);
+});
+
+test('the page budget leaves room for the prompt and the reply', () => {
+  const page = allText.repeat(20);
+  const plan = planContextBudget({ model: 'gpt-4o', contextTokens: 4096, pageText: page, sessionText: 'session notes '.repeat(50), maxOutputTokens: 1000 });
+  assert.ok(plan.truncated);
+  assert.ok(page.startsWith(plan.pageText));
+  assert.equal(plan.tokens.page, countTokens(plan.pageText, 'gpt-4o'));
+  assert.ok(plan.tokens.page + plan.tokens.session <= getAvailableContextTokens({ model: 'gpt-4o', contextTokens: 4096, maxOutputTokens: 1000 }));
+});
@@ -0,0 +1,234 @@
+// PagePal AI - Token counting and context budgeting
+//
+// OpenAI models are counted exactly, with tiktoken's byte-pair encoding and the
+// rank tables shipped in vendor/tiktoken: gpt-4o and later use o200k_base, older
+// GPT models cl100k_base. A table is decoded the first time a model needs it.
+// tests/tokenizer.test.js checks the token ids against tiktoken's own output.
+// Other tokenizers aren't available locally, so their counts are estimates and
+// budgets for them hold back a share of the window for the error: Claude and
+// custom endpoint models are counted with cl100k_base (Claude with a margin), and
+// Gemini, which uses SentencePiece, with per-piece rates over the same split.
+
+import { CONFIG } from './constants.js';
+import o200kBase from './vendor/tiktoken/o200k_base.js';
+import cl100kBase from './vendor/tiktoken/cl100k_base.js';
+
+const RANK_TABLES = { o200k_base: o200kBase, cl100k_base: cl100kBase };
+const SAFETY_MARGIN_TOKENS = 64; // Chat formatting overhead the count doesn't see
+const ESTIMATE_ERROR_SHARE = 0.1; // Share of the remaining window held back when counts are estimates
+const MAX_CACHED_PIECES = 50000; // Encoded pieces kept per encoding; pages repeat most words
+
+// Claude's tokenizer isn't published; it runs a little above cl100k in practice
+const ANTHROPIC_FACTOR = 1.1;
+
+// Gemini estimate: SentencePiece splits digits singly and packs CJK more densely
+const GEMINI_RATES = {
+  asciiWordChars: 7, // Letters per token once a word outgrows a single vocabulary entry
+  singleTokenWordLength: 10,
+  cjkPerChar: 0.8,
+  otherLetterChars: 3.5, // Cyrillic, Greek, Arabic, Devanagari... split into more pieces
+  digitsPerToken: 1,
+  symbolChars: 1.5,
+  spaceRunChars: 16
+};
+
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+const ASCII_WORD_PATTERN = /^[^\p{L}]?[A-Za-z]+$/u;
+const textEncoder = new TextEncoder();
+const encodings = new Map();
+
+// UTF-8 bytes as a binary string, the form rank table keys are stored in
+function toByteString(text) {
+  const bytes = textEncoder.encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return binary;
+}
+
+// One tiktoken encoding: the pre-tokenizer pattern and the byte sequence -> rank table
+class BytePairEncoding {
+  constructor({ pat_str: pattern, bpe_ranks: ranks }) {
+    this.pattern = new RegExp(pattern, 'gu');
+    this.ranks = new Map();
+    this.cache = new Map();
+
+    // Each line is "! <first rank> <base64 token> <base64 token> ...", ranks consecutive
+    ranks.split('\n').filter(Boolean).forEach(line => {
+      const [, offset, ...tokens] = line.split(' ');
+      tokens.forEach((token, index) => this.ranks.set(atob(token), Number(offset) + index));
+    });
+  }
+
+  // Token ids for one pre-tokenized piece
+  encodePiece(piece) {
+    let tokens = this.cache.get(piece);
+    if (!tokens) {
+      const bytes = toByteString(piece);
+      const rank = this.ranks.get(bytes);
+      tokens = rank !== undefined ? [rank] : this.mergeBytes(bytes);
+      if (this.cache.size >= MAX_CACHED_PIECES) this.cache.clear();
+      this.cache.set(piece, tokens);
+    }
+    return tokens;
+  }
+
+  // Byte-pair merge as tiktoken does it: repeatedly join the adjacent pair with the
+  // lowest rank (the leftmost on ties) until no joined pair is in the table
+  mergeBytes(bytes) {
+    // Part boundaries, each with the rank of the pair starting there
+    const parts = Array.from({ length: bytes.length + 1 }, (_, index) => ({ start: index, rank: Infinity }));
+    const pairRank = index => (index + 2 < parts.length
+      ? this.ranks.get(bytes.slice(parts[index].start, parts[index + 2].start)) ?? Infinity
+      : Infinity);
+    parts.forEach((part, index) => {
+      part.rank = pairRank(index);
+    });
+
+    while (parts.length > 2) {
+      let lowest = 0;
+      for (let index = 1; index < parts.length - 2; index++) {
+        if (parts[index].rank < parts[lowest].rank) lowest = index;
+      }
+      if (parts[lowest].rank === Infinity) break;
+
+      parts.splice(lowest + 1, 1);
+      parts[lowest].rank = pairRank(lowest);
+      if (lowest > 0) parts[lowest - 1].rank = pairRank(lowest - 1);
+    }
+
+    return parts.slice(0, -1).map((part, index) => this.ranks.get(bytes.slice(part.start, parts[index + 1].start)));
+  }
+}
+
+function getEncoding(name) {
+  if (!encodings.has(name)) {
+    encodings.set(name, new BytePairEncoding(RANK_TABLES[name]));
+  }
+  return encodings.get(name);
+}
+
+// How a model's tokens are counted: an encoding, whether that is the model's own, and a factor
+function getTokenizer(model = '') {
+  if (/^(gpt-4o|gpt-4\.1|gpt-5|o\d)/.test(model)) return { encoding: 'o200k_base', exact: true };
+  if (/^(gpt-|text-embedding-)/.test(model)) return { encoding: 'cl100k_base', exact: true };
+  if (model.startsWith('gemini')) return { encoding: null, exact: false };
+  if (model.startsWith('claude')) return { encoding: 'cl100k_base', exact: false, factor: ANTHROPIC_FACTOR };
+  return { encoding: 'cl100k_base', exact: false };
+}
+
+function estimateGeminiPiece(piece) {
+  const trimmed = piece.trim();
+  if (!trimmed) {
+    return /[\r\n]/.test(piece) ? 1 : Math.ceil(piece.length / GEMINI_RATES.spaceRunChars);
+  }
+
+  if (/^\p{N}+$/u.test(trimmed)) {
+    return Math.ceil(trimmed.length / GEMINI_RATES.digitsPerToken);
+  }
+
+  if (ASCII_WORD_PATTERN.test(trimmed)) {
+    const letters = trimmed.replace(/[^A-Za-z]/g, '').length;
+    return letters <= GEMINI_RATES.singleTokenWordLength
+      ? 1
+      : 1 + Math.ceil((letters - GEMINI_RATES.singleTokenWordLength) / GEMINI_RATES.asciiWordChars);
+  }
+
+  if (/\p{L}/u.test(trimmed)) {
+    const cjkCount = (trimmed.match(CJK_PATTERN) || []).length;
+    const otherCount = trimmed.length - cjkCount;
+    return Math.max(1, Math.ceil(cjkCount * GEMINI_RATES.cjkPerChar + otherCount / GEMINI_RATES.otherLetterChars));
+  }
+
+  // Punctuation and symbols; emoji and other astral characters cost several byte tokens
+  const astral = [...trimmed].filter(char => char.codePointAt(0) > 0xffff).length;
+  return Math.max(1, Math.ceil((trimmed.length - astral * 2) / GEMINI_RATES.symbolChars) + astral * 2);
+}
+
+// Yields [pieceEndIndex, tokensSoFar] for each pre-token piece so callers can stop at a budget
+function* walkTokens(text, model) {
+  const { encoding, factor = 1 } = getTokenizer(model);
+  const bpe = encoding && getEncoding(encoding);
+  const pattern = bpe ? bpe.pattern : new RegExp(cl100kBase.pat_str, 'gu');
+  let total = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    total += (bpe ? bpe.encodePiece(match[0]).length : estimateGeminiPiece(match[0])) * factor;
+    yield [match.index + match[0].length, Math.ceil(total)];
+  }
+}
+
+/**
+ * Token ids of text for an OpenAI model, as tiktoken encodes it (special tokens are
+ * treated as plain text). Throws for models whose tokenizer isn't shipped.
+ */
+export function encodeTokens(text, model) {
+  const { encoding, exact } = getTokenizer(model);
+  if (!exact) {
+    throw new Error(`No tokenizer is available for ${model}`);
+  }
+  const bpe = getEncoding(encoding);
+  return Array.from((text || '').matchAll(bpe.pattern), match => bpe.encodePiece(match[0])).flat();
+}
+
+/**
+ * Token count of text for a model: exact for OpenAI models, an estimate otherwise
+ */
+export function countTokens(text, model = '') {
+  let tokens = 0;
+  for (const [, total] of walkTokens(text || '', model)) {
+    tokens = total;
+  }
+  return tokens;
+}
+
+/**
+ * Cut text to at most maxTokens, ending on a pre-token boundary
+ */
+export function truncateToTokens(text, maxTokens, model = '') {
+  if (!text || maxTokens <= 0) return '';
+  let end = 0;
+  for (const [pieceEnd, total] of walkTokens(text, model)) {
+    if (total > maxTokens) return text.slice(0, end);
+    end = pieceEnd;
+  }
+  return text;
+}
+
+/**
+ * Tokens left for page and session text once fixedText and room for the reply are taken
+ */
+export function getAvailableContextTokens({ model, contextTokens, fixedText = '', maxOutputTokens = CONFIG.DEFAULT_MAX_TOKENS }) {
+  const remaining = contextTokens - maxOutputTokens - countTokens(fixedText, model) - SAFETY_MARGIN_TOKENS;
+  const errorShare = getTokenizer(model).exact ? 0 : ESTIMATE_ERROR_SHARE;
+  return Math.max(0, Math.floor(remaining * (1 - errorShare)));
+}
+
+/**
+ * Decide how much page and session text fits in the model's context window.
+ * fixedText (system prompt, history, question) is always sent; the page gets first
+ * claim on what remains, then the study session, and room is kept for the reply.
+ */
+export function planContextBudget({ model, contextTokens, fixedText = '', pageText = '', sessionText = '', maxOutputTokens = CONFIG.DEFAULT_MAX_TOKENS }) {
+  const fixedTokens = countTokens(fixedText, model);
+  const available = getAvailableContextTokens({ model, contextTokens, fixedText, maxOutputTokens });
+
+  const fittedPage = truncateToTokens(pageText, available, model);
+  const pageTokens = countTokens(fittedPage, model);
+  const fittedSession = truncateToTokens(sessionText, available - pageTokens, model);
+  const sessionTokens = countTokens(fittedSession, model);
+
+  return {
+    pageText: fittedPage,
+    sessionText: fittedSession,
+    truncated: fittedPage.length < pageText.length || fittedSession.length < sessionText.length,
+    tokens: {
+      context: contextTokens,
+      fixed: fixedTokens,
+      page: pageTokens,
+      session: sessionTokens,
+      output: maxOutputTokens
+    }
+  };
+}
@@ -1,6 +1,7 @@
 // PagePal AI - Utility Functions
 
-import { CONFIG } from './constants.js';
+import { CONFIG, MODELS } from './constants.js';
+import { countTokens } from './tokenizer.js';
 
 /**
  * Centralized error handling for API responses
@@ -76,6 +77,8 @@ export function validateAPIKey(apiKey, provider) {
       return patterns.OPENAI.test(apiKey);
     case 'gemini':
       return patterns.GEMINI.test(apiKey);
+    case 'anthropic':
+      return patterns.ANTHROPIC.test(apiKey);
     default:
       return false;
   }
@@ -119,16 +122,53 @@ export function initializeElements(elementIds) {
 }
 
 /**
- * Calculate estimated cost for API calls
+ * Calculate estimated cost for API calls from token counts.
+ * pricing is { input, output, image } in dollars per 1K tokens / per image.
  */
-export function calculateTokenCost(model, inputLength, outputLength = 0, imageCount = 0) {
-  // This would need to be implemented based on current pricing
-  // Placeholder implementation
-  const baseCost = 0.001; // per 1k tokens
-  const tokens = Math.ceil((inputLength + outputLength) / 4); // rough token estimation
-  const imageCost = imageCount * 0.01; // placeholder image cost
-  
-  return (tokens / 1000) * baseCost + imageCost;
+export function calculateTokenCost(model, inputText, outputText = '', imageCount = 0, pricing = { input: 0, output: 0 }) {
+  const inputTokens = estimateTokens(inputText, model);
+  const outputTokens = estimateTokens(outputText, model);
+
+  let cost = (inputTokens / 1000) * pricing.input + (outputTokens / 1000) * pricing.output;
+  if (imageCount > 0 && pricing.image) {
+    cost += imageCount * pricing.image;
+  }
+  return cost;
+}
+
+/**
+ * Normalize a user-entered OpenAI-compatible base URL (e.g. http://localhost:11434/v1)
+ */
+export function normalizeBaseUrl(baseUrl) {
+  if (!baseUrl || typeof baseUrl !== 'string') return '';
+
+  const trimmed = baseUrl.trim().replace(/\/+$/, '');
+  try {
+    const url = new URL(trimmed);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return '';
+    return trimmed;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Token count for the model: exact for OpenAI models, estimated for the others
+ */
+export function estimateTokens(text, model = '') {
+  return countTokens(text || '', model);
+}
+
+/**
+ * Look up a model's context window in tokens, falling back to a conservative default
+ */
+export function getModelContextTokens(modelName) {
+  for (const providerModels of Object.values(MODELS)) {
+    if (providerModels[modelName]?.contextTokens) {
+      return providerModels[modelName].contextTokens;
+    }
+  }
+  return CONFIG.DEFAULT_CONTEXT_TOKENS;
 }
 
 /**
@@ -154,6 +194,8 @@ export function getProviderFromModel(modelName) {
   
   if (modelName.startsWith('gpt')) return 'openai';
   if (modelName.startsWith('gemini')) return 'gemini';
+  if (modelName.startsWith('claude')) return 'anthropic';
+  if (modelName.startsWith(CONFIG.CUSTOM_MODEL_PREFIX)) return 'custom';
   
   return null;
 }
\ No newline at end of file
@@ -0,0 +1,282 @@
+// PagePal AI - YouTube transcripts
+//
+// On a watch page the DOM only holds the description and comments, so the video's
+// caption track is read instead: fetched in the page's own world (where the player
+// and its cookies are) as timed segments, then grouped into timestamped paragraphs.
+// Timestamps the model quotes back as [m:ss] become links that seek the player.
+
+import { CONFIG } from './constants.js';
+
+const TIMESTAMP = String.raw`(?:\d{1,2}:)?\d{1,2}:\d{2}`;
+// [12:34], [1:02:03], and ranges or lists like [2:10-3:45] or [0:30, 5:12]
+const TIMESTAMP_GROUP_PATTERN = new RegExp(String.raw`\[(${TIMESTAMP}(?:\s*(?:[-–,]|to)\s*${TIMESTAMP})*)\]`, 'g');
+const TIMESTAMP_PATTERN = new RegExp(TIMESTAMP, 'g');
+
+/**
+ * The video id of a YouTube watch, Shorts or live page, or null for anything else
+ */
+export function getYouTubeVideoId(url) {
+  try {
+    const { hostname, pathname, searchParams } = new URL(url);
+    if (!/(^|\.)youtube\.com$/.test(hostname)) return null;
+    if (pathname === '/watch') return searchParams.get('v') || null;
+    return /^\/(?:shorts|live)\/([\w-]{11})/.exec(pathname)?.[1] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * "m:ss", or "h:mm:ss" from an hour on
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+export function parseTimestamp(timestamp) {
+  return timestamp.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Page text for a transcript: title and channel, the description, then the captions
+ * in paragraphs of about paragraphSeconds, each starting with its [m:ss] timestamp
+ */
+export function formatTranscript(transcript, paragraphSeconds = CONFIG.TRANSCRIPT_PARAGRAPH_SECONDS) {
+  const paragraphs = [];
+  let current = null;
+  transcript.segments.forEach(segment => {
+    if (!current || segment.start - current.start >= paragraphSeconds) {
+      current = { start: segment.start, text: [] };
+      paragraphs.push(current);
+    }
+    current.text.push(segment.text);
+  });
+
+  const details = [
+    transcript.channel && `Channel: ${transcript.channel}`,
+    transcript.lengthSeconds && `Length: ${formatTimestamp(transcript.lengthSeconds)}`,
+    transcript.language?.name && `Captions: ${transcript.language.name}`
+  ].filter(Boolean).join(' · ');
+
+  return [
+    `# ${transcript.title}`,
+    details,
+    transcript.description && `## Description\n\n${transcript.description.trim()}`,
+    '## Transcript',
+    paragraphs.map(paragraph => `[${formatTimestamp(paragraph.start)}] ${paragraph.text.join(' ')}`).join('\n\n')
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Turn [m:ss] timestamps in a rendered answer into buttons that seek the video.
+ * Works on text nodes of the already-sanitized output; code blocks are left alone.
+ */
+export function linkTimestamps(element, onTimestampClick) {
+  const doc = element.ownerDocument;
+  const walker = doc.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => (node.parentElement.closest('pre, code, a, math, button')
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT)
+  });
+
+  const textNodes = [];
+  while (walker.nextNode()) {
+    TIMESTAMP_GROUP_PATTERN.lastIndex = 0;
+    if (TIMESTAMP_GROUP_PATTERN.test(walker.currentNode.nodeValue)) textNodes.push(walker.currentNode);
+  }
+
+  textNodes.forEach(node => {
+    const text = node.nodeValue;
+    const fragment = doc.createDocumentFragment();
+    let lastIndex = 0;
+
+    TIMESTAMP_GROUP_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = TIMESTAMP_GROUP_PATTERN.exec(text)) !== null) {
+      fragment.append(text.slice(lastIndex, match.index));
+      const group = doc.createElement('span');
+      group.className = 'timestamp';
+
+      // Keep the separators of a range or list between the buttons
+      let groupIndex = 0;
+      TIMESTAMP_PATTERN.lastIndex = 0;
+      let timestamp;
+      while ((timestamp = TIMESTAMP_PATTERN.exec(match[1])) !== null) {
+        group.append(match[1].slice(groupIndex, timestamp.index));
+        const link = doc.createElement('button');
+        link.type = 'button';
+        link.className = 'timestamp-link';
+        link.textContent = timestamp[0];
+        link.title = `Play from ${timestamp[0]}`;
+        const seconds = parseTimestamp(timestamp[0]);
+        link.addEventListener('click', () => onTimestampClick(seconds));
+        group.appendChild(link);
+        groupIndex = timestamp.index + timestamp[0].length;
+      }
+      fragment.appendChild(group);
+      lastIndex = match.index + match[0].length;
+    }
+
+    fragment.append(text.slice(lastIndex));
+    node.replaceWith(fragment);
+  });
+}
+
+/**
+ * Injected into the page's MAIN world: read the current video's caption track.
+ * preferredLanguage picks the track (a translation is requested when only other
+ * languages exist); with no usable caption file the transcript panel is read instead.
+ * Must stay self-contained since it runs via chrome.scripting.executeScript.
+ */
+export async function fetchTranscriptFunction({ preferredLanguage = '', panelTimeout = 3000 } = {}) {
+  const SEGMENT_SELECTOR = 'ytd-transcript-segment-renderer';
+  const url = new URL(window.location.href);
+  const videoId = url.searchParams.get('v') || (/^\/(?:shorts|live)\/([\w-]{11})/.exec(url.pathname) || [])[1];
+  if (!videoId) {
+    return { success: false, error: 'No video found on this page' };
+  }
+
+  function clean(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  // The player knows the current video even after in-app navigation, while the page's
+  // initial data describes whichever video the tab opened on
+  async function getPlayerResponse() {
+    const player = document.querySelector('#movie_player');
+    const fromPlayer = typeof player?.getPlayerResponse === 'function' ? player.getPlayerResponse() : null;
+    if (fromPlayer?.videoDetails?.videoId === videoId) return fromPlayer;
+    if (window.ytInitialPlayerResponse?.videoDetails?.videoId === videoId) return window.ytInitialPlayerResponse;
+
+    const response = await fetch(`/watch?v=${encodeURIComponent(videoId)}`, { credentials: 'include' });
+    const match = /ytInitialPlayerResponse\s*=\s*(\{.+?\})\s*;\s*(?:var\s|<\/script>)/s.exec(await response.text());
+    return match ? JSON.parse(match[1]) : null;
+  }
+
+  function trackName(track) {
+    return track.name?.simpleText || (track.name?.runs || []).map(run => run.text).join('') || track.languageCode;
+  }
+
+  // Exact language before the base language, and uploaded captions before auto-generated ones
+  function chooseTrack(tracks) {
+    if (preferredLanguage) {
+      const base = preferredLanguage.split('-')[0];
+      const matches = [
+        ...tracks.filter(track => track.languageCode === preferredLanguage),
+        ...tracks.filter(track => track.languageCode !== preferredLanguage && track.languageCode.split('-')[0] === base)
+      ];
+      const match = matches.find(track => track.kind !== 'asr') || matches[0];
+      if (match) return { track: match };
+
+      const translatable = tracks.find(track => track.isTranslatable && track.kind !== 'asr') || tracks.find(track => track.isTranslatable);
+      if (translatable) return { track: translatable, translateTo: preferredLanguage };
+    }
+    return { track: tracks.find(track => track.kind !== 'asr') || tracks[0] };
+  }
+
+  async function fetchSegments(track, translateTo) {
+    const trackUrl = new URL(track.baseUrl, window.location.origin);
+    trackUrl.searchParams.set('fmt', 'json3');
+    if (translateTo) trackUrl.searchParams.set('tlang', translateTo);
+
+    const response = await fetch(trackUrl.href, { credentials: 'include' });
+    const body = response.ok ? await response.text() : '';
+    if (!body) return []; // Served empty when YouTube wants a token the page hasn't sent
+
+    // Anything but JSON (an HTML error or consent page) also leaves it to the panel
+    let captions;
+    try {
+      captions = JSON.parse(body);
+    } catch (error) {
+      return [];
+    }
+
+    return (captions.events || [])
+      .filter(event => event.segs)
+      .map(event => ({ start: event.tStartMs / 1000, text: clean(event.segs.map(seg => seg.utf8).join('')) }))
+      .filter(segment => segment.text);
+  }
+
+  // The transcript panel loads from a different endpoint, so it still works when the
+  // caption file is refused; it's opened from the description if it isn't already
+  async function readTranscriptPanel() {
+    if (!document.querySelector(SEGMENT_SELECTOR)) {
+      const button = document.querySelector('ytd-video-description-transcript-section-renderer button');
+      if (!button) return [];
+      button.click();
+      const deadline = Date.now() + panelTimeout;
+      while (!document.querySelector(SEGMENT_SELECTOR) && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+    }
+
+    return Array.from(document.querySelectorAll(SEGMENT_SELECTOR)).map(segment => {
+      const timestamp = clean(segment.querySelector('.segment-timestamp')?.textContent);
+      return {
+        start: /^[\d:]+$/.test(timestamp) ? timestamp.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0) : NaN,
+        text: clean(segment.querySelector('.segment-text')?.textContent)
+      };
+    }).filter(segment => segment.text && !Number.isNaN(segment.start));
+  }
+
+  try {
+    const playerResponse = await getPlayerResponse();
+    const details = playerResponse?.videoDetails || {};
+    const tracks = playerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+
+    let segments = [];
+    let language = null;
+    if (tracks.length > 0) {
+      const { track, translateTo } = chooseTrack(tracks);
+      segments = await fetchSegments(track, translateTo);
+      language = {
+        code: translateTo || track.languageCode,
+        name: translateTo ? `${trackName(track)}, translated to ${translateTo}` : trackName(track),
+        generated: track.kind === 'asr',
+        translated: !!translateTo
+      };
+    }
+    if (segments.length === 0) {
+      segments = await readTranscriptPanel();
+      language = segments.length > 0 ? { code: '', name: 'from the transcript panel', generated: false, translated: false } : null;
+    }
+    if (segments.length === 0) {
+      return { success: false, error: tracks.length > 0 ? 'The captions for this video could not be loaded' : 'This video has no captions' };
+    }
+
+    return {
+      success: true,
+      videoId,
+      url: window.location.href,
+      title: details.title || document.title,
+      channel: details.author || '',
+      description: details.shortDescription || '',
+      lengthSeconds: parseInt(details.lengthSeconds, 10) || 0,
+      language,
+      tracks: tracks.map(track => ({ code: track.languageCode, name: trackName(track), generated: track.kind === 'asr' })),
+      segments
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Injected into the page: jump the video to a time and play from there.
+ * Must stay self-contained since it runs via chrome.scripting.executeScript.
+ */
+export function seekVideoFunction(seconds) {
+  const video = document.querySelector('#movie_player video') || document.querySelector('video');
+  if (!video) {
+    return { success: false, error: 'No video on this page' };
+  }
+  video.currentTime = seconds;
+  video.play().catch(() => {
+    // Autoplay rules may block playback; the seek still happened
+  });
+  return { success: true };
+}